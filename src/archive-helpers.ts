@@ -0,0 +1,203 @@
+import { CarWriter } from "@ipld/car/writer";
+import { CarBlockIterator } from "@ipld/car/iterator";
+import { sha256 as hasher } from "multiformats/hashes/sha2";
+import * as codec from "@ipld/dag-cbor";
+import { encode, decode } from "./runtime/wait-pr-multiformats/block.js";
+import type { AnyBlock, AnyLink, CryptoAction } from "./blockstore/index.js";
+import type { KeysItem } from "./runtime/key-bag.js";
+import type { Logger } from "@adviser/cement";
+import {
+  PARAM,
+  type BaseBlockstore,
+  type ClockHead,
+  type CRDT,
+  type DbMeta,
+  type DocFileMeta,
+  type DocFiles,
+  type ExportArchiveOpts,
+} from "./types.js";
+import { indexesMeta } from "./indexer.js";
+import { UInt8ArrayEqual } from "./utils.js";
+
+// the car files and metas of the data or the index store
+interface StoreArchive {
+  readonly metas: DbMeta[];
+  readonly cars: AnyLink[];
+  // left out of encrypted archives and of stores without a key
+  readonly keys?: KeysItem;
+}
+
+// the root block of an archive
+interface ArchiveManifest {
+  readonly archive: "fireproof";
+  readonly version: 1;
+  readonly head: ClockHead;
+  readonly data: StoreArchive;
+  readonly index?: StoreArchive;
+  // the file cars of the attachments
+  readonly files: AnyLink[];
+}
+
+function uniqueLinks(links: AnyLink[]): AnyLink[] {
+  return Array.from(new Map(links.map((link) => [link.toString(), link])).values());
+}
+
+function headKey(head: ClockHead): string {
+  return head
+    .map((c) => c.toString())
+    .sort()
+    .join();
+}
+
+function isEncrypted(blockstore: BaseBlockstore): boolean {
+  const storeKey = blockstore.loader.attachedStores.local().active.car.url().getParam(PARAM.STORE_KEY);
+  return !!storeKey && storeKey !== "insecure";
+}
+
+async function storeArchive(blockstore: BaseBlockstore, encrypted: boolean): Promise<StoreArchive> {
+  const { active } = blockstore.loader.attachedStores.local();
+  const metas = (await active.meta.load()) || [];
+  const cars = uniqueLinks([...metas.flatMap((meta) => meta.cars), ...blockstore.loader.carLog.asArray().flat()]);
+  if (encrypted || !isEncrypted(blockstore)) return { metas, cars };
+  return { metas, cars, keys: await (await active.car.keyedCrypto()).key.asKeysItem() };
+}
+
+// the file cars the current docs attach
+async function fileCars(crdt: CRDT): Promise<AnyLink[]> {
+  const { result } = await crdt.allDocs<{ _files?: DocFiles; _publicFiles?: DocFiles }>();
+  const cars: AnyLink[] = [];
+  for (const { value, del } of result) {
+    if (del || !value) continue;
+    for (const meta of [...Object.values(value._files ?? {}), ...Object.values(value._publicFiles ?? {})]) {
+      // commitFiles stores the car group of the file
+      const { car } = meta as DocFileMeta;
+      if (car) cars.push(...[car].flat());
+    }
+  }
+  return uniqueLinks(cars);
+}
+
+/**
+ * Streams one CAR holding the stored car files of the ledger as blocks,
+ * rooted at a manifest with the current metas of its stores.
+ */
+export async function* exportArchive(crdt: CRDT, opts: ExportArchiveOpts = {}): AsyncGenerator<Uint8Array> {
+  const { includeFiles = true, includeIndexes = true, encrypted = false } = opts;
+  const manifest: ArchiveManifest = {
+    archive: "fireproof",
+    version: 1,
+    head: [...crdt.clock.head],
+    data: await storeArchive(crdt.blockstore, encrypted),
+    ...(includeIndexes ? { index: await storeArchive(crdt.indexBlockstore, encrypted) } : {}),
+    files: includeFiles ? await fileCars(crdt) : [],
+  };
+  const root = await encode({ value: manifest, hasher, codec });
+  const data = crdt.blockstore.loader.attachedStores.local().active;
+  const index = crdt.indexBlockstore.loader.attachedStores.local().active;
+  const { writer, out } = CarWriter.create([root.cid]);
+  const loads = [
+    ...manifest.data.cars.map((cid) => () => data.car.load(cid)),
+    ...(manifest.index?.cars ?? []).map((cid) => () => index.car.load(cid)),
+    ...manifest.files.map((cid) => () => data.file.load(cid)),
+  ];
+  let stopped = false;
+  const writing = (async () => {
+    await writer.put(root);
+    for (const load of loads) {
+      if (stopped) return;
+      await writer.put(await load());
+    }
+  })();
+  // out ends once the writer is closed, after the last block or the first error
+  const closing = writing.finally(() => writer.close());
+  const chunks = out[Symbol.asyncIterator]();
+  try {
+    for (let chunk = await chunks.next(); !chunk.done; chunk = await chunks.next()) yield chunk.value;
+  } finally {
+    // a reader stopping early leaves a put waiting for out to drain
+    stopped = true;
+    while (!(await chunks.next()).done);
+    await closing;
+  }
+}
+
+// stored cars hash their plain bytes, encrypted ones only verify once decrypted
+async function verifyBlock(logger: Logger, block: AnyBlock, kycr?: CryptoAction): Promise<AnyBlock> {
+  const plain = await (async () => {
+    if (!kycr || block.cid.code !== kycr.codec().code) return block.bytes;
+    return (await kycr.codec().decode(block.bytes)).data;
+  })().catch(() => undefined);
+  const digest = plain && (await hasher.digest(plain));
+  if (!digest || block.cid.multihash.code !== hasher.code || !UInt8ArrayEqual(digest.bytes, block.cid.multihash.bytes)) {
+    throw logger.Error().Str("cid", block.cid.toString()).Msg("archive block does not match its cid").AsError();
+  }
+  return block;
+}
+
+// where the blocks of a store archive go, the archived keys decrypt the
+// archived cars and new cars keep the own key
+async function storeTarget(blockstore: BaseBlockstore, archive: StoreArchive) {
+  const local = blockstore.loader.attachedStores.local();
+  const kycr = await local.active.car.keyedCrypto();
+  if (archive.keys && isEncrypted(blockstore)) {
+    for (const { key: material } of Object.values(archive.keys.keys)) await kycr.key.upsert(material, false);
+  }
+  return { store: local.active.car, kycr, cids: archive.cars };
+}
+
+/**
+ * Restores an archive of exportArchive into an empty ledger. Every block
+ * has to hash to its CID and the restored head has to be the archived one.
+ * The manifest comes first, the blocks after it are saved as they arrive.
+ */
+export async function importArchive(crdt: CRDT, stream: AsyncIterable<Uint8Array>): Promise<void> {
+  const logger = crdt.logger;
+  const reader = await CarBlockIterator.fromIterable(stream);
+  const roots = await reader.getRoots();
+  if (roots.length !== 1) throw logger.Error().Any("roots", roots).Msg("archive needs one root").AsError();
+  const blocks = reader[Symbol.asyncIterator]();
+  const { value: first } = await blocks.next();
+  if (!first?.cid.equals(roots[0])) {
+    throw logger.Error().Any("root", roots[0]).Msg("archive does not start with its manifest").AsError();
+  }
+  const { value: manifest } = (await decode({ bytes: (await verifyBlock(logger, first)).bytes, hasher, codec })) as {
+    value: ArchiveManifest;
+  };
+  if (manifest.archive !== "fireproof" || manifest.version !== 1) {
+    throw logger.Error().Any("version", manifest.version).Msg("not a fireproof archive").AsError();
+  }
+  const files = crdt.blockstore.loader.attachedStores.local().active.file;
+  const targets = [
+    await storeTarget(crdt.blockstore, manifest.data),
+    ...(manifest.index ? [await storeTarget(crdt.indexBlockstore, manifest.index)] : []),
+    { store: files, kycr: await files.keyedCrypto(), cids: manifest.files },
+  ];
+  const pending = new Map(targets.flatMap((target) => target.cids.map((cid) => [cid.toString(), target] as const)));
+  for (let next = await blocks.next(); !next.done; next = await blocks.next()) {
+    const block = next.value;
+    const target = pending.get(block.cid.toString());
+    if (!target) continue;
+    await target.store.save(await verifyBlock(logger, block, target.kycr));
+    pending.delete(block.cid.toString());
+  }
+  if (pending.size) {
+    throw logger
+      .Error()
+      .Any("cids", [...pending.keys()])
+      .Msg("archive is missing a block")
+      .AsError();
+  }
+  await crdt.blockstore.loader.handleDbMetasFromStore(manifest.data.metas, crdt.blockstore.loader.attachedStores.local());
+  if (headKey(crdt.clock.head) !== headKey(manifest.head)) {
+    throw logger.Error().Any("head", manifest.head).Msg("restored head differs from the archive").AsError();
+  }
+  if (manifest.index) {
+    await crdt.indexBlockstore.loader.handleDbMetasFromStore(
+      manifest.index.metas,
+      crdt.indexBlockstore.loader.attachedStores.local(),
+    );
+  }
+  // persists the merged metas, a reopened ledger loads them from its own meta store
+  await crdt.blockstore.transaction(async () => ({ head: crdt.clock.head }));
+  if (manifest.index) await crdt.indexBlockstore.transaction(async () => indexesMeta(crdt));
+}
@@ -117,11 +117,16 @@ async function prepareCarFilesFiles(
 
 // PUR Commit
 
-function makeCarHeader<T>(meta: T, cars: CarLog, compact = false): CarHeader<T> {
-  const coreHeader = compact
-    ? { cars: [] as FroozenCarLog, compact: cars.asArray() }
-    : { cars: cars.asArray(), compact: [] as FroozenCarLog };
-  return { ...coreHeader, meta };
+// a compaction replaces the superseded cars, the ones committed while it ran are kept
+function makeCarHeader<T>(meta: T, cars: CarLog, compact = false, superseded?: FroozenCarLog): CarHeader<T> {
+  if (!compact) return { cars: cars.asArray(), compact: [], meta };
+  if (!superseded) return { cars: [], compact: cars.asArray(), meta };
+  const replaced = new Set(superseded.map((c) => c.toString()));
+  return {
+    cars: cars.asArray().filter((c) => !replaced.has(c.toString())),
+    compact: cars.asArray().filter((c) => replaced.has(c.toString())),
+    meta,
+  };
 }
 
 async function encodeCarHeader<T>(fp: CarHeader<T>) {
@@ -139,6 +144,8 @@ export interface CommitParams {
   readonly WALStore: WALStore;
   readonly metaStore: MetaStore;
   readonly threshold?: number;
+  // the car log a compaction started from, by default the whole car log
+  readonly superseded?: FroozenCarLog;
 }
 
 export async function commit<T>(
@@ -147,7 +154,7 @@ export async function commit<T>(
   done: T,
   opts: CommitOpts = { noLoader: false, compact: false },
 ): Promise<{ cgrp: CarGroup; header: CarHeader<T> }> {
-  const fp = makeCarHeader<T>(done, params.carLog, !!opts.compact);
+  const fp = makeCarHeader<T>(done, params.carLog, !!opts.compact, params.superseded);
   const rootBlock = await encodeCarHeader(fp);
 
   const cars = await prepareCarFiles(params.encoder, params.threshold, rootBlock, t);
@@ -21,20 +21,33 @@ import {
   CarLog,
   FroozenCarLog,
   CarStore,
+  LocalActiveStore,
 } from "./types.js";
 
 import { parseCarFile } from "./loader-helpers.js";
 
 import { defaultedBlockstoreRuntime } from "./transaction.js";
 import { CommitQueue } from "./commit-queue.js";
-import { PARAM, type Attachable, type Attached, type CarTransaction, type DbMeta, type Falsy, type SuperThis } from "../types.js";
+import {
+  PARAM,
+  type Attachable,
+  type Attached,
+  type CarTransaction,
+  type CompactResponse,
+  type DbMeta,
+  type DocFileMeta,
+  type DocFiles,
+  type Falsy,
+  type SuperThis,
+} from "../types.js";
 import { getKeyBag, KeyBag } from "../runtime/key-bag.js";
 import { commit, commitFiles, CommitParams } from "./commitor.js";
 import { decode } from "../runtime/wait-pr-multiformats/block.js";
 import { sha256 as hasher } from "multiformats/hashes/sha2";
 import { TaskManager } from "./task-manager.js";
 import { AttachedRemotesImpl, createAttachedStores } from "./attachable-store.js";
-import { ensureLogger, isNotFoundError } from "../utils.js";
+import { ensureLogger, inplaceFilter, isNotFoundError } from "../utils.js";
+import * as dagCodec from "@ipld/dag-cbor";
 
 export function carLogIncludesGroup(list: FroozenCarLog, cids: CarGroup) {
   const cidSet = cids
@@ -61,6 +74,28 @@ function uniqueCids(list: FroozenCarLog, remove = new LRUSet<string>()): Froozen
   return [...byString.values()];
 }
 
+const noGarbage: CompactResponse = { cars: 0, files: 0, bytes: 0 };
+
+function uniqueLinks(links: AnyLink[]): AnyLink[] {
+  return Array.from(new Map(links.map((link) => [link.toString(), link])).values());
+}
+
+// the file cars a doc block attaches, other blocks attach none
+function docFileCars(block: AnyBlock): AnyLink[] {
+  if (block.cid.code !== dagCodec.code) return [];
+  const doc = (() => {
+    try {
+      return dagCodec.decode<{ doc?: { _files?: DocFiles; _publicFiles?: DocFiles } }>(block.bytes)?.doc;
+    } catch {
+      return undefined;
+    }
+  })();
+  if (!doc || typeof doc !== "object") return [];
+  const metas = [...Object.values(doc._files ?? {}), ...Object.values(doc._publicFiles ?? {})] as DocFileMeta[];
+  // commitFiles stores the car group of the file
+  return metas.flatMap(({ car }) => (car ? [car].flat() : []));
+}
+
 // export interface DecoderAndCarReader extends CarReader {
 //   readonly decoder: BlockDecoder<number, Uint8Array>;
 // }
@@ -198,7 +233,7 @@ export class Loader implements Loadable {
   //   await this._applyCarHeader(carHeader, true)
   // }
 
-  async handleDbMetasFromStore(metas: DbMeta[], activeStore: ActiveStore): Promise<void> {
+  async handleDbMetasFromStore(metas: DbMeta[], activeStore: ActiveStore, otherBranch = false): Promise<void> {
     // console.log(
     //   "handleDbMetasFromStore",
     //   activeStore.active.car.url().toString(),
@@ -207,12 +242,12 @@ export class Loader implements Loadable {
     this.logger.Debug().Any("metas", metas).Url(activeStore.active.car.url()).Msg("handleDbMetasFromStore");
     for (const meta of metas) {
       await this.maxConcurrentWrite(async () => {
-        await this.mergeDbMetaIntoClock(meta, activeStore);
+        await this.mergeDbMetaIntoClock(meta, activeStore, otherBranch);
       });
     }
   }
 
-  async mergeDbMetaIntoClock(meta: DbMeta, activeStore: ActiveStore): Promise<void> {
+  async mergeDbMetaIntoClock(meta: DbMeta, activeStore: ActiveStore, otherBranch = false): Promise<void> {
     if (this.isCompacting) {
       throw this.logger.Error().Msg("cannot merge while compacting").AsError();
     }
@@ -242,6 +277,12 @@ export class Loader implements Loadable {
       } catch (e) {
         this.logger.Error().Err(e).Msg("error getting more readers");
       }
+      // the meta of a remote store or of another branch is checked before its cars join
+      // the log, a rejected one stays seen so it is not merged on the next sync either
+      if ((otherBranch || !this.isLocal(activeStore)) && !(await this.ebOpts.admitMeta(carHeader.meta))) {
+        this.logger.Warn().Any("cars", meta.cars).Msg("rejected remote meta");
+        return;
+      }
       this.carLog.update(uniqueCids([meta.cars, ...this.carLog.asArray(), ...carHeader.cars], this.seenCompacted));
       // console.log(
       //   ">>>>> pre applyMeta",
@@ -264,6 +305,10 @@ export class Loader implements Loadable {
   //   }
   // }
 
+  private isLocal(activeStore: ActiveStore): boolean {
+    return activeStore.active.meta.url().toString() === this.attachedStores.local().active.meta.url().toString();
+  }
+
   async loadCarHeaderFromMeta<T>(dbm: DbMeta, astore: ActiveStore): Promise<CarHeader<T>> {
     //Call loadCar for every cid
     const reader = await this.loadCar(dbm.cars[0], astore);
@@ -300,8 +345,19 @@ export class Loader implements Loadable {
     opts: CommitOpts = { noLoader: false, compact: false },
   ): Promise<CarGroup> {
     await this.ready();
+    const params = await this.commitParams();
+    return (await this.commitAndCollect(params, t, done, opts)).cgrp;
+  }
+
+  async commitCompact<T = TransactionMeta>(t: CarTransaction, done: T, superseded: FroozenCarLog): Promise<CompactResponse> {
+    await this.ready();
+    const params = { ...(await this.commitParams()), superseded };
+    return (await this.commitAndCollect(params, t, done, { compact: true, noLoader: true })).collected;
+  }
+
+  private async commitParams(): Promise<CommitParams> {
     const carStore = this.attachedStores.local().active.car;
-    const params: CommitParams = {
+    return {
       encoder: (await carStore.keyedCrypto()).codec(),
       carLog: this.carLog,
       carStore: carStore,
@@ -309,12 +365,30 @@ export class Loader implements Loadable {
       metaStore: this.attachedStores.local().active.meta,
       threshold: this.ebOpts.threshold,
     };
-    return this.commitQueue.enqueue(async () => {
+  }
+
+  private async commitAndCollect<T>(
+    params: CommitParams,
+    t: CarTransaction,
+    done: T,
+    opts: CommitOpts,
+  ): Promise<{ cgrp: CarGroup; collected: CompactResponse }> {
+    let compacted: FroozenCarLog = [];
+    const cgrp = await this.commitQueue.enqueue(async () => {
       await this.cacheTransaction(t);
       const ret = await commit(params, t, done, opts);
       await this.updateCarLog(ret.cgrp, ret.header, !!opts.compact);
+      compacted = ret.header.compact;
       return ret.cgrp;
     });
+    if (!opts.compact) return { cgrp, collected: noGarbage };
+    // the superseded cars go once the meta of the compacted car is saved, out of
+    // the commit queue, so waiting for the uploads of the wal holds up no commit
+    const collected = await this.collectGarbage(compacted).catch((e) => {
+      this.logger.Error().Err(e).Msg("error collecting superseded cars");
+      return noGarbage;
+    });
+    return { cgrp, collected };
   }
 
   async updateCarLog<T>(cids: CarGroup, cHeader: CarHeader<T>, compact: boolean): Promise<void> {
@@ -323,7 +397,6 @@ export class Loader implements Loadable {
     // }
 
     if (compact) {
-      const previousCompactCid = cHeader.compact[cHeader.compact.length - 1];
       cHeader.compact.map((c) => c.toString()).forEach(this.seenCompacted.add, this.seenCompacted);
       this.carLog.update(uniqueCids([...this.carLog.asArray(), ...cHeader.cars, cids], this.seenCompacted));
       // console.log(
@@ -333,7 +406,6 @@ export class Loader implements Loadable {
       //     .map((c) => c.map((cc) => cc.toString()))
       //     .flat(),
       // );
-      await this.removeCidsForCompact(previousCompactCid[0], this.attachedStores.local()).catch((e) => e);
     } else {
       // console.log(
       //   "update - updateCarLog",
@@ -377,18 +449,63 @@ export class Loader implements Loadable {
   //   return blocks;
   // }
 
-  async removeCidsForCompact(cid: AnyLink, store: ActiveStore) {
-    const carHeader = await this.loadCarHeaderFromMeta(
-      {
-        cars: [cid],
-      },
-      store,
-    );
-    for (const cids of carHeader.compact) {
+  /**
+   * Deletes the superseded cars of a compaction from the local car store, and
+   * the file cars no kept doc attaches from the local file store. The cars of
+   * the other branches and of pending uploads are kept.
+   */
+  private async collectGarbage(superseded: FroozenCarLog): Promise<CompactResponse> {
+    const local = this.attachedStores.local();
+    // an upload in flight still reads the local cars
+    await local.active.wal.processQueue.waitIdle();
+    const kept = await this.keptCars(local);
+    const cars = uniqueLinks(superseded.flat()).filter((cid) => !kept.has(cid.toString()));
+    const files = await this.fileCars(cars, local);
+    if (files.length) {
+      const referenced = new Set((await this.fileCars([...kept.values()], local)).map((cid) => cid.toString()));
+      inplaceFilter(files, (cid) => !referenced.has(cid.toString()) && !kept.has(cid.toString()));
+    }
+    const collected = { cars: 0, files: 0, bytes: 0 };
+    for (const [store, cids, count] of [
+      [local.active.car, cars, "cars"],
+      [local.active.file, files, "files"],
+    ] as const) {
       for (const cid of cids) {
-        await this.attachedStores.local().active.car.remove(cid);
+        const stored = await store.load(cid).catch(() => undefined);
+        if (!stored || (await store.remove(cid)).isErr()) continue;
+        this.cidCache.unget(cid.toString());
+        collected[count]++;
+        collected.bytes += stored.bytes.length;
+      }
+    }
+    this.logger.Debug().Any("collected", collected).Msg("collected superseded cars");
+    return collected;
+  }
+
+  // the cars of the car log, of the metas of the other branches and of the pending uploads
+  private async keptCars(local: LocalActiveStore): Promise<Map<string, AnyLink>> {
+    const kept = this.carLog.asArray().flat();
+    for (const branch of await this.ebOpts.branches()) {
+      if (branch === this.ebOpts.branch) continue;
+      for (const meta of (await local.active.meta.read(branch)) || []) {
+        kept.push(...meta.cars, ...(await this.loadCarHeaderFromMeta(meta, local)).cars.flat());
       }
     }
+    const { operations, noLoaderOps, fileOperations } = local.active.wal.walState;
+    kept.push(...[...operations, ...noLoaderOps].flatMap((meta) => meta.cars), ...fileOperations.map((op) => op.cid));
+    return new Map(kept.map((cid) => [cid.toString(), cid]));
+  }
+
+  // the file cars attached to the docs stored in the cars
+  private async fileCars(cars: AnyLink[], local: LocalActiveStore): Promise<AnyLink[]> {
+    const files: AnyLink[] = [];
+    for (const cid of cars) {
+      const item = await this.loadCar(cid, local).catch(() => undefined);
+      for (const block of item?.blocks ?? []) {
+        files.push(...docFileCars(block));
+      }
+    }
+    return uniqueLinks(files);
   }
 
   // async flushCars() {
@@ -457,33 +574,25 @@ export class Loader implements Loadable {
       //   throw this.logger.Error().Str("cid", sCid).Msg("block not in reader").AsError();
       // };
 
-      const getCompactCarCids = async (carCid: AnyLink) => {
+      // compaction copies the whole clock history into the compacted car, but
+      // headers compacted before it did still need the cars they superseded
+      const getCompactCarCids = async (carCid: AnyLink): Promise<AnyBlock | undefined> => {
         const sCid = carCid.toString();
         const reader = await this.loadCar(carCid, store);
-        // if (!reader) {
-        //   throw this.logger.Error().Str("cid", carCid.toString()).Msg("missing car reader").AsError();
-        // }
         const header = await parseCarFile(reader, this.logger);
         const compacts = header.compact;
-        // let got: AnyBlock | undefined;
-
-        // const batchSize = 5;
-        // for (let i = 0; i < compacts.length; i += batchSize) {
-        //   const promises: Promise<AnyBlock | undefined>[] = [];
-        //   for (let j = i; j < Math.min(i + batchSize, compacts.length); j++) {
-        //     for (const cid of compacts[j]) {
-        //       promises.push(getCarCid(cid));
-        //     }
-        //   }
-        const got = await Promise.allSettled(compacts.map((compact) => compact.map((cid) => this.loadCar(cid, store)).flat()));
+        const got = await Promise.allSettled(compacts.flat().map((cid) => this.loadCar(cid, store)));
         got
           .filter((result) => result.status === "rejected")
           .forEach((result) => {
             this.logger.Error().Err(result.reason).Str("cid", sCid).Msg("error getting compacted block");
           });
-
-        // if (this.getBlockCache.has(sCid)) return this.getBlockCache.get(sCid);
-        // throw this.logger.Error().Str("cid", sCid).Msg("block not in compact reader").AsError();
+        for (const result of got) {
+          if (result.status !== "fulfilled") continue;
+          const block = result.value.blocks.find((block) => block.cid.equals(cid));
+          if (block) return block;
+        }
+        return undefined;
       };
 
       let got: AnyBlock | undefined;
@@ -500,8 +609,8 @@ export class Loader implements Loadable {
           }
         }
       }
-      if (!got) {
-        await getCompactCarCids(this.carLog.last()[0]);
+      if (!got && this.carLog.length) {
+        got = await getCompactCarCids(this.carLog.last()[0]);
       }
       return {
         type: "block",
@@ -19,7 +19,7 @@ import type {
   CarStore,
   FileStore,
 } from "./types.js";
-import { Falsy, PARAM, StoreType, SuperThis } from "../types.js";
+import { ClockHead, Falsy, PARAM, QuarantinedDoc, StoreType, SuperThis, UniqueViolation } from "../types.js";
 import { SerdeGateway, SerdeGatewayInterceptor } from "./serde-gateway.js";
 import { ensureLogger, inplaceFilter, isNotFoundError } from "../utils.js";
 import { carLogIncludesGroup } from "./loader.js";
@@ -162,6 +162,32 @@ export async function createDbMetaEvent(sthis: SuperThis, dbMeta: DbMeta, parent
   };
 }
 
+// the meta keys of the branch list, the tags, the quarantine, the unique
+// violations and the conflicts of a branch,
+// branch names can not start with "_"
+const branchesKey = "_branches";
+const tagsKey = "_tags";
+const quarantineKey = (branch: string) => `_quarantine.${branch}`;
+const violationsKey = (branch: string) => `_violations.${branch}`;
+const conflictsKey = (branch: string) => `_conflicts.${branch}`;
+
+// both are stored as a meta without cars
+interface BranchesMeta extends DbMeta {
+  readonly branches: string[];
+}
+interface TagsMeta extends DbMeta {
+  readonly tags: Record<string, ClockHead>;
+}
+interface QuarantineMeta extends DbMeta {
+  readonly docs: QuarantinedDoc[];
+}
+interface ViolationsMeta extends DbMeta {
+  readonly violations: UniqueViolation[];
+}
+interface ConflictsMeta extends DbMeta {
+  readonly conflicts: Record<string, ClockHead>;
+}
+
 export class MetaStoreImpl extends BaseStoreImpl implements MetaStore {
   readonly storeType = "meta";
   readonly subscribers = new Map<string, LoadHandler[]>();
@@ -211,46 +237,139 @@ export class MetaStoreImpl extends BaseStoreImpl implements MetaStore {
   //   return (rDbMeta.Ok() as FPEnvelopeMeta).payload;
   // }
 
-  async load(branch = "main"): Promise<DbMeta[] | Falsy> {
+  private async branchUrl(branch: string): Promise<URI> {
     const url = await this.gateway.buildUrl({ loader: this.loader }, this.url(), branch);
     if (url.isErr()) {
       throw this.logger.Error().Result("buildUrl", url).Str("branch", branch).Msg("got error from gateway.buildUrl").AsError();
     }
-    const rfpEnv = await this.gateway.get({ loader: this.loader }, url.Ok());
+    return url.Ok();
+  }
+
+  private async loadEvents(url: URI): Promise<DbMetaEvent[] | undefined> {
+    const rfpEnv = await this.gateway.get({ loader: this.loader }, url);
     if (rfpEnv.isErr()) {
       if (isNotFoundError(rfpEnv)) {
         return undefined;
       }
-      throw this.logger.Error().Url(url.Ok()).Err(rfpEnv).Msg("gateway get").AsError();
+      throw this.logger.Error().Url(url).Err(rfpEnv).Msg("gateway get").AsError();
+    }
+    return (rfpEnv.Ok() as FPEnvelopeMeta).payload;
+  }
+
+  private async saveEvents(url: URI, events: DbMetaEvent[]): Promise<Result<void>> {
+    const res = await this.gateway.put({ loader: this.loader }, url, {
+      type: "meta",
+      payload: events,
+    } as FPEnvelopeMeta);
+    if (res.isErr()) {
+      throw this.logger.Error().Err(res.Err()).Msg("got error from gateway.put").AsError();
+    }
+    return res;
+  }
+
+  async load(branch = this.loader.ebOpts.branch): Promise<DbMeta[] | Falsy> {
+    const url = await this.branchUrl(branch);
+    const fpMeta = await this.loadEvents(url);
+    if (!fpMeta) {
+      return undefined;
     }
-    const fpMeta = (rfpEnv.Ok() as FPEnvelopeMeta).payload;
     // const dbMetas = await this.handleByteHeads(fpMeta);
     const dbMetas = fpMeta.map((m) => m.dbMeta);
-    await this.loader.handleDbMetasFromStore(dbMetas, this.loader.attachedStores.activate(url.Ok()));
+    await this.loader.handleDbMetasFromStore(
+      dbMetas,
+      this.loader.attachedStores.activate(url),
+      branch !== this.loader.ebOpts.branch,
+    );
     this.updateParentsFromDbMetas(fpMeta);
     return dbMetas;
   }
 
+  async read(branch: string): Promise<DbMeta[] | Falsy> {
+    return (await this.loadEvents(await this.branchUrl(branch)))?.map((m) => m.dbMeta);
+  }
+
   async save(meta: DbMeta, branch?: string): Promise<Result<void>> {
-    branch = branch || "main";
+    branch = branch || this.loader.ebOpts.branch;
     this.logger.Debug().Str("branch", branch).Any("meta", meta).Msg("saving meta");
 
     // const fpMetas = await encodeEventsWithParents(this.sthis, [event], this.parents);
-    const url = await this.gateway.buildUrl({ loader: this.loader }, this.url(), branch);
-    if (url.isErr()) {
-      throw this.logger.Error().Err(url.Err()).Str("branch", branch).Msg("got error from gateway.buildUrl").AsError();
-    }
+    const url = await this.branchUrl(branch);
     const dbMetaEvent = await createDbMetaEvent(this.sthis, meta, this.parents);
-    const res = await this.gateway.put({ loader: this.loader }, url.Ok(), {
-      type: "meta",
-      payload: [dbMetaEvent],
-    } as FPEnvelopeMeta);
-    if (res.isErr()) {
-      throw this.logger.Error().Err(res.Err()).Msg("got error from gateway.put").AsError();
-    }
     // await this.loader.handleDbMetasFromStore([meta]);
     // this.loader.taskManager?.eventsWeHandled.add(event.cid.toString());
-    return res;
+    return this.saveEvents(url, [dbMetaEvent]);
+  }
+
+  async copy(from: string, to: string): Promise<boolean> {
+    const events = await this.loadEvents(await this.branchUrl(from));
+    if (!events) return false;
+    await this.saveEvents(await this.branchUrl(to), events);
+    return true;
+  }
+
+  async remove(branch: string): Promise<Result<void>> {
+    return this.gateway.delete({ loader: this.loader }, await this.branchUrl(branch));
+  }
+
+  async branches(): Promise<string[]> {
+    const events = await this.loadEvents(await this.branchUrl(branchesKey));
+    return events ? (events[0].dbMeta as BranchesMeta).branches : [];
+  }
+
+  async saveBranches(branches: string[]): Promise<void> {
+    const meta: BranchesMeta = { cars: [], branches };
+    await this.saveEvents(await this.branchUrl(branchesKey), [await createDbMetaEvent(this.sthis, meta, [])]);
+  }
+
+  async tags(): Promise<Record<string, ClockHead>> {
+    const events = await this.loadEvents(await this.branchUrl(tagsKey));
+    return events ? (events[0].dbMeta as TagsMeta).tags : {};
+  }
+
+  async saveTags(tags: Record<string, ClockHead>): Promise<void> {
+    const meta: TagsMeta = { cars: [], tags };
+    await this.saveEvents(await this.branchUrl(tagsKey), [await createDbMetaEvent(this.sthis, meta, [])]);
+  }
+
+  async quarantine(branch = this.loader.ebOpts.branch): Promise<QuarantinedDoc[]> {
+    const events = await this.loadEvents(await this.branchUrl(quarantineKey(branch)));
+    return events ? (events[0].dbMeta as QuarantineMeta).docs : [];
+  }
+
+  async saveQuarantine(docs: QuarantinedDoc[], branch = this.loader.ebOpts.branch): Promise<void> {
+    const url = await this.branchUrl(quarantineKey(branch));
+    if (!docs.length) {
+      await this.gateway.delete({ loader: this.loader }, url);
+      return;
+    }
+    const meta: QuarantineMeta = { cars: [], docs };
+    await this.saveEvents(url, [await createDbMetaEvent(this.sthis, meta, [])]);
+  }
+  async violations(branch = this.loader.ebOpts.branch): Promise<UniqueViolation[]> {
+    const events = await this.loadEvents(await this.branchUrl(violationsKey(branch)));
+    return events ? (events[0].dbMeta as ViolationsMeta).violations : [];
+  }
+  async saveViolations(violations: UniqueViolation[], branch = this.loader.ebOpts.branch): Promise<void> {
+    const url = await this.branchUrl(violationsKey(branch));
+    if (!violations.length) {
+      await this.gateway.delete({ loader: this.loader }, url);
+      return;
+    }
+    const meta: ViolationsMeta = { cars: [], violations };
+    await this.saveEvents(url, [await createDbMetaEvent(this.sthis, meta, [])]);
+  }
+  async conflicts(branch = this.loader.ebOpts.branch): Promise<Record<string, ClockHead>> {
+    const events = await this.loadEvents(await this.branchUrl(conflictsKey(branch)));
+    return events ? (events[0].dbMeta as ConflictsMeta).conflicts : {};
+  }
+  async saveConflicts(conflicts: Record<string, ClockHead>, branch = this.loader.ebOpts.branch): Promise<void> {
+    const url = await this.branchUrl(conflictsKey(branch));
+    if (!Object.keys(conflicts).length) {
+      await this.gateway.delete({ loader: this.loader }, url);
+      return;
+    }
+    const meta: ConflictsMeta = { cars: [], conflicts };
+    await this.saveEvents(url, [await createDbMetaEvent(this.sthis, meta, [])]);
   }
 
   async close(): Promise<Result<void>> {
@@ -552,7 +671,7 @@ export class WALStoreImpl extends BaseStoreImpl implements WALStore {
 
   async load(): Promise<WALState | Falsy> {
     this.logger.Debug().Msg("loading");
-    const filepath = await this.gateway.buildUrl({ loader: this.loader }, this.url(), "main");
+    const filepath = await this.gateway.buildUrl({ loader: this.loader }, this.url(), this.loader.ebOpts.branch);
     if (filepath.isErr()) {
       throw this.logger.Error().Err(filepath.Err()).Url(this.url()).Msg("error building url").AsError();
     }
@@ -570,7 +689,7 @@ export class WALStoreImpl extends BaseStoreImpl implements WALStore {
   }
 
   async save(state: WALState) {
-    const filepath = await this.gateway.buildUrl({ loader: this.loader }, this.url(), "main");
+    const filepath = await this.gateway.buildUrl({ loader: this.loader }, this.url(), this.loader.ebOpts.branch);
     if (filepath.isErr()) {
       throw this.logger.Error().Err(filepath.Err()).Url(this.url()).Msg("error building url").AsError();
     }
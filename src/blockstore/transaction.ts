@@ -15,7 +15,7 @@ import {
 
 import { Loader } from "./loader.js";
 import type { Block, Version, UnknownLink } from "multiformats";
-import { BaseBlockstore, CarTransaction, falsyToUndef, SuperThis } from "../types.js";
+import { BaseBlockstore, CarTransaction, CompactResponse, falsyToUndef, SuperThis } from "../types.js";
 import { ensureStoreEnDeFile, toStoreRuntime } from "./store-factory.js";
 import { Logger, toCryptoRuntime } from "@adviser/cement";
 import { ensureLogger, ensureSuperThis } from "../utils.js";
@@ -85,15 +85,18 @@ export function defaultedBlockstoreRuntime(
     applyMeta: (meta: TransactionMeta, snap?: boolean): Promise<void> => {
       return Promise.resolve();
     },
+    admitMeta: () => Promise.resolve(true),
     // eslint-disable-next-line @typescript-eslint/no-unused-vars
     compact: async (blocks: BlockFetcher) => {
       return {} as unknown as TransactionMeta;
     },
     autoCompact: 100,
+    branches: () => Promise.resolve([]),
     public: false,
     // name: undefined,
     threshold: 1000 * 1000,
     ...opts,
+    branch: opts.branch || "main",
     logger,
     keyBag: opts.keyBag || {},
     crypto: toCryptoRuntime(opts.crypto),
@@ -133,8 +136,8 @@ export class BaseBlockstoreImpl implements BlockFetcher {
     // no-op
   }
 
-  async compact(): Promise<void> {
-    // no-op
+  async compact(): Promise<CompactResponse> {
+    return { cars: 0, files: 0, bytes: 0 };
   }
 
   readonly logger: Logger;
@@ -269,20 +272,24 @@ export class EncryptedBlockstore extends BaseBlockstoreImpl {
     return block.bytes;
   }
 
-  async compact() {
+  // one compaction at a time per blockstore, a second call collects nothing
+  async compact(): Promise<CompactResponse> {
     await this.ready();
     if (!this.loader) throw this.logger.Error().Msg("loader required to compact").AsError();
-    if (this.loader.carLog.length < 2) return;
+    const collected = { cars: 0, files: 0, bytes: 0 };
+    if (this.loader.carLog.length < 2) return collected;
     const compactFn = this.ebOpts.compact || ((blocks: CompactionFetcher) => this.defaultCompact(blocks, this.logger));
-    if (!compactFn || this.compacting) return;
+    if (!compactFn || this.compacting) return collected;
     const blockLog = new CompactionFetcher(this);
     this.compacting = true;
-    const meta = await compactFn(blockLog);
-    await this.loader.commit(blockLog.loggedBlocks, meta, {
-      compact: true,
-      noLoader: true,
-    });
-    this.compacting = false;
+    try {
+      // cars committed from here on are not in the compacted car
+      const superseded = this.loader.carLog.asArray();
+      const meta = await compactFn(blockLog);
+      return await this.loader.commitCompact(blockLog.loggedBlocks, meta, superseded);
+    } finally {
+      this.compacting = false;
+    }
   }
 
   async defaultCompact(blocks: CompactionFetcher, logger: Logger): Promise<TransactionMeta> {
@@ -1,5 +1,18 @@
 import type { CID, Link, Version } from "multiformats";
-import { Attachable, Attached, CarTransaction, DocFileMeta, Falsy, GatewayUrls, StoreType, SuperThis } from "../types.js";
+import {
+  Attachable,
+  Attached,
+  CarTransaction,
+  ClockHead,
+  CompactResponse,
+  DocFileMeta,
+  Falsy,
+  GatewayUrls,
+  QuarantinedDoc,
+  UniqueViolation,
+  StoreType,
+  SuperThis,
+} from "../types.js";
 import { BlockFetcher } from "./transaction.js";
 import { CommitQueue } from "./commit-queue.js";
 import { KeyBag, KeyBagRuntime, KeysItem } from "../runtime/key-bag.js";
@@ -428,8 +441,28 @@ export function DbMetaEventsEqual(a: DbMetaEvent[], b: DbMetaEvent[]): boolean {
 export interface MetaStore extends BaseStore {
   readonly storeType: "meta";
   load(branch?: string): Promise<DbMeta[] | Falsy>;
-  // branch is defaulted to "main"
+  // the stored metas of a branch, without merging them like load
+  read(branch: string): Promise<DbMeta[] | Falsy>;
+  // branch is defaulted to the branch of the loader
   save(meta: DbMeta, branch?: string): Promise<Result<void>>;
+  // copies the stored meta of a branch, false if it has none
+  copy(from: string, to: string): Promise<boolean>;
+  remove(branch: string): Promise<Result<void>>;
+  // gateways can not list keys, the forked branches are kept in a list
+  branches(): Promise<string[]>;
+  saveBranches(branches: string[]): Promise<void>;
+  // the heads pinned by name, shared by the branches of the ledger
+  tags(): Promise<Record<string, ClockHead>>;
+  saveTags(tags: Record<string, ClockHead>): Promise<void>;
+  // the docs of rejected remote metas by branch, saving none removes the entry
+  quarantine(branch?: string): Promise<QuarantinedDoc[]>;
+  saveQuarantine(docs: QuarantinedDoc[], branch?: string): Promise<void>;
+  // the keys merges left on several docs by branch, likewise
+  violations(branch?: string): Promise<UniqueViolation[]>;
+  saveViolations(violations: UniqueViolation[], branch?: string): Promise<void>;
+  // the losing events of concurrent writes by doc id and branch, likewise
+  conflicts(branch?: string): Promise<Record<string, ClockHead>>;
+  saveConflicts(conflicts: Record<string, ClockHead>, branch?: string): Promise<void>;
   // onLoad(branch: string, loadHandler: LoadHandler): () => void;
   // handleByteHeads(byteHeads: Uint8Array, branch?: string): Promise<DbMetaEvent[]>;
 }
@@ -469,6 +502,8 @@ export interface WALStore extends BaseStore {
   ready(): Promise<void>;
   readonly processing?: Promise<void> | undefined;
   readonly processQueue: CommitQueue<void>;
+  // the uploads not done yet
+  readonly walState: WALState;
 
   process(): Promise<void>;
   enqueue(dbMeta: DbMeta, opts: CommitOpts): Promise<void>;
@@ -491,6 +526,8 @@ export interface StoreRuntimeUrls {
 export interface BlockstoreParams {
   readonly logger: Logger;
   readonly applyMeta: (meta: TransactionMeta, snap?: boolean) => Promise<void>;
+  // checks the meta of a remote store before it is applied, false rejects it
+  readonly admitMeta: (meta: TransactionMeta) => Promise<boolean>;
   readonly compact: CompactFn;
   readonly autoCompact: number;
   readonly crypto: CryptoRuntime;
@@ -502,6 +539,10 @@ export interface BlockstoreParams {
   readonly keyBag: KeyBagRuntime;
   readonly storeUrls: StoreURIs;
   readonly storeRuntime: StoreRuntime;
+  // the meta key the blockstore loads and commits to, default "main"
+  readonly branch: string;
+  // the branches sharing the car store, a compaction keeps their cars
+  readonly branches: () => Promise<string[]>;
 }
 
 export type BlockstoreOpts = Partial<BlockstoreParams> & {
@@ -513,6 +554,7 @@ export type BlockstoreOpts = Partial<BlockstoreParams> & {
 export interface BlockstoreRuntime {
   readonly logger: Logger;
   readonly applyMeta: (meta: TransactionMeta, snap?: boolean) => Promise<void>;
+  readonly admitMeta: (meta: TransactionMeta) => Promise<boolean>;
   readonly compact: CompactFn;
   readonly autoCompact: number;
   readonly crypto: CryptoRuntime;
@@ -525,6 +567,8 @@ export interface BlockstoreRuntime {
   readonly meta?: DbMeta;
   // readonly name?: string;
   readonly threshold: number;
+  readonly branch: string;
+  readonly branches: () => Promise<string[]>;
 }
 
 export type LocalActiveStore = Omit<ActiveStore, "active"> & { readonly active: LocalDataAndMetaAndWalStore };
@@ -668,9 +712,12 @@ export interface Loadable {
   // WALStore(): Promise<WALStore>;
   // carStore(): Promise<DataStore>;
 
-  handleDbMetasFromStore(metas: DbMeta[], store: ActiveStore): Promise<void>;
+  // the metas of another branch are admitted like remote ones
+  handleDbMetasFromStore(metas: DbMeta[], store: ActiveStore, otherBranch?: boolean): Promise<void>;
 
   commit<T = TransactionMeta>(t: CarTransaction, done: T, opts: CommitOpts): Promise<CarGroup>;
+  // commits a compacted car and deletes the cars of the car log it started from
+  commitCompact<T = TransactionMeta>(t: CarTransaction, done: T, superseded: FroozenCarLog): Promise<CompactResponse>;
   destroy(): Promise<void>;
   getBlock(cid: AnyLink, store: ActiveStore): Promise<AnyBlock | Falsy>;
   loadFileCar(cid: AnyLink /*, isPublic = false*/, store: ActiveStore): Promise<CarCacheItem>;
@@ -0,0 +1,87 @@
+import type { BaseBlockstore, BranchResponse, CRDT } from "./types.js";
+
+export const mainBranch = "main";
+
+function metaStore(blockstore: BaseBlockstore) {
+  return blockstore.loader.attachedStores.local().active.meta;
+}
+
+function branchOf(crdt: CRDT): string {
+  return crdt.blockstore.loader.ebOpts.branch;
+}
+
+// names of branches and tags, "_" starts the reserved meta keys
+export function checkName(crdt: CRDT, name: string, what: "branch" | "tag"): string {
+  if (typeof name !== "string" || !/^[A-Za-z0-9][\w.-]{0,63}$/.test(name)) {
+    throw crdt.logger.Error().Any(what, name).Msg(`invalid ${what} name`).AsError();
+  }
+  return name;
+}
+
+export function checkBranch(crdt: CRDT, branch: string): string {
+  return checkName(crdt, branch, "branch");
+}
+
+export async function listBranches(crdt: CRDT): Promise<string[]> {
+  const forked = await metaStore(crdt.blockstore).branches();
+  return [mainBranch, ...forked.filter((b) => b !== mainBranch).sort()];
+}
+
+async function saveBranches(crdt: CRDT, branches: string[]): Promise<void> {
+  await metaStore(crdt.blockstore).saveBranches(branches.filter((b) => b !== mainBranch));
+}
+
+// a branch opened without a fork starts empty, it is listed as well
+export async function registerBranch(crdt: CRDT): Promise<void> {
+  const branch = checkBranch(crdt, branchOf(crdt));
+  const branches = await listBranches(crdt);
+  if (!branches.includes(branch)) await saveBranches(crdt, [...branches, branch]);
+}
+
+export async function forkBranch(crdt: CRDT, branch: string): Promise<BranchResponse> {
+  checkBranch(crdt, branch);
+  const branches = await listBranches(crdt);
+  if (branches.includes(branch)) throw crdt.logger.Error().Str("branch", branch).Msg("branch exists").AsError();
+  const from = branchOf(crdt);
+  // the meta of the last commit already points at the current head
+  await metaStore(crdt.blockstore).copy(from, branch);
+  await metaStore(crdt.indexBlockstore).copy(from, branch);
+  await saveBranches(crdt, [...branches, branch]);
+  return { branch, clock: [...crdt.clock.head] };
+}
+
+export async function mergeBranch(crdt: CRDT, branch: string): Promise<BranchResponse> {
+  checkBranch(crdt, branch);
+  if (branch === branchOf(crdt)) {
+    throw crdt.logger.Error().Str("branch", branch).Msg("can not merge a branch into itself").AsError();
+  }
+  if (!(await listBranches(crdt)).includes(branch)) {
+    throw crdt.logger.Error().Str("branch", branch).Msg("branch not found").AsError();
+  }
+  const before = crdt.clock.head.map((c) => c.toString()).join();
+  // loading the meta merges its head into the clock, unless a validator rejects it
+  // like it rejects a remote head, its invalid docs are quarantined then
+  await metaStore(crdt.blockstore).load(branch);
+  if (crdt.clock.head.map((c) => c.toString()).join() !== before) {
+    // commits the merged head, a reopened ledger loads it from its own meta
+    await crdt.blockstore.transaction(async () => ({ head: crdt.clock.head }));
+  }
+  return { branch: branchOf(crdt), clock: [...crdt.clock.head] };
+}
+
+// only the meta of the branch goes, its cars are shared with the others
+export async function deleteBranch(crdt: CRDT, branch: string): Promise<void> {
+  checkBranch(crdt, branch);
+  if (branch === mainBranch || branch === branchOf(crdt)) {
+    throw crdt.logger.Error().Str("branch", branch).Msg("can not delete the main or the open branch").AsError();
+  }
+  await metaStore(crdt.blockstore).remove(branch);
+  await metaStore(crdt.indexBlockstore).remove(branch);
+  await metaStore(crdt.blockstore).saveQuarantine([], branch);
+  await metaStore(crdt.blockstore).saveViolations([], branch);
+  await metaStore(crdt.blockstore).saveConflicts({}, branch);
+  await saveBranches(
+    crdt,
+    (await listBranches(crdt)).filter((b) => b !== branch),
+  );
+}
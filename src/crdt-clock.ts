@@ -2,7 +2,7 @@ import { advance } from "@fireproof/vendor/@web3-storage/pail/clock";
 import { root } from "@fireproof/vendor/@web3-storage/pail/crdt";
 import { Logger, ResolveOnce } from "@adviser/cement";
 
-import { clockChangesSince } from "./crdt-helpers.js";
+import { clockAncestor, clockChangesSince, clockConflicts } from "./crdt-helpers.js";
 import {
   type DocUpdate,
   type ClockHead,
@@ -12,6 +12,7 @@ import {
   type SuperThis,
   type BaseBlockstore,
   type CarTransaction,
+  type ClockLink,
   PARAM,
 } from "./types.js";
 import { applyHeadQueue, ApplyHeadQueue } from "./apply-head-queue.js";
@@ -26,6 +27,8 @@ export class CRDTClockImpl {
   readonly zoomers = new Map<string, VoidFn>();
   readonly watchers = new Map<string, (updates: DocUpdate<DocTypes>[]) => void>();
   readonly emptyWatchers = new Map<string, VoidFn>();
+  readonly conflictWatchers = new Map<string, (conflicts: Map<string, ClockLink[]>) => void | Promise<void>>();
+  readonly mergeWatchers = new Map<string, (localHead: ClockHead, mergedHead: ClockHead) => void>();
 
   readonly blockstore: BaseBlockstore;
 
@@ -110,6 +113,22 @@ export class CRDTClockImpl {
     };
   }
 
+  onConflict(fn: (conflicts: Map<string, ClockLink[]>) => void | Promise<void>): UnReg {
+    const key = this.sthis.timeOrderedNextId().str;
+    this.conflictWatchers.set(key, fn);
+    return () => {
+      this.conflictWatchers.delete(key);
+    };
+  }
+
+  onMerge(fn: (localHead: ClockHead, mergedHead: ClockHead) => void): UnReg {
+    const key = this.sthis.timeOrderedNextId().str;
+    this.mergeWatchers.set(key, fn);
+    return () => {
+      this.mergeWatchers.delete(key);
+    };
+  }
+
   async int_applyHead(newHead: ClockHead, prevHead: ClockHead, localUpdates: boolean) {
     // if (!(this.head && prevHead && newHead)) {
     //   throw new Error("missing head");
@@ -139,8 +158,20 @@ export class CRDTClockImpl {
     }
     const tblocks = this.transaction;
 
+    const localHead = [...this.head];
     const advancedHead = await advanceBlocks(this.logger, newHead, tblocks, this.head);
+    if (advancedHead.length > 1 && !(await clockAncestor(tblocks, advancedHead))) {
+      // the merge of pail would walk these heads forever
+      this.transaction = undefined;
+      throw this.logger.Error().Msg("cannot merge heads without a common ancestor").AsError();
+    }
     const result = await root(tblocks, advancedHead);
+    // both sides only wrote concurrently if the merged head keeps events of each
+    const keeps = (head: ClockHead) => head.some((l) => advancedHead.some((a) => a.toString() === l.toString()));
+    const conflicts =
+      this.conflictWatchers.size && keeps(localHead) && keeps(newHead)
+        ? await clockConflicts(tblocks, localHead, newHead, advancedHead)
+        : new Map<string, ClockLink[]>();
     for (const { cid, bytes } of [
       ...result.additions,
       // ...result.removals
@@ -152,6 +183,13 @@ export class CRDTClockImpl {
       this.transaction = undefined;
     }
     this.setHead(advancedHead);
+    if (conflicts.size) {
+      // recorded before the merge returns, in turn so later watchers see what earlier ones stored
+      for (const fn of this.conflictWatchers.values()) await fn(conflicts);
+    }
+    if (!localUpdates) {
+      this.mergeWatchers.forEach((fn) => fn(localHead, [...advancedHead]));
+    }
   }
 }
 
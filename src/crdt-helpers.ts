@@ -3,8 +3,11 @@ import { parse } from "multiformats/link";
 import { sha256 as hasher } from "multiformats/hashes/sha2";
 import * as codec from "@ipld/dag-cbor";
 import { put, get, entries, root } from "@fireproof/vendor/@web3-storage/pail/crdt";
-import { EventBlockView, EventLink, Operation, PutOperation } from "@fireproof/vendor/@web3-storage/pail/crdt/api";
+import { EntriesOptions, EventBlockView, EventLink, Operation, PutOperation } from "@fireproof/vendor/@web3-storage/pail/crdt/api";
 import { EventFetcher, vis } from "@fireproof/vendor/@web3-storage/pail/clock";
+import { ShardFetcher } from "@fireproof/vendor/@web3-storage/pail/shard";
+import { MemoryBlockstore, MultiBlockFetcher } from "@fireproof/vendor/@web3-storage/pail/block";
+import { ShardLink, UnknownLink } from "@fireproof/vendor/@web3-storage/pail/api";
 import * as Batch from "@fireproof/vendor/@web3-storage/pail/crdt/batch";
 import {
   type EncryptedBlockstore,
@@ -26,12 +29,20 @@ import {
   type DocSet,
   type DocWithId,
   type DocTypes,
+  type AllDocsQueryOpts,
+  type ClockLink,
+  type HistoryRow,
+  type IfMatch,
+  type InvalidDoc,
+  type ValidateContext,
+  type ValidateFn,
   throwFalsy,
   CarTransaction,
   BaseBlockstore,
   PARAM,
 } from "./types.js";
 import { Result } from "@fireproof/vendor/@web3-storage/pail/crdt/api";
+import { cursorRow } from "./indexer-helpers.js";
 import { Logger } from "@adviser/cement";
 import { CarTransactionImpl } from "./blockstore/transaction.js";
 
@@ -94,6 +105,77 @@ export function sanitizeDocumentFields<T>(obj: T): T {
   return obj;
 }
 
+export function toHistoryRow<T extends DocTypes>({ id: key, value, del, clock }: DocUpdate<T>): HistoryRow<T> {
+  return {
+    key,
+    value: (del ? { _id: key, _deleted: true } : { _id: key, ...value }) as DocWithId<T>,
+    del: !!del,
+    clock: throwFalsy(clock),
+  };
+}
+
+export function toClockHead(ifMatch?: IfMatch): ClockHead | undefined {
+  if (ifMatch === undefined) return undefined;
+  if (typeof ifMatch === "string") return [parse(ifMatch) as ClockLink];
+  return Array.isArray(ifMatch) ? ifMatch : [ifMatch];
+}
+
+// ids whose current value differs from their value at the ifMatch head
+export async function ifMatchFailures<T extends DocTypes>(
+  blocks: BlockFetcher,
+  head: ClockHead,
+  updates: DocUpdate<T>[],
+): Promise<string[]> {
+  const failures: string[] = [];
+  for (const { id, ifMatch } of updates) {
+    if (!ifMatch) continue;
+    const expected = ifMatch.length ? await get(blocks, ifMatch, id) : undefined;
+    const current = head.length ? await get(blocks, head, id) : undefined;
+    if (expected?.toString() !== current?.toString()) failures.push(id);
+  }
+  return failures;
+}
+
+// the doc as validators see it, deletes keep only their id
+export function updateDoc<T extends DocTypes>(id: string, value: DocSet<T> | undefined, del?: boolean): DocWithId<T> {
+  return (del ? { _id: id, _deleted: true } : { ...value, _id: id }) as DocWithId<T>;
+}
+
+// runs every validator against the value each update replaces at head
+export async function validateUpdates<T extends DocTypes>(
+  blocks: BlockFetcher,
+  head: ClockHead,
+  updates: DocUpdate<T>[],
+  validators: ValidateFn<T>[],
+  ctx: ValidateContext,
+  logger: Logger,
+): Promise<InvalidDoc[]> {
+  const invalid: InvalidDoc[] = [];
+  for (const { id, value, del } of updates) {
+    const link = head.length ? await get(blocks, head, id) : undefined;
+    const old = link ? await getValueFromLink<T>(blocks, link, logger) : undefined;
+    const oldDoc = old && !old.del ? updateDoc<T>(id, old.doc) : undefined;
+    const newDoc = updateDoc<T>(id, value, del);
+    for (const validate of validators) {
+      try {
+        await validate(newDoc, oldDoc, ctx);
+      } catch (e) {
+        invalid.push({ id, reason: (e as Error).message ?? String(e) });
+        break;
+      }
+    }
+  }
+  return invalid;
+}
+
+// _conflicts is derived on read and never stored
+export function withoutConflicts<T>(value: T): T {
+  if (typeof value !== "object" || value === null || !("_conflicts" in value)) return value;
+  const rest = { ...value } as Record<string, unknown>;
+  delete rest._conflicts;
+  return rest as T;
+}
+
 export async function applyBulkUpdateToCrdt<T extends DocTypes>(
   store: StoreRuntime,
   tblocks: CarTransaction,
@@ -286,41 +368,281 @@ export async function clockChangesSince<T extends DocTypes>(
   opts: ChangesOptions,
   logger: Logger,
 ): Promise<{ result: DocUpdate<T>[]; head: ClockHead }> {
+  const limit = opts.limit ?? Infinity;
+  const updates: DocUpdate<T>[] = [];
+  if (limit > 0) {
+    for await (const update of clockUpdatesSince<T>(blocks, head, since, opts, logger)) {
+      updates.push(update);
+      if (updates.length >= limit) break;
+    }
+  }
+  return { result: updates.reverse(), head };
+}
+
+// the latest update per key since `since`, newest first as the clock is walked
+export function clockUpdatesSince<T extends DocTypes>(
+  blocks: BlockFetcher,
+  head: ClockHead,
+  since: ClockHead,
+  opts: ChangesOptions,
+  logger: Logger,
+): AsyncGenerator<DocUpdate<T>> {
   const eventsFetcher = (
     opts.dirty ? new DirtyEventFetcher<Operation>(logger, blocks) : new EventFetcher<Operation>(blocks)
   ) as EventFetcher<Operation>;
-  const keys = new Set<string>();
-  const updates = await gatherUpdates<T>(
-    blocks,
-    eventsFetcher,
-    head,
-    since,
-    [],
-    keys,
-    new Set<string>(),
-    opts.limit || Infinity,
-    logger,
-  );
-  return { result: updates.reverse(), head };
+  return gatherUpdates<T>(blocks, eventsFetcher, head, since, new Set<string>(), new Set<string>(), logger);
+}
+
+// the events of head down to, not including, stop; parents come before their
+// children, as they are left on the way back up
+async function eventOrder(
+  events: EventFetcher<Operation>,
+  head: ClockHead,
+  stop: ClockHead = [],
+): Promise<{ order: WalkedEvent[]; children: Map<string, string[]> }> {
+  const stopAt = new Set(stop.map((l) => l.toString()));
+  const order: WalkedEvent[] = [];
+  const children = new Map<string, string[]>();
+  const seen = new Set<string>();
+  const stack: { readonly link: ClockLink; readonly ops?: PutOperation[] }[] = [...head].reverse().map((link) => ({ link }));
+  while (stack.length) {
+    const { link, ops } = stack.pop() as { link: ClockLink; ops?: PutOperation[] };
+    if (ops) {
+      order.push({ link, ops });
+      continue;
+    }
+    if (seen.has(link.toString()) || stopAt.has(link.toString())) continue;
+    seen.add(link.toString());
+    const { value: event } = await events.get(link);
+    if (!event) continue;
+    const { type } = event.data;
+    const walked = type === "batch" ? (event.data.ops as PutOperation[]) : type === "put" ? [event.data as PutOperation] : [];
+    stack.push({ link, ops: walked });
+    for (const parent of [...event.parents].reverse()) {
+      children.set(parent.toString(), [...(children.get(parent.toString()) ?? []), link.toString()]);
+      stack.push({ link: parent });
+    }
+  }
+  return { order, children };
+}
+
+/**
+ * The latest update per key since `since` in batches, oldest event first.
+ * Each batch comes with a checkpoint covering the events read so far, so a
+ * stream resumes after any batch. The walk keeps links only, the docs are
+ * decoded batch by batch. A batch ends with an event, one carrying more ops
+ * than `batchSize` is yielded whole.
+ */
+export async function* clockBatchesSince<T extends DocTypes>(
+  blocks: BlockFetcher,
+  head: ClockHead,
+  since: ClockHead,
+  batchSize: number,
+  opts: ChangesOptions,
+  logger: Logger,
+): AsyncGenerator<{ result: DocUpdate<T>[]; head: ClockHead }> {
+  const eventsFetcher = (
+    opts.dirty ? new DirtyEventFetcher<Operation>(logger, blocks) : new EventFetcher<Operation>(blocks)
+  ) as EventFetcher<Operation>;
+  const { order, children } = await eventOrder(eventsFetcher, head, since);
+  // the last write per key wins, later events and later ops of an event first
+  const winners = new Map<string, { readonly at: number; readonly op: number }>();
+  order.forEach(({ ops }, at) => ops.forEach(({ key }, op) => winners.set(key, { at, op })));
+  const read = new Set<string>();
+  // the read events and the bounds of the walk any unread event still builds on
+  const checkpoint = (): ClockHead =>
+    [...since, ...order.filter(({ link }) => read.has(link.toString())).map(({ link }) => link)].filter((link) => {
+      const next = children.get(link.toString()) ?? [];
+      return !next.length || next.some((c) => !read.has(c));
+    });
+  let pending: { result: DocUpdate<T>[]; head: ClockHead } | undefined;
+  let batch: DocUpdate<T>[] = [];
+  for (const [at, { link, ops }] of order.entries()) {
+    for (const [op, { key, value }] of ops.entries()) {
+      const winner = winners.get(key);
+      if (key === PARAM.GENESIS_CID || winner?.at !== at || winner.op !== op) continue;
+      const docValue = await getValueFromLink<T>(blocks, value, logger);
+      batch.push({ id: key, value: docValue.doc, del: docValue.del, clock: link });
+    }
+    read.add(link.toString());
+    if (batch.length < batchSize) continue;
+    // held back until the next one, the last batch carries the head
+    if (pending) yield pending;
+    pending = { result: batch, head: checkpoint() };
+    batch = [];
+  }
+  if (batch.length) {
+    if (pending) yield pending;
+    yield { result: batch, head };
+  } else if (pending) {
+    yield { result: pending.result, head };
+  }
+}
+
+// every value `key` had along the clock, newest first: no event comes before
+// one that builds on it, even across merged branches
+export async function clockHistory<T extends DocTypes>(
+  blocks: BlockFetcher,
+  head: ClockHead,
+  key: string,
+  limit: number,
+  logger: Logger,
+): Promise<DocUpdate<T>[]> {
+  const { order } = await eventOrder(new EventFetcher<Operation>(blocks), head);
+  const updates: DocUpdate<T>[] = [];
+  for (const { link, ops } of order.reverse()) {
+    if (updates.length >= limit) break;
+    // the last op on a key within a batch wins
+    const op = [...ops].reverse().find((op) => op.key === key);
+    if (!op) continue;
+    const docValue = await getValueFromLink<T>(blocks, op.value, logger);
+    updates.push({ id: key, value: docValue.doc, del: docValue.del, clock: link });
+  }
+  return updates;
+}
+
+interface WalkedEvent {
+  readonly link: ClockLink;
+  readonly ops: PutOperation[];
+}
+
+// the events of head down to, not including, stop
+async function walkEvents(events: EventFetcher<Operation>, head: ClockHead, stop?: ClockLink): Promise<WalkedEvent[]> {
+  const seen = new Set<string>(stop ? [stop.toString()] : []);
+  const walked: WalkedEvent[] = [];
+  const stack = [...head].reverse();
+  while (stack.length) {
+    const link = stack.pop() as ClockLink;
+    if (seen.has(link.toString())) continue;
+    seen.add(link.toString());
+    const { value: event } = await events.get(link);
+    if (!event) continue;
+    const { type } = event.data;
+    let ops = [] as PutOperation[];
+    if (type === "batch") {
+      ops = event.data.ops as PutOperation[];
+    } else if (type === "put") {
+      ops = [event.data] as PutOperation[];
+    }
+    walked.push({ link, ops });
+    stack.push(...[...event.parents].reverse());
+  }
+  return walked;
+}
+
+// the event every path from the heads passes through, found like the merge of
+// the pail clock: each head steps down its single parents until one is shared
+async function commonAncestor(events: EventFetcher<Operation>, heads: ClockHead): Promise<ClockLink | undefined> {
+  if (!heads.length) return undefined;
+  const candidates = heads.map((h) => [h]);
+  for (;;) {
+    let changed = false;
+    for (const path of candidates) {
+      const next = await ancestorCandidate(events, path[path.length - 1]);
+      if (!next) continue;
+      changed = true;
+      path.push(next);
+      const shared = path.find((l) => candidates.every((other) => other.some((o) => o.toString() === l.toString())));
+      if (shared) return shared;
+    }
+    if (!changed) return undefined;
+  }
+}
+
+// the event every head builds on, undefined for heads of unrelated roots
+export async function clockAncestor(blocks: BlockFetcher, head: ClockHead): Promise<ClockLink | undefined> {
+  return commonAncestor(new EventFetcher<Operation>(blocks), head);
+}
+
+async function ancestorCandidate(events: EventFetcher<Operation>, link: ClockLink): Promise<ClockLink | undefined> {
+  const { value: event } = await events.get(link);
+  // a path ends at a root, heads of unrelated roots share no ancestor
+  if (!event?.parents.length) return undefined;
+  return event.parents.length === 1 ? event.parents[0] : commonAncestor(events, event.parents);
+}
+
+// the newest write per key of the walked events outside of exclude
+function latestWrites(walked: WalkedEvent[], exclude: Set<string>) {
+  const writes = new Map<string, { readonly clock: ClockLink; readonly value: string }>();
+  for (const { link, ops } of walked) {
+    if (exclude.has(link.toString())) continue;
+    for (let i = ops.length - 1; i >= 0; i--) {
+      const { key, value } = ops[i];
+      if (!writes.has(key)) writes.set(key, { clock: link, value: value.toString() });
+    }
+  }
+  return writes;
+}
+
+/**
+ * Finds the keys both heads wrote since their common ancestor and returns,
+ * per key, the events whose value lost against the merged head. Both walks
+ * stop at the common ancestor, heads without one are walked in full.
+ */
+export async function clockConflicts(
+  blocks: BlockFetcher,
+  localHead: ClockHead,
+  remoteHead: ClockHead,
+  mergedHead: ClockHead,
+): Promise<Map<string, ClockLink[]>> {
+  const events = new EventFetcher<Operation>(blocks);
+  const ancestor = await commonAncestor(events, [...localHead, ...remoteHead]);
+  const local = await walkEvents(events, localHead, ancestor);
+  const remote = await walkEvents(events, remoteHead, ancestor);
+  const localWrites = latestWrites(local, new Set(remote.map(({ link }) => link.toString())));
+  const remoteWrites = latestWrites(remote, new Set(local.map(({ link }) => link.toString())));
+  const conflicts = new Map<string, ClockLink[]>();
+  for (const [key, mine] of localWrites) {
+    const theirs = remoteWrites.get(key);
+    if (!theirs || key === PARAM.GENESIS_CID) continue;
+    const winner = (await get(blocks, mergedHead, key))?.toString();
+    const losers = [mine, theirs].filter(({ value }) => value !== winner).map(({ clock }) => clock);
+    if (losers.length) conflicts.set(key, losers);
+  }
+  return conflicts;
+}
+
+/**
+ * The docs a merge changed, with their merged value: keys written by events
+ * the local head did not know and whose value differs from the local one.
+ */
+export async function clockMergedUpdates<T extends DocTypes>(
+  blocks: BlockFetcher,
+  localHead: ClockHead,
+  mergedHead: ClockHead,
+  logger: Logger,
+): Promise<DocUpdate<T>[]> {
+  const events = new EventFetcher<Operation>(blocks);
+  // a single head is its own ancestor, an empty local head shares none
+  const ancestor = localHead.length ? await commonAncestor(events, [...localHead, ...mergedHead]) : undefined;
+  const local = await walkEvents(events, localHead, ancestor);
+  const merged = await walkEvents(events, mergedHead, ancestor);
+  const writes = latestWrites(merged, new Set(local.map(({ link }) => link.toString())));
+  const updates: DocUpdate<T>[] = [];
+  for (const [key, { clock }] of writes) {
+    if (key === PARAM.GENESIS_CID) continue;
+    const link = await get(blocks, mergedHead, key);
+    if (!link || link.toString() === (await get(blocks, localHead, key))?.toString()) continue;
+    const { doc, del } = await getValueFromLink<T>(blocks, link, logger);
+    updates.push({ id: key, value: doc, del, clock });
+  }
+  return updates;
 }
 
-async function gatherUpdates<T extends DocTypes>(
+async function* gatherUpdates<T extends DocTypes>(
   blocks: BlockFetcher,
   eventsFetcher: EventFetcher<Operation>,
   head: ClockHead,
   since: ClockHead,
-  updates: DocUpdate<T>[] = [],
   keys: Set<string>,
   didLinks: Set<string>,
-  limit: number,
   logger: Logger,
-): Promise<DocUpdate<T>[]> {
-  if (limit <= 0) return updates;
+): AsyncGenerator<DocUpdate<T>> {
   // if (Math.random() < 0.001) console.log('gatherUpdates', head.length, since.length, updates.length)
   const sHead = head.map((l) => l.toString());
   for (const link of since) {
     if (sHead.includes(link.toString())) {
-      return updates;
+      return;
     }
   }
   for (const link of head) {
@@ -343,26 +665,112 @@ async function gatherUpdates<T extends DocTypes>(
         if (key === PARAM.GENESIS_CID) {
           continue;
         }
-        updates.push({ id: key, value: docValue.doc, del: docValue.del, clock: link });
-        limit--;
         keys.add(key);
+        yield { id: key, value: docValue.doc, del: docValue.del, clock: link };
       }
     }
     if (event.parents) {
-      updates = await gatherUpdates(blocks, eventsFetcher, event.parents, since, updates, keys, didLinks, limit, logger);
+      yield* gatherUpdates<T>(blocks, eventsFetcher, event.parents, since, keys, didLinks, logger);
     }
   }
-  return updates;
 }
 
-export async function* getAllEntries<T extends DocTypes>(blocks: BlockFetcher, head: ClockHead, logger: Logger) {
-  // return entries(blocks, head)
-  for await (const [key, link] of entries(blocks, head)) {
-    if (key !== PARAM.GENESIS_CID) {
-      const docValue = await getValueFromLink(blocks, link, logger);
-      yield { id: key, value: docValue.doc, del: docValue.del } as DocUpdate<T>;
+export async function* getAllEntries<T extends DocTypes>(
+  blocks: BlockFetcher,
+  head: ClockHead,
+  logger: Logger,
+  opts: AllDocsQueryOpts = {},
+) {
+  // only the links are walked here, the documents are decoded
+  // once they are known to be inside the requested window
+  let limit = opts.limit ?? Infinity;
+  for await (const [key, link] of entryLinks(blocks, head, opts)) {
+    if (limit <= 0) break;
+    const docValue = await getValueFromLink(blocks, link, logger);
+    yield { id: key, value: docValue.doc, del: docValue.del } as DocUpdate<T>;
+    limit--;
+  }
+}
+
+async function* entryLinks(blocks: BlockFetcher, head: ClockHead, opts: AllDocsQueryOpts): AsyncGenerator<[string, AnyLink]> {
+  const after = opts.startAfter ? cursorRow(opts.startAfter).id : undefined;
+  if (opts.key !== undefined || Array.isArray(opts.keys)) {
+    let keys = opts.key !== undefined ? [opts.key] : (opts.keys as string[]);
+    if (opts.descending) keys = [...keys].reverse();
+    if (after !== undefined) keys = keys.slice(keys.indexOf(after) + 1);
+    for (const key of keys) {
+      if (key === PARAM.GENESIS_CID) continue;
+      const link = await get(blocks, head, key);
+      if (link) yield [key, link];
+    }
+    return;
+  }
+  const bounds: { gt?: string; gte?: string; lt?: string; lte?: string } = {};
+  if (opts.prefix !== undefined) {
+    bounds.gte = opts.prefix;
+  } else if (opts.range) {
+    bounds.gte = opts.range[0];
+    bounds.lte = opts.range[1];
+  }
+  if (after !== undefined) {
+    if (opts.descending) {
+      if (bounds.lte === undefined || after <= bounds.lte) {
+        delete bounds.lte;
+        bounds.lt = after;
+      }
+    } else if (bounds.gte === undefined || after >= bounds.gte) {
+      delete bounds.gte;
+      bounds.gt = after;
+    }
+  }
+  if (opts.descending) {
+    // keys with the prefix sort before the prefix followed by the last code unit
+    const upper = bounds.lt ?? bounds.lte ?? (opts.prefix !== undefined ? `${opts.prefix}\uffff` : undefined);
+    for await (const [key, link] of descendingEntries(blocks, head, upper)) {
+      if (key === PARAM.GENESIS_CID) continue;
+      if ((bounds.lt !== undefined && key >= bounds.lt) || (bounds.lte !== undefined && key > bounds.lte)) continue;
+      if ((bounds.gt !== undefined && key <= bounds.gt) || (bounds.gte !== undefined && key < bounds.gte)) break;
+      if (opts.prefix !== undefined && !key.startsWith(opts.prefix)) continue;
+      yield [key, link];
+    }
+    return;
+  }
+  const options = Object.keys(bounds).length ? (bounds as EntriesOptions) : undefined;
+  for await (const [key, link] of entries(blocks, head, options)) {
+    if (key === PARAM.GENESIS_CID) continue;
+    // pail yields in key order but prunes its shards coarsely,
+    // so the bounds are checked again per key
+    if ((bounds.gt !== undefined && key <= bounds.gt) || (bounds.gte !== undefined && key < bounds.gte)) continue;
+    if ((bounds.lt !== undefined && key >= bounds.lt) || (bounds.lte !== undefined && key > bounds.lte)) break;
+    if (opts.prefix !== undefined && !key.startsWith(opts.prefix)) {
+      if (key > opts.prefix) break;
+      continue;
+    }
+    yield [key, link];
+  }
+}
+
+// the entries of the pail at head from the last key down, pail only walks its
+// shards upwards. Shards whose keys all sort after upper are skipped
+async function* descendingEntries(blocks: BlockFetcher, head: ClockHead, upper?: string): AsyncGenerator<[string, AnyLink]> {
+  if (!head.length) return;
+  const { root: rootLink, additions } = await root(blocks, head);
+  const shards = new ShardFetcher(additions.length ? new MultiBlockFetcher(new MemoryBlockstore(additions), blocks) : blocks);
+  async function* walk(link: ShardLink): AsyncGenerator<[string, AnyLink]> {
+    const { value: shard } = await shards.get(link);
+    for (let i = shard.entries.length - 1; i >= 0; i--) {
+      const [suffix, value] = shard.entries[i];
+      const key = shard.prefix + suffix;
+      if (!Array.isArray(value)) {
+        yield [key, value as AnyLink];
+        continue;
+      }
+      // the keys of the child shard extend key and sort after its own value
+      if (upper === undefined || key <= upper) yield* walk(value[0]);
+      if (value[1]) yield [key, value[1] as AnyLink];
     }
   }
+  yield* walk(rootLink);
 }
 
 export async function* clockVis(blocks: BlockFetcher, head: ClockHead) {
@@ -371,14 +779,56 @@ export async function* clockVis(blocks: BlockFetcher, head: ClockHead) {
   }
 }
 
-let isCompacting = false;
-export async function doCompact(blockLog: CompactFetcher, head: ClockHead, logger: Logger) {
-  if (isCompacting) {
-    // console.log('already compacting')
-    return;
+// every block read at the head and at the pinned heads goes into the compacted car,
+// together with the whole clock history below them, so the superseded cars can be
+// deleted without losing history() or reads at an older event.
+// the blockstore runs one compaction at a time
+export async function doCompact(blockLog: CompactFetcher, head: ClockHead, logger: Logger, pinned: ClockHead[] = []) {
+  for (const h of [head, ...pinned]) await compactHead(blockLog, h, logger);
+  const seen = new Set<string>();
+  for (const h of [head, ...pinned]) await compactHistory(blockLog, h, seen);
+}
+
+// copies every event reachable from the head, the shard tree of each event's root and
+// the values in it; blocks shared between events are visited once
+async function compactHistory(blockLog: CompactFetcher, head: ClockHead, seen: Set<string>) {
+  time("compact history");
+  const events = new EventFetcher<Operation>(blockLog);
+  const shards = new ShardFetcher(blockLog);
+  const once = (link: UnknownLink) => {
+    const key = link.toString();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+  const values: UnknownLink[] = [];
+  const tree: ShardLink[] = [];
+  const todo: EventLink<Operation>[] = [...head];
+  for (let link = todo.pop(); link; link = todo.pop()) {
+    if (!once(link)) continue;
+    const { value: event } = await events.get(link);
+    todo.push(...event.parents);
+    const ops = event.data.type === "batch" ? event.data.ops : [event.data];
+    for (const op of ops) if (op.type === "put") values.push(op.value);
+    tree.push(event.data.root);
+    for (let shard = tree.pop(); shard; shard = tree.pop()) {
+      if (!once(shard)) continue;
+      const { value } = await shards.get(shard);
+      for (const [, entry] of value.entries) {
+        if (Array.isArray(entry)) {
+          tree.push(entry[0]);
+          if (entry.length === 2) values.push(entry[1]);
+        } else values.push(entry);
+      }
+    }
+    for (let value = values.pop(); value; value = values.pop()) {
+      if (once(value)) await blockLog.get(value);
+    }
   }
-  isCompacting = true;
+  timeEnd("compact history");
+}
 
+async function compactHead(blockLog: CompactFetcher, head: ClockHead, logger: Logger) {
   time("compact head");
   for (const cid of head) {
     const bl = await blockLog.get(cid);
@@ -433,8 +883,6 @@ export async function doCompact(blockLog: CompactFetcher, head: ClockHead, logge
   time("compact changes");
   await clockChangesSince(blockLog, head, [], {}, logger);
   timeEnd("compact changes");
-
-  isCompacting = false;
 }
 
 export async function getBlock(blocks: BlockFetcher, cidString: string) {
@@ -3,8 +3,15 @@ import { Logger, ResolveOnce } from "@adviser/cement";
 import { EncryptedBlockstore, type TransactionMeta, CompactFetcher, toStoreRuntime } from "./blockstore/index.js";
 import {
   clockChangesSince,
+  clockBatchesSince,
+  clockMergedUpdates,
   applyBulkUpdateToCrdt,
   getValueFromCrdt,
+  withoutConflicts,
+  ifMatchFailures,
+  validateUpdates,
+  updateDoc,
+  clockHistory,
   readFiles,
   getAllEntries,
   clockVis,
@@ -29,11 +36,30 @@ import {
   type CRDTClock,
   type CarTransaction,
   type DocTypes,
+  type AllDocsQueryOpts,
+  type GetOpts,
+  type ClockLink,
+  type BulkOpts,
+  type CRDTBulkMeta,
+  type ValidateFn,
+  type QuarantinedDoc,
+  type UnReg,
+  type VoidFn,
+  type ChangesStreamOpts,
+  type HistoryOpts,
+  type DocSet,
+  type UniqueViolation,
+  type CompactResponse,
+  throwFalsy,
   PARAM,
 } from "./types.js";
-import { index, type Index } from "./indexer.js";
+import { compactIndexes, index, type Index } from "./indexer.js";
+import { taggedHeads } from "./tag-helpers.js";
+import { listBranches } from "./branch-helpers.js";
+import { encodeKey } from "./indexer-helpers.js";
 // import { blockstoreFactory } from "./blockstore/transaction.js";
-import { ensureLogger } from "./utils.js";
+import { ensureLogger, NotFoundError } from "./utils.js";
+import { applyDocPatch } from "./patch-helpers.js";
 import { CRDTClockImpl } from "./crdt-clock.js";
 
 export class CRDTImpl implements CRDT {
@@ -60,8 +86,11 @@ export class CRDTImpl implements CRDT {
         if (!crdtMeta.head) throw this.logger.Error().Msg("missing head").AsError();
         await this.clock.applyHead(crdtMeta.head, []);
       },
+      admitMeta: (meta: TransactionMeta) => this._admitRemote(meta as CRDTMeta),
       compact: async (blocks: CompactFetcher) => {
-        await doCompact(blocks, this.clock.head, this.logger);
+        // the head has to reach the cars the compaction supersedes
+        await Promise.allSettled(this.bulks);
+        await doCompact(blocks, [...this.clock.head], this.logger, await taggedHeads(this));
         return { head: this.clock.head } as TransactionMeta;
       },
       gatewayInterceptor: opts.gatewayInterceptor,
@@ -72,6 +101,8 @@ export class CRDTImpl implements CRDT {
       // public: this.opts.public,
       meta: this.opts.meta,
       // threshold: this.opts.threshold,
+      branch: this.opts.branch,
+      branches: () => listBranches(this),
     });
     this.indexBlockstore = new EncryptedBlockstore(sthis, {
       // name: opts.name,
@@ -82,11 +113,17 @@ export class CRDTImpl implements CRDT {
           index(this, name, undefined, idx);
         }
       },
+      compact: async (blocks: CompactFetcher) => {
+        await Promise.allSettled(this.indexUpdates);
+        return (await compactIndexes(blocks, this)) as unknown as TransactionMeta;
+      },
       gatewayInterceptor: opts.gatewayInterceptor,
       storeRuntime: toStoreRuntime(this.sthis, this.opts.storeEnDe),
       storeUrls: this.opts.storeUrls.idx,
       keyBag: this.opts.keyBag,
       // public: this.opts.public,
+      branch: this.opts.branch,
+      branches: () => listBranches(this),
     });
     this.clock = new CRDTClockImpl(this.blockstore);
     this.clock.onZoom(() => {
@@ -94,13 +131,47 @@ export class CRDTImpl implements CRDT {
         idx._resetIndex();
       }
     });
+    this.clock.onConflict(async (conflicts) => {
+      const recorded = await this._conflicts();
+      for (const [key, losers] of conflicts) {
+        const known = recorded.get(key) ?? [];
+        const fresh = losers.filter((l) => !known.some((k) => k.toString() === l.toString()));
+        recorded.set(key, [...known, ...fresh]);
+      }
+      await this._saveConflicts();
+    });
+    if (opts.validate) this.addValidator(opts.validate);
+    this.clock.onMerge((localHead, mergedHead) => {
+      if (this._uniqueIndexes().length) void this._reportDuplicates(localHead, mergedHead);
+    });
   }
 
-  async bulk<T extends DocTypes>(updates: DocUpdate<T>[]): Promise<CRDTMeta> {
+  readonly validators = new Map<string, ValidateFn>();
+  // loaded from the branch meta on first use
+  readonly onceQuarantine = new ResolveOnce<Map<string, QuarantinedDoc>>();
+  // by index and encoded key, loaded like the quarantine
+  readonly onceViolations = new ResolveOnce<Map<string, UniqueViolation>>();
+
+  addValidator<T extends DocTypes>(fn: ValidateFn<T>): UnReg {
+    const key = this.sthis.timeOrderedNextId().str;
+    this.validators.set(key, fn as unknown as ValidateFn);
+    return () => {
+      this.validators.delete(key);
+    };
+  }
+
+  // by doc id, loaded like the quarantine
+  readonly onceConflicts = new ResolveOnce<Map<string, ClockLink[]>>();
+  // saves run in turn and each saves the conflicts as they are when it runs
+  conflictSaves: Promise<unknown> = Promise.resolve();
+  // a ledger opened without a head has no conflicts to load
+  openedEmpty = false;
+
+  async bulk<T extends DocTypes>(updates: DocUpdate<T>[], opts: BulkOpts = {}): Promise<CRDTBulkMeta> {
     await this.ready();
     updates = updates.map((dupdate: DocUpdate<T>) => ({
       ...dupdate,
-      value: sanitizeDocumentFields(dupdate.value),
+      value: sanitizeDocumentFields(withoutConflicts(dupdate.value)),
     }));
 
     if (this.clock.head.length === 0) {
@@ -109,10 +180,185 @@ export class CRDTImpl implements CRDT {
       // const block = await encode({ value, hasher: sha256, codec: dagCodec });
       await this._bulk([value]);
     }
-    return await this._bulk(updates);
+    const meta = await this._write(updates, opts, true);
+    if (meta.invalid || meta.duplicates) return meta;
+    // a local write supersedes the concurrent revisions
+    const conflicts = await this._conflicts();
+    const superseded = updates.filter(({ id }) => !meta.conflicts?.includes(id) && conflicts.delete(id));
+    if (superseded.length) await this._saveConflicts();
+    return meta;
   }
 
-  async _bulk<T extends DocTypes>(updates: DocUpdate<T>[]): Promise<CRDTMeta> {
+  // the last write queued per doc id, and the last write checking unique indexes
+  readonly docWrites = new Map<string, Promise<unknown>>();
+  uniqueWrites: Promise<unknown> = Promise.resolve();
+
+  async _write<T extends DocTypes>(updates: DocUpdate<T>[], opts: BulkOpts, validate: boolean): Promise<CRDTBulkMeta> {
+    // ifMatch checks and patches read the current value, so a write waits for every
+    // earlier write to its ids and checks, reads and commits in that one turn
+    const ids = Array.from(new Set(updates.map(({ id }) => id)));
+    const unique = validate && this._uniqueIndexes().length > 0;
+    const before = ids.map((id) => this.docWrites.get(id));
+    if (unique) before.push(this.uniqueWrites);
+    const run = Promise.all(before).then(() => this._checkedBulk(updates, opts, validate));
+    const settled = run.catch(() => undefined);
+    for (const id of ids) this.docWrites.set(id, settled);
+    if (unique) this.uniqueWrites = settled;
+    try {
+      return await run;
+    } finally {
+      for (const id of ids) {
+        if (this.docWrites.get(id) === settled) this.docWrites.delete(id);
+      }
+    }
+  }
+
+  async _checkedBulk<T extends DocTypes>(updates: DocUpdate<T>[], opts: BulkOpts, validate: boolean): Promise<CRDTBulkMeta> {
+    updates = await Promise.all(updates.map((update) => (update.patch ? this._patched(update) : update)));
+    if (validate && this.validators.size) {
+      const validators = Array.from(this.validators.values()) as unknown as ValidateFn<T>[];
+      const invalid = await validateUpdates(
+        this.blockstore,
+        this.clock.head,
+        updates,
+        validators,
+        { origin: "local" },
+        this.logger,
+      );
+      if (invalid.length) return { head: [...this.clock.head], invalid };
+    }
+    if (validate) {
+      const duplicates: UniqueViolation[] = [];
+      for (const idx of this._uniqueIndexes()) duplicates.push(...(await idx.duplicates(updates)));
+      if (duplicates.length) return { head: [...this.clock.head], duplicates };
+    }
+    return this._bulk(updates, opts);
+  }
+
+  // indexes declared unique, hydrated ones only once they have a map function
+  _uniqueIndexes(): Index<IndexKeyType, NonNullable<unknown>>[] {
+    return Array.from(this.indexers.values()).filter((idx) => idx.unique);
+  }
+
+  // records the keys a merge left on several docs, the docs are kept as merged
+  async _reportDuplicates(localHead: ClockHead, mergedHead: ClockHead): Promise<void> {
+    try {
+      const updates = await clockMergedUpdates<Record<string, unknown>>(this.blockstore, localHead, mergedHead, this.logger);
+      const violations = await this._violations();
+      let found = false;
+      for (const idx of this._uniqueIndexes()) {
+        for (const violation of await idx.duplicates(updates)) {
+          this.logger.Warn().Any("violation", violation).Msg("merge broke a unique index");
+          violations.set(`${violation.index}/${encodeKey(violation.key)}`, violation);
+          found = true;
+        }
+      }
+      if (found) await this._metaStore().saveViolations(Array.from(violations.values()));
+    } catch (e) {
+      this.logger.Error().Err(e).Msg("unique check error");
+    }
+  }
+
+  // the recorded violations still holding, the others are dropped, violations
+  // of an index that can not be queried in this session are kept as recorded
+  async uniqueViolations(): Promise<UniqueViolation[]> {
+    await this.ready();
+    const violations = await this._violations();
+    let changed = false;
+    for (const [id, violation] of violations) {
+      const { index: name, key } = violation;
+      const idx = this.indexers.get(name);
+      if (idx && !idx.mapFn) continue;
+      const { rows } = idx ? await idx.query({ range: [key, key], includeDocs: false }) : { rows: [] };
+      const ids = Array.from(new Set(rows.map((r) => r.id))).sort();
+      if (ids.length > 1) {
+        changed ||= ids.join() !== violation.ids.join();
+        violations.set(id, { index: name, key, ids });
+      } else {
+        changed = true;
+        violations.delete(id);
+      }
+    }
+    if (changed) await this._metaStore().saveViolations(Array.from(violations.values()));
+    return Array.from(violations.values());
+  }
+
+  _violations(): Promise<Map<string, UniqueViolation>> {
+    return this.onceViolations.once(
+      async () => new Map((await this._metaStore().violations()).map((v) => [`${v.index}/${encodeKey(v.key)}`, v])),
+    );
+  }
+
+  // turns a patch into the value it writes, read at the current head inside the
+  // write turn of its id (see _write), so no other write to the doc lands in between
+  async _patched<T extends DocTypes>(update: DocUpdate<T>): Promise<DocUpdate<T>> {
+    const { id, patch } = update;
+    const current = this.clock.head.length
+      ? await getValueFromCrdt<T>(this.blockstore, this.clock.head, id, this.logger).catch(() => undefined)
+      : undefined;
+    if (!current || current.del) throw new NotFoundError(`Not found: ${id}`);
+    const patched = applyDocPatch(this.logger, current.doc as unknown as Record<string, unknown>, throwFalsy(patch));
+    const value = sanitizeDocumentFields({ ...patched, _id: id }) as DocSet<T>;
+    return { ...update, value, patch: undefined };
+  }
+
+  // validates what a remote meta brings in before it is merged, a head carrying an
+  // invalid revision is not merged at all and its invalid docs are quarantined
+  async _admitRemote(meta: CRDTMeta): Promise<boolean> {
+    if (!this.validators.size || !meta.head?.length) return true;
+    const localHead = [...this.clock.head];
+    const updates = await clockMergedUpdates<Record<string, unknown>>(this.blockstore, localHead, meta.head, this.logger);
+    const validators = Array.from(this.validators.values());
+    const invalid = await validateUpdates(this.blockstore, localHead, updates, validators, { origin: "remote" }, this.logger);
+    const quarantine = await this._quarantine();
+    if (!invalid.length) {
+      // a valid revision on top of a quarantined one releases it
+      const released = updates.filter(({ id }) => quarantine.delete(id));
+      if (released.length) await this._metaStore().saveQuarantine(Array.from(quarantine.values()));
+      return true;
+    }
+    for (const { id, reason } of invalid) {
+      const update = updates.find((u) => u.id === id) as DocUpdate<Record<string, unknown>>;
+      quarantine.set(id, { id, reason, doc: updateDoc(id, update.value, update.del), clock: [...meta.head] });
+    }
+    await this._metaStore().saveQuarantine(Array.from(quarantine.values()));
+    this.logger.Warn().Any("invalid", invalid).Msg("quarantined remote updates");
+    return false;
+  }
+
+  async quarantined(): Promise<QuarantinedDoc[]> {
+    await this.ready();
+    return Array.from((await this._quarantine()).values());
+  }
+
+  _quarantine(): Promise<Map<string, QuarantinedDoc>> {
+    return this.onceQuarantine.once(async () => new Map((await this._metaStore().quarantine()).map((doc) => [doc.id, doc])));
+  }
+
+  _metaStore() {
+    return this.blockstore.loader.attachedStores.local().active.meta;
+  }
+
+  // the bulks in flight, their car can be committed before their head is applied
+  readonly bulks = new Set<Promise<unknown>>();
+  readonly indexUpdates = new Set<Promise<unknown>>();
+
+  async _bulk<T extends DocTypes>(updates: DocUpdate<T>[], opts: BulkOpts = {}): Promise<CRDTBulkMeta> {
+    const bulk = this._applyBulk(updates, opts);
+    this.bulks.add(bulk);
+    try {
+      return await bulk;
+    } finally {
+      this.bulks.delete(bulk);
+    }
+  }
+
+  async _applyBulk<T extends DocTypes>(updates: DocUpdate<T>[], opts: BulkOpts): Promise<CRDTBulkMeta> {
+    const conflicts = await ifMatchFailures(this.blockstore, this.clock.head, updates);
+    if (conflicts.length && (opts.allOrNothing || conflicts.length === updates.length)) {
+      return { head: [...this.clock.head], conflicts };
+    }
+    updates = updates.filter(({ id }) => !conflicts.includes(id));
     const prevHead = [...this.clock.head];
     const done = await this.blockstore.transaction<CRDTMeta>(async (blocks: CarTransaction): Promise<CRDTMeta> => {
       const { head } = await applyBulkUpdateToCrdt<DocTypes>(
@@ -130,7 +376,7 @@ export class CRDTImpl implements CRDT {
       return { head };
     });
     await this.clock.applyHead(done.meta.head, prevHead, updates);
-    return done.meta;
+    return conflicts.length ? { ...done.meta, conflicts } : done.meta;
   }
 
   readonly onceReady: ResolveOnce<void> = new ResolveOnce<void>();
@@ -145,6 +391,7 @@ export class CRDTImpl implements CRDT {
         // await this.clock.ready();
         // console.log("bs-ready-post-3")
         await Promise.all([this.blockstore.ready(), this.indexBlockstore.ready(), this.clock.ready()]);
+        this.openedEmpty = this.clock.head.length === 0;
       } catch (e) {
         throw this.logger.Error().Err(e).Msg(`CRDT is not ready`).AsError();
       }
@@ -164,13 +411,14 @@ export class CRDTImpl implements CRDT {
 
   // if (snap) await this.clock.applyHead(crdtMeta.head, this.clock.head)
 
-  async allDocs<T extends DocTypes>(): Promise<{ result: DocUpdate<T>[]; head: ClockHead }> {
+  async allDocs<T extends DocTypes>(opts: AllDocsQueryOpts = {}): Promise<{ result: DocUpdate<T>[]; head: ClockHead }> {
     await this.ready();
+    const head = opts.head ?? this.clock.head;
     const result: DocUpdate<T>[] = [];
-    for await (const entry of getAllEntries<DocTypes>(this.blockstore, this.clock.head, this.logger)) {
+    for await (const entry of getAllEntries<DocTypes>(this.blockstore, head, this.logger, opts)) {
       result.push(entry as DocUpdate<T>);
     }
-    return { result, head: this.clock.head };
+    return { result, head };
   }
 
   async vis(): Promise<string> {
@@ -187,9 +435,10 @@ export class CRDTImpl implements CRDT {
     return await getBlock(this.blockstore, cidString);
   }
 
-  async get(key: string): Promise<DocValue<DocTypes> | Falsy> {
+  async get(key: string, opts: GetOpts = {}): Promise<DocValue<DocTypes> | Falsy> {
     await this.ready();
-    const result = await getValueFromCrdt<DocTypes>(this.blockstore, this.clock.head, key, this.logger);
+    const head = opts.at ? [opts.at] : (opts.head ?? this.clock.head);
+    const result = await getValueFromCrdt<DocTypes>(this.blockstore, head, key, this.logger);
     if (result.del) return undefined;
     return result;
   }
@@ -205,8 +454,80 @@ export class CRDTImpl implements CRDT {
     return await clockChangesSince<T>(this.blockstore, this.clock.head, since, opts, this.logger);
   }
 
-  async compact(): Promise<void> {
+  async *changesStream<T extends DocTypes>(
+    since: ClockHead = [],
+    opts: ChangesStreamOpts = {},
+  ): AsyncGenerator<{ result: DocUpdate<T>[]; head: ClockHead }> {
+    await this.ready();
+    const batchSize = opts.batchSize && opts.batchSize > 0 ? opts.batchSize : 100;
+    const { signal } = opts;
+    // ticks while a batch is consumed only mark the stream dirty, the next walk picks them up
+    let dirty = false;
+    let wakeUp: VoidFn | undefined;
+    const wake = () => {
+      dirty = true;
+      wakeUp?.();
+    };
+    const unreg = opts.live ? this.clock.onTick(wake) : undefined;
+    signal?.addEventListener("abort", wake);
+    let checkpoint = since;
+    try {
+      while (!signal?.aborted) {
+        dirty = false;
+        const head = [...this.clock.head];
+        // every batch carries a checkpoint to resume from
+        for await (const batch of clockBatchesSince<T>(this.blockstore, head, checkpoint, batchSize, opts, this.logger)) {
+          if (signal?.aborted) return;
+          yield batch;
+        }
+        checkpoint = head;
+        if (!opts.live) return;
+        if (!dirty && !signal?.aborted) await new Promise<void>((resolve) => (wakeUp = resolve));
+        wakeUp = undefined;
+      }
+    } finally {
+      unreg?.();
+      signal?.removeEventListener("abort", wake);
+    }
+  }
+
+  async history<T extends DocTypes>(key: string, opts: HistoryOpts = {}): Promise<{ result: DocUpdate<T>[]; head: ClockHead }> {
+    await this.ready();
+    const head = this.clock.head;
+    return { result: await clockHistory<T>(this.blockstore, head, key, opts.limit ?? Infinity, this.logger), head };
+  }
+
+  async conflictClocks(key: string): Promise<ClockLink[]> {
+    await this.ready();
+    return (await this._conflicts()).get(key) ?? [];
+  }
+
+  _conflicts(): Promise<Map<string, ClockLink[]>> {
+    return this.onceConflicts.once(
+      async () => new Map(this.openedEmpty ? [] : Object.entries(await this._metaStore().conflicts())),
+    );
+  }
+
+  _saveConflicts(): Promise<void> {
+    const save = this.conflictSaves.then(async () => this._metaStore().saveConflicts(Object.fromEntries(await this._conflicts())));
+    this.conflictSaves = save.catch(() => undefined);
+    return save;
+  }
+
+  async docConflicts<T extends DocTypes>(key: string): Promise<DocUpdate<T>[]> {
+    return Promise.all(
+      (await this.conflictClocks(key)).map(async (clock) => {
+        const { doc, del } = await getValueFromCrdt<T>(this.blockstore, [clock], key, this.logger);
+        return { id: key, value: doc, del, clock };
+      }),
+    );
+  }
+
+  async compact(): Promise<CompactResponse> {
     const blocks = this.blockstore as EncryptedBlockstore;
-    return await blocks.compact();
+    const data = await blocks.compact();
+    // keeps the blocks of the indexes in the meta, dropped ones are left behind
+    const idx = await (this.indexBlockstore as EncryptedBlockstore).compact();
+    return { cars: data.cars + idx.cars, files: data.files + idx.files, bytes: data.bytes + idx.bytes };
   }
 }
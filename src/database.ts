@@ -1,9 +1,11 @@
 import { Logger } from "@adviser/cement";
-import { index } from "./indexer.js";
+import { dropIndex, index, type Index } from "./indexer.js";
 import type {
   ClockHead,
   MapFn,
   QueryOpts,
+  ReduceQueryOpts,
+  ReduceRows,
   ChangesOptions,
   DocSet,
   DocWithId,
@@ -16,7 +18,6 @@ import type {
   IndexRows,
   DocFragment,
   ChangesResponseRow,
-  CRDTMeta,
   AllDocsQueryOpts,
   AllDocsResponse,
   SuperThis,
@@ -24,10 +25,71 @@ import type {
   Ledger,
   Attachable,
   Attached,
+  FindQuery,
+  FindResponse,
+  FindExplain,
+  GetOpts,
+  HistoryOpts,
+  HistoryResponse,
+  ConflictsResponse,
+  CRDTBulkMeta,
+  WriteOpts,
+  BulkOpts,
+  InvalidDoc,
+  UniqueViolation,
+  ViolationsResponse,
+  DocPatch,
+  ChangesStreamOpts,
+  SubscribeOpts,
+  IndexWatchFn,
+  DocUpdate,
+  QuarantineResponse,
+  UnReg,
+  ValidateFn,
+  IndexDef,
+  SearchOpts,
+  SearchResponse,
+  NearestOpts,
+  IndexInfo,
+  ExportArchiveOpts,
+  ExportDocsOpts,
+  ImportDocsOpts,
+  ImportDocsResponse,
+  BranchResponse,
+  BranchesResponse,
+  TagRow,
+  TagsResponse,
+  CompactResponse,
 } from "./types.js";
-import { ensureLogger, NotFoundError } from "./utils.js";
+import { throwFalsy } from "./types.js";
+import { ConflictError, ensureLogger, NotFoundError, UniqueConstraintError, ValidationError } from "./utils.js";
 
 import { makeName } from "./utils.js";
+import { toClockHead, toHistoryRow } from "./crdt-helpers.js";
+import { toCursor } from "./indexer-helpers.js";
+import { resolveIncludes } from "./include-helpers.js";
+import { exportArchive } from "./archive-helpers.js";
+import { exportDocs, importUpdate, parseDocs } from "./docs-json-helpers.js";
+import { deleteBranch, forkBranch, listBranches, mainBranch, mergeBranch } from "./branch-helpers.js";
+import { addTag, listTags, removeTag, tagHead } from "./tag-helpers.js";
+import { matchCondition, parseSelector, pathMapFn, planFind, projectDoc, sortDocs, FindPlan } from "./find-helpers.js";
+
+function toChangesRow<T extends DocTypes>({ id: key, value, del, clock }: DocUpdate<T>): ChangesResponseRow<T> {
+  return {
+    key,
+    value: (del ? { _id: key, _deleted: true } : { _id: key, ...value }) as DocWithId<T>,
+    clock,
+  };
+}
+
+function validationError(invalid: InvalidDoc[]): ValidationError {
+  return new ValidationError(`Invalid: ${invalid.map(({ id, reason }) => `${id} ${reason}`).join(", ")}`, invalid);
+}
+
+function uniqueError(duplicates: UniqueViolation[]): UniqueConstraintError {
+  const msg = duplicates.map(({ index, key, ids }) => `${index} ${JSON.stringify(key)} on ${ids.join(" ")}`).join(", ");
+  return new UniqueConstraintError(`Duplicate: ${msg}`, duplicates);
+}
 
 export function isDatabase(db: unknown): db is Database {
   return db instanceof DatabaseImpl;
@@ -69,20 +131,29 @@ export class DatabaseImpl implements Database {
     return this.ledger.name;
   }
 
-  async get<T extends DocTypes>(id: string): Promise<DocWithId<T>> {
+  get branch() {
+    return this.ledger.opts.branch || mainBranch;
+  }
+
+  async get<T extends DocTypes>(id: string, opts: GetOpts = {}): Promise<DocWithId<T>> {
     if (!id) throw this.logger.Error().Str("db", this.name).Msg(`Doc id is required`).AsError();
 
     await this.ready();
-    this.logger.Debug().Str("id", id).Msg("get");
-    const got = await this.ledger.crdt.get(id).catch((e) => {
+    this.logger.Debug().Str("id", id).Any("opts", opts).Msg("get");
+    opts = await this._atTag(opts);
+    const got = await this.ledger.crdt.get(id, opts).catch((e) => {
       throw new NotFoundError(`Not found: ${id} - ${e.message}`);
     });
     if (!got) throw new NotFoundError(`Not found: ${id}`);
     const { doc } = got;
+    const conflicts = opts.at || opts.head ? undefined : await this.ledger.crdt.conflictClocks(id);
+    if (conflicts?.length) {
+      return { ...(doc as unknown as DocWithId<T>), _id: id, _conflicts: conflicts.map((c) => c.toString()) };
+    }
     return { ...(doc as unknown as DocWithId<T>), _id: id };
   }
 
-  async put<T extends DocTypes>(doc: DocSet<T>): Promise<DocResponse> {
+  async put<T extends DocTypes>(doc: DocSet<T>, opts: WriteOpts = {}): Promise<DocResponse> {
     await this.ready();
     this.logger.Debug().Str("id", doc._id).Msg("put");
     const { _id, ...value } = doc;
@@ -93,11 +164,15 @@ export class DatabaseImpl implements Database {
         ...(value as unknown as DocSet<T>),
         _id: docId,
       },
-    })) as CRDTMeta;
+      ifMatch: toClockHead(opts.ifMatch),
+    })) as CRDTBulkMeta;
+    if (result.invalid) throw validationError(result.invalid);
+    if (result.duplicates) throw uniqueError(result.duplicates);
+    if (result.conflicts) throw new ConflictError(`Conflict: ${docId} changed since ifMatch`, result.conflicts);
     return { id: docId, clock: result?.head, name: this.name } as DocResponse;
   }
 
-  async bulk<T extends DocTypes>(docs: DocSet<T>[]): Promise<BulkResponse> {
+  async bulk<T extends DocTypes>(docs: DocSet<T>[], opts: BulkOpts = {}): Promise<BulkResponse> {
     await this.ready();
 
     const updates = docs.map((doc) => {
@@ -108,41 +183,200 @@ export class DatabaseImpl implements Database {
           ...(doc as unknown as DocSet<T>),
           _id: id,
         },
+        ifMatch: toClockHead(opts.ifMatch?.[id]),
       };
     });
-    const result = (await this.ledger.writeQueue.bulk(updates)) as CRDTMeta;
-    return { ids: updates.map((u) => u.id), clock: result.head, name: this.name } as BulkResponse;
+    const result = (await this.ledger.writeQueue.bulk(updates, opts)) as CRDTBulkMeta;
+    const { conflicts } = result;
+    if (result.invalid) throw validationError(result.invalid);
+    if (result.duplicates) throw uniqueError(result.duplicates);
+    if (conflicts && opts.allOrNothing)
+      throw new ConflictError(`Conflict: ${conflicts.join(", ")} changed since ifMatch`, conflicts);
+    const ids = updates.map((u) => u.id).filter((id) => !conflicts?.includes(id));
+    return { ids, clock: result.head, name: this.name, conflicts } as BulkResponse;
   }
 
-  async del(id: string): Promise<DocResponse> {
+  async del(id: string, opts: WriteOpts = {}): Promise<DocResponse> {
     await this.ready();
     this.logger.Debug().Str("id", id).Msg("del");
-    const result = (await this.ledger.writeQueue.push({ id: id, del: true })) as CRDTMeta;
+    const result = (await this.ledger.writeQueue.push({
+      id: id,
+      del: true,
+      ifMatch: toClockHead(opts.ifMatch),
+    })) as CRDTBulkMeta;
+    if (result.invalid) throw validationError(result.invalid);
+    if (result.duplicates) throw uniqueError(result.duplicates);
+    if (result.conflicts) throw new ConflictError(`Conflict: ${id} changed since ifMatch`, result.conflicts);
     return { id, clock: result?.head, name: this.name } as DocResponse;
   }
 
+  async patch(id: string, patch: DocPatch, opts: WriteOpts = {}): Promise<DocResponse> {
+    await this.ready();
+    this.logger.Debug().Str("id", id).Msg("patch");
+    const result = (await this.ledger.writeQueue.push({
+      id,
+      patch,
+      ifMatch: toClockHead(opts.ifMatch),
+    })) as CRDTBulkMeta;
+    if (result.invalid) throw validationError(result.invalid);
+    if (result.duplicates) throw uniqueError(result.duplicates);
+    if (result.conflicts) throw new ConflictError(`Conflict: ${id} changed since ifMatch`, result.conflicts);
+    return { id, clock: result.head, name: this.name } as DocResponse;
+  }
+
   async changes<T extends DocTypes>(since: ClockHead = [], opts: ChangesOptions = {}): Promise<ChangesResponse<T>> {
     await this.ready();
     this.logger.Debug().Any("since", since).Any("opts", opts).Msg("changes");
-    const { result, head } = await this.ledger.crdt.changes(since, opts);
-    const rows: ChangesResponseRow<T>[] = result.map(({ id: key, value, del, clock }) => ({
-      key,
-      value: (del ? { _id: key, _deleted: true } : { _id: key, ...value }) as DocWithId<T>,
-      clock,
-    }));
+    const { result, head } = await this.ledger.crdt.changes<T>(since, opts);
+    return { rows: result.map((update) => toChangesRow<T>(update)), clock: head, name: this.name };
+  }
+
+  async *changesStream<T extends DocTypes>(
+    since: ClockHead = [],
+    opts: ChangesStreamOpts = {},
+  ): AsyncGenerator<ChangesResponse<T>> {
+    await this.ready();
+    this.logger.Debug().Any("since", since).Any("opts", opts).Msg("changesStream");
+    for await (const { result, head } of this.ledger.crdt.changesStream<T>(since, opts)) {
+      yield { rows: result.map((update) => toChangesRow<T>(update)), clock: head, name: this.name };
+    }
+  }
+
+  async *exportArchive(opts: ExportArchiveOpts = {}): AsyncGenerator<Uint8Array> {
+    await this.ready();
+    this.logger.Debug().Any("opts", opts).Msg("exportArchive");
+    yield* exportArchive(this.ledger.crdt, opts);
+  }
+
+  async *exportDocs(opts: ExportDocsOpts = {}): AsyncGenerator<string> {
+    await this.ready();
+    this.logger.Debug().Any("opts", opts).Msg("exportDocs");
+    yield* exportDocs(this.ledger.crdt, opts);
+  }
+
+  async importDocs(stream: AsyncIterable<string | Uint8Array>, opts: ImportDocsOpts = {}): Promise<ImportDocsResponse> {
+    await this.ready();
+    this.logger.Debug().Any("opts", opts).Msg("importDocs");
+    const batchSize = opts.batchSize && opts.batchSize > 0 ? opts.batchSize : 100;
+    let clock = this.ledger.crdt.clock.head;
+    let imported = 0;
+    let batches = 0;
+    let batch: DocUpdate<DocTypes>[] = [];
+    const flush = async () => {
+      const result = (await this.ledger.writeQueue.bulk(batch)) as CRDTBulkMeta;
+      if (result.invalid) throw validationError(result.invalid);
+      if (result.duplicates) throw uniqueError(result.duplicates);
+      clock = result.head;
+      imported += batch.length;
+      batch = [];
+      opts.onProgress?.({ imported, batches: ++batches });
+    };
+    for await (const doc of parseDocs(this.sthis, this.logger, stream, opts.format)) {
+      const update = importUpdate(doc, opts.idStrategy, () => this.sthis.timeOrderedNextId().str);
+      if (update) batch.push(update);
+      if (batch.length >= batchSize) await flush();
+    }
+    if (batch.length) await flush();
+    return { imported, clock, name: this.name };
+  }
+
+  async fork(branch: string): Promise<BranchResponse> {
+    await this.ready();
+    this.logger.Debug().Str("branch", branch).Msg("fork");
+    return forkBranch(this.ledger.crdt, branch);
+  }
+
+  async merge(branch: string): Promise<BranchResponse> {
+    await this.ready();
+    this.logger.Debug().Str("branch", branch).Msg("merge");
+    return mergeBranch(this.ledger.crdt, branch);
+  }
+
+  async branches(): Promise<BranchesResponse> {
+    await this.ready();
+    return { rows: await listBranches(this.ledger.crdt) };
+  }
+
+  async deleteBranch(branch: string): Promise<void> {
+    await this.ready();
+    this.logger.Debug().Str("branch", branch).Msg("deleteBranch");
+    await deleteBranch(this.ledger.crdt, branch);
+  }
+
+  async tag(tag: string, head?: ClockHead): Promise<TagRow> {
+    await this.ready();
+    this.logger.Debug().Str("tag", tag).Any("head", head).Msg("tag");
+    return addTag(this.ledger.crdt, tag, head);
+  }
+
+  async tags(): Promise<TagsResponse> {
+    await this.ready();
+    return { rows: await listTags(this.ledger.crdt) };
+  }
+
+  async untag(tag: string): Promise<void> {
+    await this.ready();
+    this.logger.Debug().Str("tag", tag).Msg("untag");
+    await removeTag(this.ledger.crdt, tag);
+  }
+
+  // read options with a tag read at the head it pins
+  async _atTag<O extends { readonly tag?: string; readonly head?: ClockHead }>(opts: O): Promise<O> {
+    if (opts.tag === undefined) return opts;
+    if (opts.head) throw this.logger.Error().Str("tag", opts.tag).Msg("read at a head or at a tag").AsError();
+    const { tag, ...rest } = opts;
+    return { ...rest, head: await tagHead(this.ledger.crdt, tag) } as unknown as O;
+  }
+
+  async history<T extends DocTypes>(id: string, opts: HistoryOpts = {}): Promise<HistoryResponse<T>> {
+    if (!id) throw this.logger.Error().Str("db", this.name).Msg(`Doc id is required`).AsError();
+    await this.ready();
+    this.logger.Debug().Str("id", id).Any("opts", opts).Msg("history");
+    const { result, head } = await this.ledger.crdt.history<T>(id, opts);
+    const rows = result.map((update) => toHistoryRow(update));
     return { rows, clock: head, name: this.name };
   }
 
+  async conflicts<T extends DocTypes>(id: string): Promise<ConflictsResponse<T>> {
+    await this.ready();
+    this.logger.Debug().Str("id", id).Msg("conflicts");
+    const result = await this.ledger.crdt.docConflicts<T>(id);
+    const rows = result.map((update) => toHistoryRow(update));
+    return { rows };
+  }
+
+  async quarantined<T extends DocTypes>(): Promise<QuarantineResponse<T>> {
+    await this.ready();
+    const rows = (await this.ledger.crdt.quarantined()) as unknown as QuarantineResponse<T>["rows"];
+    return { rows };
+  }
+
+  async violations(): Promise<ViolationsResponse> {
+    await this.ready();
+    return { rows: await this.ledger.crdt.uniqueViolations() };
+  }
+
+  addValidator<T extends DocTypes>(fn: ValidateFn<T>): UnReg {
+    return this.ledger.crdt.addValidator(fn);
+  }
+
   async allDocs<T extends DocTypes>(opts: AllDocsQueryOpts = {}): Promise<AllDocsResponse<T>> {
     await this.ready();
-    void opts;
-    this.logger.Debug().Msg("allDocs");
-    const { result, head } = await this.ledger.crdt.allDocs();
-    const rows = result.map(({ id: key, value, del }) => ({
+    this.logger.Debug().Any("opts", opts).Msg("allDocs");
+    opts = await this._atTag(opts);
+    const { result, head } = await this.ledger.crdt.allDocs(opts);
+    let rows: AllDocsResponse<T>["rows"] = result.map(({ id: key, value, del }) => ({
       key,
       value: (del ? { _id: key, _deleted: true } : { _id: key, ...value }) as DocWithId<T>,
     }));
-    return { rows, clock: head, name: this.name };
+    if (opts.include) {
+      const docs = rows.map(({ value }) => (value._deleted ? undefined : value));
+      const included = await resolveIncludes(this.ledger.crdt, docs, opts.include, head);
+      rows = rows.map((row, i) => ({ ...row, included: included[i] }));
+    }
+    const last = rows[rows.length - 1];
+    const cursor = opts.limit && rows.length === opts.limit ? toCursor({ key: last.key, id: last.key }) : undefined;
+    return { rows, clock: head, name: this.name, cursor };
   }
 
   async allDocuments<T extends DocTypes>(): Promise<{
@@ -155,24 +389,124 @@ export class DatabaseImpl implements Database {
     return this.allDocs<T>();
   }
 
-  subscribe<T extends DocTypes>(listener: ListenerFn<T>, updates?: boolean): () => void {
+  subscribe<T extends DocTypes>(listener: ListenerFn<T>, updates?: boolean | SubscribeOpts<T>): () => void {
     return this.ledger.subscribe(listener, updates);
   }
 
   // todo if we add this onto dbs in fireproof.ts then we can make index.ts a separate package
+  query<K extends IndexKeyType, T extends DocTypes, V = unknown>(
+    field: string | MapFn<T>,
+    opts: ReduceQueryOpts<K>,
+  ): Promise<ReduceRows<K, V>>;
+  query<K extends IndexKeyType, T extends DocTypes, R extends DocFragment = T>(
+    field: string | MapFn<T>,
+    opts?: QueryOpts<K>,
+  ): Promise<IndexRows<K, T, R>>;
   async query<K extends IndexKeyType, T extends DocTypes, R extends DocFragment = T>(
     field: string | MapFn<T>,
     opts: QueryOpts<K> = {},
-  ): Promise<IndexRows<K, T, R>> {
+  ): Promise<IndexRows<K, T, R> | ReduceRows<K>> {
     await this.ready();
     this.logger.Debug().Any("field", field).Any("opts", opts).Msg("query");
+    opts = await this._atTag(opts);
     // const _crdt = this.ledger.crdt as unknown as CRDT<T>;
     const idx = typeof field === "string" ? index<K, T, R>(this, field) : index<K, T, R>(this, makeName(field.toString()), field);
+    if (opts.reduce) return await idx.query(opts as ReduceQueryOpts<K>);
     return await idx.query(opts);
   }
 
-  async compact() {
+  liveQuery<K extends IndexKeyType, T extends DocTypes, R extends DocFragment = T>(
+    field: string | MapFn<T>,
+    opts: QueryOpts<K>,
+    cb: IndexWatchFn<K, T, R>,
+  ): UnReg {
+    this.logger.Debug().Any("field", field).Any("opts", opts).Msg("liveQuery");
+    const idx = typeof field === "string" ? index<K, T, R>(this, field) : index<K, T, R>(this, makeName(field.toString()), field);
+    return idx.watch(opts, cb);
+  }
+
+  index<T extends DocTypes>(name: string, def: IndexDef, mapFn?: MapFn<T>): Index<IndexKeyType, T, DocFragment> {
+    this.logger.Debug().Str("name", name).Any("def", def).Msg("index");
+    return index<IndexKeyType, T, DocFragment>(this, name, mapFn, undefined, def);
+  }
+
+  async search<T extends DocTypes>(name: string, query: string, opts: SearchOpts = {}): Promise<SearchResponse<T>> {
+    await this.ready();
+    this.logger.Debug().Str("name", name).Str("query", query).Any("opts", opts).Msg("search");
+    return this._namedIndex<T>(name).search(query, opts);
+  }
+
+  async nearest<T extends DocTypes>(
+    name: string,
+    vector: number[] | Float32Array,
+    opts: NearestOpts<T> = {},
+  ): Promise<SearchResponse<T>> {
+    await this.ready();
+    this.logger.Debug().Str("name", name).Any("opts", { k: opts.k, probes: opts.probes }).Msg("nearest");
+    return this._namedIndex<T>(name).nearest(vector, opts);
+  }
+
+  async indexes(): Promise<IndexInfo[]> {
+    await this.ready();
+    return Promise.all(Array.from(this.ledger.crdt.indexers.values(), (idx) => idx.info()));
+  }
+
+  async dropIndex(name: string): Promise<void> {
+    await this.ready();
+    this.logger.Debug().Str("name", name).Msg("dropIndex");
+    this._namedIndex(name);
+    await dropIndex(this.ledger.crdt, name);
+  }
+
+  async rebuildIndex(name: string): Promise<void> {
+    await this.ready();
+    this.logger.Debug().Str("name", name).Msg("rebuildIndex");
+    await this._namedIndex(name).rebuild();
+  }
+
+  // indexes defined by the app or loaded from the index store
+  _namedIndex<T extends DocTypes>(name: string): Index<IndexKeyType, T> {
+    const idx = this.ledger.crdt.indexers.get(name) as Index<IndexKeyType, T> | undefined;
+    if (!idx) throw new NotFoundError(`Index not found: ${name}`);
+    return idx;
+  }
+
+  async find<T extends DocTypes>(query: FindQuery): Promise<FindResponse<T>> {
+    await this.ready();
+    this.logger.Debug().Any("query", query).Msg("find");
+    const selector = parseSelector(this.logger, query.selector);
+    const plan = planFind(selector);
+    const { head } = await this._atTag<GetOpts>({ tag: query.tag });
+    let docs: DocWithId<T>[];
+    if (plan.field && plan.query) {
+      const { rows } = await this._findIndex<T>(plan).query({ ...plan.query, includeDocs: true, head });
+      const seen = new Set<string>();
+      docs = rows.filter((row) => row.doc && !seen.has(row.id) && seen.add(row.id)).map((row) => row.doc as DocWithId<T>);
+    } else {
+      const { rows } = await this.allDocs<T>({ head });
+      docs = rows.map((row) => row.value).filter((doc) => !doc._deleted);
+    }
+    docs = docs.filter((doc) => matchCondition(selector, doc));
+    if (query.sort) docs = sortDocs(docs, query.sort);
+    if (query.limit !== undefined) docs = docs.slice(0, query.limit);
+    return { docs: docs.map((doc) => projectDoc(doc, query.fields)) };
+  }
+
+  async explain(query: FindQuery): Promise<FindExplain> {
+    await this.ready();
+    const plan = planFind(parseSelector(this.logger, query.selector));
+    if (!plan.field) return { index: "_all_docs" };
+    return { index: this._findIndex(plan).name, field: plan.field, query: plan.query };
+  }
+
+  // the index of a top level field is the one `query(field)` uses
+  _findIndex<T extends DocTypes>(plan: FindPlan) {
+    const field = throwFalsy(plan.field);
+    return field.includes(".") ? index<IndexKeyType, T>(this, field, pathMapFn<T>(field)) : index<IndexKeyType, T>(this, field);
+  }
+
+  async compact(): Promise<CompactResponse> {
     await this.ready();
-    await this.ledger.crdt.compact();
+    return this.ledger.crdt.compact();
   }
 }
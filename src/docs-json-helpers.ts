@@ -0,0 +1,165 @@
+import type { Logger } from "@adviser/cement";
+import { base64pad } from "multiformats/bases/base64";
+import type {
+  CRDT,
+  DocFileMeta,
+  DocFiles,
+  DocSet,
+  DocTypes,
+  DocUpdate,
+  DocsFormat,
+  ExportDocsOpts,
+  ImportDocsOpts,
+  SuperThis,
+} from "./types.js";
+import { isPlainObject } from "./find-helpers.js";
+
+// an attachment of an exported doc
+interface ExportedFile {
+  readonly type: string;
+  readonly size: number;
+  readonly data: string;
+}
+
+type JSONDoc = Record<string, unknown>;
+
+const fileFields = ["_files", "_publicFiles"] as const;
+
+function checkFormat(logger: Logger, format: string): DocsFormat {
+  if (format !== "ndjson" && format !== "json") throw logger.Error().Str("format", format).Msg("unknown docs format").AsError();
+  return format;
+}
+
+async function exportFiles(files: DocFiles): Promise<Record<string, ExportedFile>> {
+  const exported: Record<string, ExportedFile> = {};
+  for (const [name, meta] of Object.entries(files)) {
+    const file = await (meta as DocFileMeta).file?.();
+    if (!file) continue;
+    exported[name] = { type: file.type, size: file.size, data: base64pad.baseEncode(new Uint8Array(await file.arrayBuffer())) };
+  }
+  return exported;
+}
+
+async function exportDoc(update: DocUpdate<DocTypes>, includeFiles: boolean): Promise<JSONDoc> {
+  if (update.del) return { _id: update.id, _deleted: true };
+  const { _files, _publicFiles, ...doc } = update.value as DocSet<DocTypes>;
+  const exported: JSONDoc = { _id: update.id, ...doc };
+  if (!includeFiles) return exported;
+  if (_files) exported._files = await exportFiles(_files);
+  if (_publicFiles) exported._publicFiles = await exportFiles(_publicFiles);
+  return exported;
+}
+
+/**
+ * The docs changed since `since` as NDJSON or as one JSON array, a chunk
+ * per batch of the changes walk.
+ */
+export async function* exportDocs(crdt: CRDT, opts: ExportDocsOpts = {}): AsyncGenerator<string> {
+  const { since = [], includeDeleted = false, includeFiles = false, batchSize } = opts;
+  const format = checkFormat(crdt.logger, opts.format ?? "ndjson");
+  let empty = true;
+  if (format === "json") yield "[";
+  for await (const { result } of crdt.changesStream(since, { batchSize })) {
+    const lines: string[] = [];
+    for (const update of result) {
+      if (update.del && !includeDeleted) continue;
+      lines.push(JSON.stringify(await exportDoc(update, includeFiles)));
+    }
+    if (!lines.length) continue;
+    if (format === "ndjson") {
+      yield lines.map((line) => `${line}\n`).join("");
+    } else {
+      yield `${empty ? "\n" : ",\n"}${lines.join(",\n")}`;
+    }
+    empty = false;
+  }
+  if (format === "json") yield empty ? "]\n" : "\n]\n";
+}
+
+function toDoc(logger: Logger, doc: unknown, line?: number): JSONDoc {
+  if (!isPlainObject(doc)) throw logger.Error().Any("line", line).Msg("docs need to be JSON objects").AsError();
+  return doc as JSONDoc;
+}
+
+function parseJSON(logger: Logger, text: string, line?: number): unknown {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw logger.Error().Any("line", line).Err(e).Msg("docs need to be JSON").AsError();
+  }
+}
+
+/**
+ * The docs of NDJSON or JSON text. NDJSON docs are parsed as their lines
+ * arrive, a JSON array once the stream ends.
+ */
+export async function* parseDocs(
+  sthis: SuperThis,
+  logger: Logger,
+  stream: AsyncIterable<string | Uint8Array>,
+  format = "ndjson",
+): AsyncGenerator<JSONDoc> {
+  const ndjson = checkFormat(logger, format) === "ndjson";
+  let text = "";
+  // bytes after the last newline, a newline byte never splits a utf-8 char
+  let rest = new Uint8Array();
+  let line = 0;
+  for await (const chunk of stream) {
+    if (typeof chunk === "string") {
+      text += sthis.txt.decode(rest) + chunk;
+      rest = new Uint8Array();
+    } else {
+      const bytes = new Uint8Array(rest.length + chunk.length);
+      bytes.set(rest);
+      bytes.set(chunk, rest.length);
+      const end = bytes.lastIndexOf(0x0a) + 1;
+      text += sthis.txt.decode(bytes.subarray(0, end));
+      rest = bytes.slice(end);
+    }
+    if (!ndjson) continue;
+    const lines = text.split("\n");
+    text = lines.pop() ?? "";
+    for (const l of lines) {
+      line++;
+      if (l.trim()) yield toDoc(logger, parseJSON(logger, l, line), line);
+    }
+  }
+  text += sthis.txt.decode(rest);
+  if (ndjson) {
+    if (text.trim()) yield toDoc(logger, parseJSON(logger, text, line + 1), line + 1);
+    return;
+  }
+  const docs = parseJSON(logger, text);
+  if (!Array.isArray(docs)) throw logger.Error().Msg("JSON docs need to be an array").AsError();
+  for (const doc of docs) yield toDoc(logger, doc);
+}
+
+// attachments exported without their data can not be restored and are dropped
+function importFiles(files: unknown): DocFiles {
+  const imported: DocFiles = {};
+  for (const [name, entry] of Object.entries(isPlainObject(files) ? files : {})) {
+    const { type, data } = entry as Partial<ExportedFile>;
+    if (typeof data !== "string") continue;
+    imported[name] = new File([base64pad.baseDecode(data)], name, { type });
+  }
+  return imported;
+}
+
+/**
+ * The update writing an imported doc, deleted docs only delete with kept
+ * ids and are skipped as undefined with generated ones.
+ */
+export function importUpdate(
+  doc: JSONDoc,
+  idStrategy: ImportDocsOpts["idStrategy"],
+  nextId: () => string,
+): DocUpdate<DocTypes> | undefined {
+  const { _id, _deleted, ...value } = doc;
+  const kept = idStrategy !== "generate" && typeof _id === "string" && _id ? _id : undefined;
+  if (_deleted === true) return kept ? { id: kept, del: true } : undefined;
+  const id = kept ?? nextId();
+  for (const field of fileFields) {
+    if (field in value) value[field] = importFiles(value[field]);
+  }
+  return { id, value: { ...(value as DocSet<DocTypes>), _id: id } };
+}
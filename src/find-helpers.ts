@@ -0,0 +1,212 @@
+import type { Logger } from "@adviser/cement";
+import type {
+  DocFragment,
+  DocTypes,
+  DocWithId,
+  FieldOps,
+  FindQuery,
+  IndexKeyType,
+  MapFn,
+  QueryOpts,
+  Selector,
+  SortSpec,
+} from "./types.js";
+import { encodeKey } from "./indexer-helpers.js";
+
+export type Condition =
+  | { readonly op: "and" | "or"; readonly conds: Condition[] }
+  | { readonly op: "field"; readonly path: string; readonly ops: FieldOps };
+
+const fieldOps = new Set(["$eq", "$ne", "$gt", "$gte", "$lt", "$lte", "$in", "$nin", "$exists"]);
+
+export function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function isOps(value: unknown): value is FieldOps {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((key) => key.startsWith("$"));
+}
+
+// turns a selector into a condition tree, top level fields are and-ed
+export function parseSelector(logger: Logger, selector: Selector, prefix = ""): Condition {
+  if (!isPlainObject(selector)) throw logger.Error().Any("selector", selector).Msg("selector must be an object").AsError();
+  const conds: Condition[] = [];
+  for (const [key, value] of Object.entries(selector)) {
+    if (key === "$and" || key === "$or") {
+      if (!Array.isArray(value)) throw logger.Error().Str("op", key).Msg("selector operator needs an array").AsError();
+      conds.push({ op: key === "$and" ? "and" : "or", conds: value.map((s) => parseSelector(logger, s as Selector, prefix)) });
+      continue;
+    }
+    if (key.startsWith("$")) throw logger.Error().Str("op", key).Msg("unknown selector operator").AsError();
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isOps(value)) {
+      for (const op of Object.keys(value)) {
+        if (!fieldOps.has(op)) throw logger.Error().Str("op", op).Str("path", path).Msg("unknown field operator").AsError();
+      }
+      if ((value.$in && !Array.isArray(value.$in)) || (value.$nin && !Array.isArray(value.$nin))) {
+        throw logger.Error().Str("path", path).Msg("$in and $nin need an array").AsError();
+      }
+      conds.push({ op: "field", path, ops: value });
+    } else if (isPlainObject(value)) {
+      conds.push(...(parseSelector(logger, value as Selector, path) as { conds: Condition[] }).conds);
+    } else {
+      conds.push({ op: "field", path, ops: { $eq: value as DocFragment } });
+    }
+  }
+  return { op: "and", conds };
+}
+
+export function valueAt(doc: unknown, path: string): unknown {
+  return path.split(".").reduce<unknown>((value, key) => (isPlainObject(value) ? value[key] : undefined), doc);
+}
+
+export function deepEqual(a: unknown, b: unknown): boolean {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, i) => deepEqual(value, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => deepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+// only values of the same primitive type are ordered
+function compareSameType(a: unknown, b: unknown): number | undefined {
+  const type = typeof a;
+  if (type !== typeof b || !(type === "number" || type === "string" || type === "boolean")) return undefined;
+  return (a as number) < (b as number) ? -1 : (a as number) > (b as number) ? 1 : 0;
+}
+
+function matchField(value: unknown, ops: FieldOps): boolean {
+  return Object.entries(ops).every(([op, arg]) => {
+    if (op === "$exists") return (value !== undefined) === arg;
+    if (value === undefined) return false;
+    switch (op) {
+      case "$eq":
+        return deepEqual(value, arg);
+      case "$ne":
+        return !deepEqual(value, arg);
+      case "$in":
+        return (arg as unknown[]).some((a) => deepEqual(value, a));
+      case "$nin":
+        return !(arg as unknown[]).some((a) => deepEqual(value, a));
+    }
+    const comp = compareSameType(value, arg);
+    if (comp === undefined) return false;
+    switch (op) {
+      case "$gt":
+        return comp > 0;
+      case "$gte":
+        return comp >= 0;
+      case "$lt":
+        return comp < 0;
+      default:
+        return comp <= 0;
+    }
+  });
+}
+
+export function matchCondition(cond: Condition, doc: unknown): boolean {
+  switch (cond.op) {
+    case "and":
+      return cond.conds.every((c) => matchCondition(c, doc));
+    case "or":
+      return cond.conds.some((c) => matchCondition(c, doc));
+    default:
+      return matchField(valueAt(doc, cond.path), cond.ops);
+  }
+}
+
+function isIndexable(value: unknown): value is IndexKeyType {
+  return ["string", "number", "boolean"].includes(typeof value) || value === null;
+}
+
+// the open end of a range stays within the type of the other end
+const rangeEnds: Record<string, [IndexKeyType, IndexKeyType]> = {
+  number: [-Infinity, Infinity],
+  string: ["", "\uffff"],
+  boolean: [false, true],
+};
+
+// field indexes emit no rows for null, so null is only found by a scan
+function isIndexedKey(value: unknown): value is IndexKeyType {
+  return value !== null && isIndexable(value);
+}
+
+// maps the operators of a field onto an index query, the bounds may be
+// wider than the operators as every row is filtered afterwards
+function fieldQuery(ops: FieldOps): QueryOpts<IndexKeyType> | undefined {
+  if ("$eq" in ops && isIndexedKey(ops.$eq)) return { range: [ops.$eq, ops.$eq] };
+  if (ops.$in && ops.$in.every(isIndexedKey)) return { keys: ops.$in };
+  const lower = ops.$gte ?? ops.$gt;
+  const upper = ops.$lte ?? ops.$lt;
+  const type = typeof (lower ?? upper);
+  if (!rangeEnds[type]) return undefined;
+  if ((lower !== undefined && typeof lower !== type) || (upper !== undefined && typeof upper !== type)) return undefined;
+  return { range: [(lower ?? rangeEnds[type][0]) as IndexKeyType, (upper ?? rangeEnds[type][1]) as IndexKeyType] };
+}
+
+export interface FindPlan {
+  readonly field?: string;
+  readonly query?: QueryOpts<IndexKeyType>;
+}
+
+// picks the first top level field whose operators narrow an index read
+export function planFind(selector: Condition): FindPlan {
+  if (selector.op !== "and") return {};
+  for (const cond of selector.conds) {
+    if (cond.op !== "field") continue;
+    const query = fieldQuery(cond.ops);
+    if (query) return { field: cond.path, query };
+  }
+  return {};
+}
+
+// index values by path, nested paths need their own map function
+export function pathMapFn<T extends DocTypes>(path: string): MapFn<T> {
+  return (doc) => {
+    const value = valueAt(doc, path);
+    return isIndexable(value) || Array.isArray(value) ? value : undefined;
+  };
+}
+
+function sortKey(value: unknown): string {
+  // missing values sort first
+  if (value === undefined) return "";
+  return isIndexable(value) || Array.isArray(value) ? encodeKey(value as DocFragment) : JSON.stringify(value);
+}
+
+export function sortDocs<T extends DocTypes>(docs: DocWithId<T>[], sort: SortSpec[]): DocWithId<T>[] {
+  const fields = sort.map((spec) => {
+    const [path, order] = typeof spec === "string" ? [spec, "asc"] : Object.entries(spec)[0];
+    return { path, sign: order === "desc" ? -1 : 1 };
+  });
+  const keyed = docs.map((doc) => ({ doc, keys: fields.map(({ path }) => sortKey(valueAt(doc, path))) }));
+  keyed.sort((a, b) => {
+    for (let i = 0; i < fields.length; i++) {
+      if (a.keys[i] !== b.keys[i]) return (a.keys[i] < b.keys[i] ? -1 : 1) * fields[i].sign;
+    }
+    return 0;
+  });
+  return keyed.map(({ doc }) => doc);
+}
+
+export function projectDoc<T extends DocTypes>(doc: DocWithId<T>, fields: FindQuery["fields"]): DocWithId<T> {
+  if (!fields) return doc;
+  const out: Record<string, unknown> = { _id: doc._id };
+  for (const path of fields) {
+    const value = valueAt(doc, path);
+    if (value === undefined) continue;
+    const keys = path.split(".");
+    let target = out;
+    for (const key of keys.slice(0, -1)) {
+      target = (target[key] ??= {}) as Record<string, unknown>;
+    }
+    target[keys[keys.length - 1]] = value;
+  }
+  return out as unknown as DocWithId<T>;
+}
@@ -0,0 +1,128 @@
+import type { DocTypes, MapFn } from "./types.js";
+import { valueAt } from "./find-helpers.js";
+
+// the length row of each doc, numbers sort before every term
+export const docLengthKey = 0;
+
+// Porter stemmer, see https://tartarus.org/martin/PorterStemmer/
+const c = "[^aeiou]";
+const v = "[aeiouy]";
+const C = `${c}[^aeiouy]*`;
+const V = `${v}[aeiou]*`;
+const mgr0 = new RegExp(`^(${C})?${V}${C}`);
+const meq1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const mgr1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const hasVowel = new RegExp(`^(${C})?${v}`);
+const cvc = new RegExp(`^${C}${v}[^aeiouwxy]$`);
+
+const step2: Record<string, string> = {
+  ational: "ate",
+  tional: "tion",
+  enci: "ence",
+  anci: "ance",
+  izer: "ize",
+  bli: "ble",
+  alli: "al",
+  entli: "ent",
+  eli: "e",
+  ousli: "ous",
+  ization: "ize",
+  ation: "ate",
+  ator: "ate",
+  alism: "al",
+  iveness: "ive",
+  fulness: "ful",
+  ousness: "ous",
+  aliti: "al",
+  iviti: "ive",
+  biliti: "ble",
+  logi: "log",
+};
+const step3: Record<string, string> = { icate: "ic", ative: "", alize: "al", iciti: "ic", ical: "ic", ful: "", ness: "" };
+const step2Re = new RegExp(`^(.+?)(${Object.keys(step2).join("|")})$`);
+const step3Re = new RegExp(`^(.+?)(${Object.keys(step3).join("|")})$`);
+const step4Re = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+export function stem(word: string): string {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+  // a leading y is a consonant
+  let w = word[0] === "y" ? `Y${word.slice(1)}` : word;
+  let m: RegExpExecArray | null;
+  if ((m = /^(.+?)(ss|i)es$/.exec(w)) || (m = /^(.+?)([^s])s$/.exec(w))) w = m[1] + m[2];
+  if ((m = /^(.+?)eed$/.exec(w))) {
+    if (mgr0.test(m[1])) w = w.slice(0, -1);
+  } else if ((m = /^(.+?)(ed|ing)$/.exec(w)) && hasVowel.test(m[1])) {
+    w = m[1];
+    if (/(at|bl|iz)$/.test(w)) w += "e";
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (cvc.test(w)) w += "e";
+  }
+  if ((m = /^(.+?)y$/.exec(w)) && hasVowel.test(m[1])) w = `${m[1]}i`;
+  if ((m = step2Re.exec(w)) && mgr0.test(m[1])) w = m[1] + step2[m[2]];
+  if ((m = step3Re.exec(w)) && mgr0.test(m[1])) w = m[1] + step3[m[2]];
+  if ((m = step4Re.exec(w))) {
+    if (mgr1.test(m[1])) w = m[1];
+  } else if ((m = /^(.+?)(s|t)ion$/.exec(w)) && mgr1.test(m[1] + m[2])) {
+    w = m[1] + m[2];
+  }
+  if ((m = /^(.+?)e$/.exec(w)) && (mgr1.test(m[1]) || (meq1.test(m[1]) && !cvc.test(m[1])))) w = m[1];
+  if (/ll$/.test(w) && mgr1.test(w)) w = w.slice(0, -1);
+  return w[0] === "Y" ? `y${w.slice(1)}` : w;
+}
+
+// lower cased words without diacritics, stemmed
+export function tokenize(text: string): string[] {
+  return text
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(stem);
+}
+
+function textsOf(value: unknown): string[] {
+  if (typeof value === "string") return [value];
+  return Array.isArray(value) ? value.filter((v): v is string => typeof v === "string") : [];
+}
+
+// emits the count of each term of the fields and the term count of the doc
+export function fullTextMapFn<T extends DocTypes>(fields: string[]): MapFn<T> {
+  return (doc, emit) => {
+    const terms = fields.flatMap((field) => textsOf(valueAt(doc, field))).flatMap(tokenize);
+    if (!terms.length) return;
+    const counts = new Map<string, number>();
+    for (const term of terms) counts.set(term, (counts.get(term) ?? 0) + 1);
+    for (const [term, count] of counts) emit(term, count);
+    emit(docLengthKey, terms.length);
+  };
+}
+
+export interface Posting {
+  readonly id: string;
+  readonly count: number;
+}
+
+const k1 = 1.2;
+const b = 0.75;
+
+// the indexed docs and their summed term counts
+export interface Corpus {
+  readonly docs: number;
+  readonly terms: number;
+}
+
+// BM25 score by id of the docs in the postings of each query term,
+// lengths holds the term count of the docs in the postings
+export function bm25Scores(postings: Posting[][], lengths: Map<string, number>, corpus: Corpus): Map<string, number> {
+  const avgLength = corpus.terms / corpus.docs || 1;
+  const scores = new Map<string, number>();
+  for (const posting of postings) {
+    const idf = Math.log(1 + (corpus.docs - posting.length + 0.5) / (posting.length + 0.5));
+    for (const { id, count } of posting) {
+      const norm = k1 * (1 - b + (b * (lengths.get(id) ?? avgLength)) / avgLength);
+      scores.set(id, (scores.get(id) ?? 0) + (idf * count * (k1 + 1)) / (count + norm));
+    }
+  }
+  return scores;
+}
@@ -0,0 +1,105 @@
+import type { GeoBox, GeoPoint } from "./types.js";
+
+const base32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+const earthRadius = 6371008.8;
+// the most geohash cells a box query scans
+const maxCover = 16;
+
+export function isGeoPoint(value: unknown): value is GeoPoint {
+  const { lat, lng } = (value ?? {}) as Partial<GeoPoint>;
+  return typeof lat === "number" && typeof lng === "number" && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+export function geohash({ lat, lng }: GeoPoint, precision: number): string {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = "";
+  let bits = 0;
+  let char = 0;
+  let even = true;
+  while (hash.length < precision) {
+    const range = even ? lngRange : latRange;
+    const value = even ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    char <<= 1;
+    if (value >= mid) {
+      char |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    even = !even;
+    if (++bits === 5) {
+      hash += base32[char];
+      bits = 0;
+      char = 0;
+    }
+  }
+  return hash;
+}
+
+function cellSize(precision: number): { readonly lat: number; readonly lng: number } {
+  const bits = 5 * precision;
+  return { lat: 180 / 2 ** Math.floor(bits / 2), lng: 360 / 2 ** Math.ceil(bits / 2) };
+}
+
+// boxes crossing the antimeridian are split in two
+function splitBox(box: GeoBox): GeoBox[] {
+  if (box.minLng <= box.maxLng) return [box];
+  return [
+    { ...box, maxLng: 180 },
+    { ...box, minLng: -180 },
+  ];
+}
+
+/**
+ * Geohash prefixes whose cells cover the box, as long as they can be
+ * while staying below the cell budget.
+ */
+export function coverBox(box: GeoBox, precision: number): string[] {
+  const cells = new Set<string>();
+  for (const part of splitBox(box)) {
+    for (let p = precision; p >= 1; p--) {
+      const size = cellSize(p);
+      const cell = (value: number, min: number, step: number, max: number) => Math.min(Math.floor((value - min) / step), max);
+      const lat0 = cell(part.minLat, -90, size.lat, 180 / size.lat - 1);
+      const lat1 = cell(part.maxLat, -90, size.lat, 180 / size.lat - 1);
+      const lng0 = cell(part.minLng, -180, size.lng, 360 / size.lng - 1);
+      const lng1 = cell(part.maxLng, -180, size.lng, 360 / size.lng - 1);
+      if ((lat1 - lat0 + 1) * (lng1 - lng0 + 1) > maxCover && p > 1) continue;
+      for (let lat = lat0; lat <= lat1; lat++) {
+        for (let lng = lng0; lng <= lng1; lng++) {
+          cells.add(geohash({ lat: -90 + (lat + 0.5) * size.lat, lng: -180 + (lng + 0.5) * size.lng }, p));
+        }
+      }
+      break;
+    }
+  }
+  return Array.from(cells);
+}
+
+// haversine distance in meters
+export function distance(a: GeoPoint, b: GeoPoint): number {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLng = (b.lng - a.lng) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLng / 2) ** 2;
+  return 2 * earthRadius * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// the box around a circle, whole rings of longitude near the poles
+export function radiusBox(center: GeoPoint, radius: number): GeoBox {
+  const dLat = (radius / earthRadius) * (180 / Math.PI);
+  const minLat = Math.max(-90, center.lat - dLat);
+  const maxLat = Math.min(90, center.lat + dLat);
+  const cos = Math.cos((Math.max(Math.abs(minLat), Math.abs(maxLat)) * Math.PI) / 180);
+  const dLng = cos > 0 ? dLat / cos : 180;
+  if (dLng >= 180) return { minLat, minLng: -180, maxLat, maxLng: 180 };
+  const wrap = (lng: number) => ((((lng + 180) % 360) + 360) % 360) - 180;
+  return { minLat, minLng: wrap(center.lng - dLng), maxLat, maxLng: wrap(center.lng + dLng) };
+}
+
+export function inBox(box: GeoBox, { lat, lng }: GeoPoint): boolean {
+  if (lat < box.minLat || lat > box.maxLat) return false;
+  return box.minLng <= box.maxLng ? lng >= box.minLng && lng <= box.maxLng : lng >= box.minLng || lng <= box.maxLng;
+}
@@ -0,0 +1,56 @@
+import type { ClockHead, CRDT, DocObject, DocTypes, DocWithId, IncludedDocs, IncludeSpec } from "./types.js";
+import { isPlainObject, valueAt } from "./find-helpers.js";
+
+type Fetched = Promise<DocWithId<DocTypes> | undefined>;
+
+function isId(value: unknown): value is string {
+  return typeof value === "string" && value.length > 0;
+}
+
+/**
+ * The docs referenced by the include paths of each doc. Every id is read
+ * once per call, and included docs are attached as stored without resolving
+ * their own references, so references in a cycle stop after one hop.
+ */
+export async function resolveIncludes<T extends DocObject>(
+  crdt: CRDT,
+  docs: (DocWithId<T> | undefined)[],
+  include: IncludeSpec,
+  head?: ClockHead,
+): Promise<IncludedDocs[]> {
+  if (!isPlainObject(include) || !Object.values(include).every(isId)) {
+    throw crdt.logger.Error().Any("include", include).Msg("include needs a path per name").AsError();
+  }
+  const fetched = new Map<string, Fetched>();
+  for (const doc of docs) {
+    if (doc) fetched.set(doc._id, Promise.resolve(doc as DocWithId<DocTypes>));
+  }
+  const get = (id: string): Fetched => {
+    let doc = fetched.get(id);
+    if (!doc) {
+      // like db.get, a failed read is a missing doc
+      doc = crdt
+        .get(id, { head })
+        .then((val) => (val ? ({ ...val.doc, _id: id } as DocWithId<DocTypes>) : undefined))
+        .catch(() => undefined);
+      fetched.set(id, doc);
+    }
+    return doc;
+  };
+  return Promise.all(
+    docs.map(async (doc) => {
+      const included: IncludedDocs = {};
+      for (const [name, path] of Object.entries(include)) {
+        const many = path.endsWith("[]");
+        const value = doc ? valueAt(doc, many ? path.slice(0, -2) : path) : undefined;
+        if (many) {
+          const ids = Array.isArray(value) ? value.filter(isId) : [];
+          included[name] = (await Promise.all(ids.map(get))).filter((d): d is DocWithId<DocTypes> => !!d);
+        } else {
+          included[name] = isId(value) ? await get(value) : undefined;
+        }
+      }
+      return included;
+    }),
+  );
+}
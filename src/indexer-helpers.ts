@@ -29,7 +29,18 @@ import {
   IndexUpdateString,
   CarTransaction,
   CRDT,
+  QueryCursor,
+  throwFalsy,
+  ReduceOpt,
+  ReduceRow,
+  IndexRowsDiff,
+  GeoPoint,
+  Collation,
+  IndexDef,
+  MapIndexDef,
 } from "./types.js";
+import { distance, inBox } from "./geo-helpers.js";
+import { resolveIncludes } from "./include-helpers.js";
 import { BlockFetcher, AnyLink, AnyBlock } from "./blockstore/index.js";
 import { Logger } from "@adviser/cement";
 
@@ -61,6 +72,53 @@ function compare(a: CompareKey, b: CompareKey) {
 
 export const byKeyOpts: StaticProllyOptions<CompareKey> = { cache, chunker: bf(30), codec, hasher, compare };
 
+type KeyCompare = (a: CompareKey, b: CompareKey) => number;
+
+// orders decoded keys like charwise does, except strings go by the collator
+function collatedCompare(collator: Intl.Collator): KeyCompare {
+  const values = (a: unknown, b: unknown): number => {
+    if (typeof a === "string" && typeof b === "string") return collator.compare(a, b);
+    if (Array.isArray(a) && Array.isArray(b)) {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const comp = values(a[i], b[i]);
+        if (comp !== 0) return comp;
+      }
+      return a.length - b.length;
+    }
+    return simpleCompare(charwise.encode(a), charwise.encode(b)) as number;
+  };
+  return ([aKey, aRef], [bKey, bRef]) => values(charwise.decode(aKey), charwise.decode(bKey)) || refCompare(aRef, bRef);
+}
+
+const collatedCompares = new Map<string, KeyCompare>();
+
+// keys equal under the collation are equal keys, so lookups match all of them
+export function keyCompare(collation?: Collation): KeyCompare {
+  if (!collation) return compare;
+  const { locale = "und", caseInsensitive = false, accentInsensitive = false, numeric = false } = collation;
+  const id = JSON.stringify([locale, caseInsensitive, accentInsensitive, numeric]);
+  let comp = collatedCompares.get(id);
+  if (!comp) {
+    const sensitivity = caseInsensitive ? (accentInsensitive ? "base" : "accent") : accentInsensitive ? "case" : "variant";
+    comp = collatedCompare(new Intl.Collator(locale, { usage: "sort", sensitivity, numeric }));
+    collatedCompares.set(id, comp);
+  }
+  return comp;
+}
+
+// a definition without a type is a map definition
+export function isMapDef(def?: IndexDef): def is MapIndexDef {
+  return !!def && (def.type ?? "map") === "map";
+}
+
+export function collationOf(def?: IndexDef): Collation | undefined {
+  return isMapDef(def) ? def.collation : undefined;
+}
+
+export function byKeyOptsFor(collation?: Collation): StaticProllyOptions<CompareKey> {
+  return collation ? { ...byKeyOpts, compare: keyCompare(collation) } : byKeyOpts;
+}
+
 export const byIdOpts: StaticProllyOptions<unknown> = { cache, chunker: bf(30), codec, hasher, compare: simpleCompare };
 
 export interface IndexDoc<K extends IndexKeyType> {
@@ -99,6 +157,22 @@ export function indexEntriesForChanges<T extends DocTypes, K extends IndexKeyTyp
   return indexEntries;
 }
 
+// what the map function returns for each changed doc, for index kinds that
+// map a doc to a single value instead of emitting rows
+export function mapReturnsForChanges<T extends DocTypes>(
+  changes: DocUpdate<T>[],
+  mapFn: MapFn<T>,
+): { readonly id: string; readonly value: unknown }[] {
+  return changes
+    .filter(({ del, value }) => !del && value)
+    .map(({ id, value }) => ({
+      id,
+      value: mapFn({ ...(value as DocWithId<T>), _id: id }, () => {
+        /* the returned value is indexed */
+      }),
+    }));
+}
+
 function makeProllyGetBlock(blocks: BlockFetcher): (address: AnyLink) => Promise<AnyBlock> {
   return async (address: AnyLink) => {
     const block = await blocks.get(address);
@@ -161,6 +235,298 @@ export async function loadIndex<K extends IndexKeyType, T extends DocFragment, C
   return (await DbIndex.load({ cid, get: makeProllyGetBlock(tblocks), ...opts })) as ProllyNode<K, T>;
 }
 
+// visits every node of a tree, so the fetcher sees each of its blocks
+export async function indexTreeStats<CT>(
+  blocks: BlockFetcher,
+  cid: AnyLink,
+  opts: StaticProllyOptions<CT>,
+): Promise<{ rows: number; size: number }> {
+  const visit = async (node: ProllyNode<IndexKeyType, DocFragment>): Promise<{ rows: number; size: number }> => {
+    const stats = { rows: 0, size: (await node.block).bytes.length };
+    if (node.isLeaf) return { ...stats, rows: node.entryList.entries.length };
+    for (const entry of node.entryList.entries) {
+      const child = await visit(await node.getNode(await throwFalsy(entry.address)));
+      stats.rows += child.rows;
+      stats.size += child.size;
+    }
+    return stats;
+  };
+  return visit(await loadIndex<IndexKeyType, DocFragment, CT>(blocks, cid, opts));
+}
+
+export interface RangeBounds {
+  // both ends are inclusive, a missing end is unbounded
+  readonly start?: CompareKey;
+  readonly end?: CompareKey;
+  // the row a cursor points to is not part of the next page
+  readonly exclude?: CompareKey;
+}
+
+// walks the leaves of the byKey tree in order and only loads the
+// nodes overlapping the bounds, so a caller can stop after a page
+export async function* rangeEntries<K extends IndexKeyType, R extends DocFragment>(
+  node: ProllyNode<K, R>,
+  bounds: RangeBounds,
+  descending = false,
+): AsyncGenerator<ProllyIndexRow<K, R>> {
+  const { entries } = node.entryList;
+  const order = entries.map((_, i) => i);
+  if (descending) order.reverse();
+  for (const i of order) {
+    const entry = entries[i];
+    const key = entry.key as unknown as CompareKey;
+    const afterEnd = bounds.end && node.compare(bounds.end, key) < 0;
+    if (node.isLeaf) {
+      const beforeStart = bounds.start && node.compare(bounds.start, key) > 0;
+      if ((descending && beforeStart) || (!descending && afterEnd)) break;
+      if (beforeStart || afterEnd) continue;
+      if (bounds.exclude && node.compare(bounds.exclude, key) === 0) continue;
+      yield { key: entry.key[0] as unknown as IndexKey<K>, id: entry.key[1], value: entry.value as R };
+      continue;
+    }
+    // a branch entry starts the subtree holding every key below the next entry
+    const next = entries[i + 1];
+    const beforeStart = bounds.start && next && node.compare(bounds.start, next.key as unknown as CompareKey) >= 0;
+    if ((descending && beforeStart) || (!descending && afterEnd)) break;
+    if (beforeStart || afterEnd) continue;
+    yield* rangeEntries(await node.getNode(await throwFalsy(entry.address)), bounds, descending);
+  }
+}
+
+// the in-memory counterpart of rangeEntries over rows sorted by sortRows
+export async function* arrayEntries<K extends IndexKeyType, R extends DocFragment>(
+  rows: ProllyIndexRow<K, R>[],
+  bounds: RangeBounds,
+  descending = false,
+  comp: KeyCompare = compare,
+): AsyncGenerator<ProllyIndexRow<K, R>> {
+  for (const row of descending ? [...rows].reverse() : rows) {
+    if (inBounds(bounds, [row.key as unknown as string, row.id], comp)) yield row;
+  }
+}
+
+export function inBounds(bounds: RangeBounds, key: CompareKey, comp: KeyCompare = compare): boolean {
+  if (bounds.start && comp(bounds.start, key) > 0) return false;
+  if (bounds.end && comp(bounds.end, key) < 0) return false;
+  return !(bounds.exclude && comp(bounds.exclude, key) === 0);
+}
+
+interface LiveRow<K extends IndexKeyType, T extends DocObject, R extends DocFragment> {
+  readonly at: CompareKey;
+  readonly row: IndexRow<K, T, R>;
+}
+
+/**
+ * The rows of a watched query by doc id, kept current from the entries each
+ * index update maps, so a change costs neither a query nor a second map.
+ */
+export class LiveRows<K extends IndexKeyType, T extends DocObject, R extends DocFragment> {
+  readonly byId = new Map<string, LiveRow<K, T, R>[]>();
+
+  constructor(
+    readonly bounds: RangeBounds[],
+    readonly descending = false,
+    readonly comp: KeyCompare = compare,
+  ) {}
+
+  // every row in the order of the query, sorted on demand
+  rows(): IndexRow<K, T, R>[] {
+    const rows = Array.from(this.byId.values()).flat();
+    rows.sort((a, b) => (this.descending ? this.comp(b.at, a.at) : this.comp(a.at, b.at)));
+    return rows.map(({ row }) => row);
+  }
+
+  // prev with the diff applied, each row found by a binary search instead of
+  // sorting every row again; prev holds the rows of the query before the diff
+  patch(prev: IndexRow<K, T, R>[], diff: IndexRowsDiff<K, T, R>): IndexRow<K, T, R>[] {
+    const at = (row: IndexRow<K, T, R>): CompareKey => [charwise.encode(row.key), row.id];
+    const order = (a: CompareKey, b: CompareKey) => (this.descending ? this.comp(b, a) : this.comp(a, b));
+    const rows = [...prev];
+    // the first row not before row
+    const find = (row: IndexRow<K, T, R>) => {
+      const key = at(row);
+      let [lo, hi] = [0, rows.length];
+      while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (order(at(rows[mid]), key) < 0) lo = mid + 1;
+        else hi = mid;
+      }
+      return lo;
+    };
+    const same = (i: number, row: IndexRow<K, T, R>) => i < rows.length && order(at(rows[i]), at(row)) === 0;
+    for (const row of diff.removed) {
+      const i = find(row);
+      if (same(i, row)) rows.splice(i, 1);
+    }
+    for (const row of diff.changed) {
+      const i = find(row);
+      if (same(i, row)) rows[i] = row;
+    }
+    for (const row of diff.added) rows.splice(find(row), 0, row);
+    return rows;
+  }
+
+  init(rows: IndexRow<K, T, R>[]): IndexRowsDiff<K, T, R> {
+    for (const row of rows) {
+      this.byId.set(row.id, [...(this.byId.get(row.id) ?? []), { at: [charwise.encode(row.key), row.id], row }]);
+    }
+    return { added: rows, removed: [], changed: [] };
+  }
+
+  // undefined if the update touched no row of the query, a rebuild maps every
+  // doc so the rows of docs it left out are removed
+  apply(
+    updates: DocUpdate<T>[],
+    entries: IndexDoc<K>[],
+    includeDocs: boolean,
+    rebuild = false,
+  ): IndexRowsDiff<K, T, R> | undefined {
+    const added: IndexRow<K, T, R>[] = [];
+    const removed: IndexRow<K, T, R>[] = [];
+    const changed: IndexRow<K, T, R>[] = [];
+    const byDoc = new Map<string, IndexDoc<K>[]>();
+    for (const entry of entries) {
+      if (!this.bounds.some((bounds) => inBounds(bounds, entry.key as unknown as CompareKey, this.comp))) continue;
+      byDoc.set(entry.key[1], [...(byDoc.get(entry.key[1]) ?? []), entry]);
+    }
+    const docs = new Map(updates.map((update) => [update.id, update]));
+    const ids = rebuild ? new Set([...this.byId.keys(), ...docs.keys()]) : docs.keys();
+    for (const id of ids) {
+      const update = docs.get(id);
+      const doc = !update || update.del ? undefined : ({ ...update.value, _id: id } as DocWithId<T>);
+      const prev = this.byId.get(id) ?? [];
+      const next: LiveRow<K, T, R>[] = [];
+      const kept = new Set<LiveRow<K, T, R>>();
+      for (const { key, value } of byDoc.get(id) ?? []) {
+        const row = {
+          id,
+          key: charwise.decode(key[0]) as K,
+          value: value as R,
+          ...(includeDocs ? { doc } : {}),
+        } as IndexRow<K, T, R>;
+        const live = { at: key as unknown as CompareKey, row };
+        const old = prev.find((l) => !kept.has(l) && l.at[0] === live.at[0]);
+        if (!old) {
+          added.push(row);
+        } else {
+          kept.add(old);
+          if (JSON.stringify([old.row.value, old.row.doc]) !== JSON.stringify([row.value, row.doc])) changed.push(row);
+        }
+        next.push(live);
+      }
+      for (const old of prev) {
+        if (!kept.has(old)) removed.push(old.row);
+      }
+      if (next.length) this.byId.set(id, next);
+      else this.byId.delete(id);
+    }
+    if (!added.length && !removed.length && !changed.length) return undefined;
+    return { added, removed, changed };
+  }
+}
+
+export function sortRows<K extends IndexKeyType, R extends DocFragment>(
+  entries: IndexDoc<K>[],
+  comp: KeyCompare = compare,
+): ProllyIndexRow<K, R>[] {
+  return entries
+    .map(({ key, value }) => ({ key: key[0] as unknown as IndexKey<K>, id: key[1], value: value as R }))
+    .sort((a, b) => comp([a.key as unknown as string, a.id], [b.key as unknown as string, b.id]));
+}
+
+// what a cursor holds: the encoded key and the id of the last row of a page
+interface CursorRow {
+  readonly key: string;
+  readonly id: string;
+}
+
+export function cursorRow(cursor: QueryCursor): CursorRow {
+  return cursor as unknown as CursorRow;
+}
+
+export function cursorBounds(bounds: RangeBounds, cursor: QueryCursor, descending?: boolean): RangeBounds {
+  const { key, id } = cursorRow(cursor);
+  const at: CompareKey = [key, id];
+  return descending ? { ...bounds, end: at, exclude: at } : { ...bounds, start: at, exclude: at };
+}
+
+export function toCursor(row: { readonly key: unknown; readonly id: string }): QueryCursor {
+  return { key: row.key as string, id: row.id } satisfies CursorRow as unknown as QueryCursor;
+}
+
+// bounds of the plain query options, `keys` is looked up one by one instead
+export function queryBounds<K extends IndexKeyType>(opts: QueryOpts<K>): RangeBounds {
+  let bounds: RangeBounds = {};
+  if (opts.range) {
+    const eRange = encodeRange(opts.range);
+    bounds = { start: [eRange[0], NaN], end: [eRange[1], Infinity] };
+  } else if (opts.key) {
+    const encodedKey = encodeKey(opts.key);
+    bounds = { start: [encodedKey, NaN], end: [encodedKey, Infinity] };
+  } else if (opts.prefix) {
+    // prefix should be always an array
+    const prefix = Array.isArray(opts.prefix) ? opts.prefix : [opts.prefix];
+    const encodedR = encodeRange([
+      [...prefix, NaN],
+      [...prefix, Infinity],
+    ]);
+    bounds = { start: [encodedR[0], NaN], end: [encodedR[1], Infinity] };
+  }
+  if (opts.startAfter) {
+    bounds = cursorBounds(bounds, opts.startAfter, opts.descending);
+  }
+  return bounds;
+}
+
+/**
+ * Pages the rows of a `keys` query, given per encoded key, as one result:
+ * the keys in the order asked, each in index order, all reversed if
+ * descending. A cursor continues after its row in that order.
+ */
+export function keysWindow<K extends IndexKeyType, R extends DocFragment>(
+  rowsByKey: ProllyIndexRow<K, R>[][],
+  keys: string[],
+  query: QueryOpts<K>,
+  comp: KeyCompare = compare,
+): ProllyIndexRow<K, R>[] {
+  const ranked = rowsByKey.flatMap((rows, at) => rows.map((row) => ({ row, at })));
+  if (query.descending) ranked.reverse();
+  let start = 0;
+  if (query.startAfter) {
+    const { key, id } = cursorRow(query.startAfter);
+    const after = keys.findIndex((k) => comp([k, ""], [key, ""]) === 0);
+    if (after < 0) return [];
+    const dir = query.descending ? -1 : 1;
+    const next = ranked.findIndex(
+      ({ row, at }) => dir * (at - after || comp([row.key as unknown as string, row.id], [key, id])) > 0,
+    );
+    start = next < 0 ? ranked.length : next;
+  }
+  return ranked.slice(start, query.limit !== undefined ? start + query.limit : undefined).map(({ row }) => row);
+}
+
+// the rows of the geohash cells that are really inside the box or radius,
+// in key order or nearest first, limited after the filter
+function geoRows<K extends IndexKeyType, R extends DocFragment>(
+  rows: ProllyIndexRow<K, R>[],
+  { bbox, near, radius = 0, limit }: QueryOpts<K>,
+): ProllyIndexRow<K, R>[] {
+  // row keys hold the encoded key
+  const byKey = (a: ProllyIndexRow<K, R>, b: ProllyIndexRow<K, R>) =>
+    compare([a.key as unknown as string, a.id], [b.key as unknown as string, b.id]);
+  let result = rows.filter((row) => !bbox || inBox(bbox, row.value as unknown as GeoPoint));
+  if (near) {
+    result = result
+      .map((row) => ({ row, meters: distance(near, row.value as unknown as GeoPoint) }))
+      .filter(({ meters }) => meters <= radius)
+      .sort((a, b) => a.meters - b.meters || byKey(a.row, b.row))
+      .map(({ row }) => row);
+  } else {
+    result.sort(byKey);
+  }
+  return limit !== undefined ? result.slice(0, limit) : result;
+}
+
 export async function applyQuery<K extends IndexKeyType, T extends DocObject, R extends DocFragment>(
   crdt: CRDT,
   resp: { result: ProllyIndexRow<K, R>[] },
@@ -168,20 +534,23 @@ export async function applyQuery<K extends IndexKeyType, T extends DocObject, R
 ): Promise<{
   rows: IndexRow<K, T, R>[];
 }> {
-  if (query.descending) {
-    resp.result = resp.result.reverse();
+  if (query.bbox || query.near) {
+    resp.result = geoRows(resp.result, query);
   }
-  if (query.limit) {
-    resp.result = resp.result.slice(0, query.limit);
-  }
-  if (query.includeDocs) {
-    resp.result = await Promise.all(
+  if (query.includeDocs || query.include) {
+    // references are read from the docs even when they are not returned
+    const docs = await Promise.all(
       resp.result.map(async (row) => {
-        const val = await crdt.get(row.id);
-        const doc = val ? ({ ...val.doc, _id: row.id } as DocWithId<T>) : undefined;
-        return { ...row, doc };
+        const val = await crdt.get(row.id, { head: query.head });
+        return val ? ({ ...val.doc, _id: row.id } as DocWithId<T>) : undefined;
       }),
     );
+    const included = query.include ? await resolveIncludes(crdt, docs, query.include, query.head) : undefined;
+    resp.result = resp.result.map((row, i) => ({
+      ...row,
+      ...(query.includeDocs ? { doc: docs[i] } : {}),
+      ...(included ? { included: included[i] } : {}),
+    }));
   }
   return {
     rows: resp.result.map(({ key, ...row }) => {
@@ -193,6 +562,105 @@ export async function applyQuery<K extends IndexKeyType, T extends DocObject, R
   };
 }
 
+// the key a row is reduced under, null puts every row in one group
+export function groupKeyFor<K extends IndexKeyType>(key: K, query: QueryOpts<K>): K | null {
+  if (query.groupLevel !== undefined) {
+    return Array.isArray(key) ? (key.slice(0, query.groupLevel) as K) : key;
+  }
+  return query.group ? key : null;
+}
+
+// bounds holding every row of a group, callers still have to check the group
+// of each row as a truncated array key also matches longer keys
+export function groupBounds<K extends IndexKeyType>(groupKey: K | null, query: QueryOpts<K>): RangeBounds {
+  if (groupKey === null) return {};
+  const encoded = encodeKey(groupKey);
+  if (query.groupLevel === undefined || !Array.isArray(groupKey)) {
+    return { start: [encoded, NaN], end: [encoded, Infinity] };
+  }
+  // charwise closes an array with "!" and separates its elements with '"',
+  // so every longer array starting with groupKey sorts below the next char
+  const open = groupKey.length ? encoded.slice(0, -1) + '"' : encoded.slice(0, -1);
+  return { start: [encoded, NaN], end: [open + "\uffff", Infinity] };
+}
+
+export function reduceId<K extends IndexKeyType>(query: QueryOpts<K>): string {
+  const reduce = typeof query.reduce === "function" ? query.reduce.toString() : String(query.reduce);
+  return `${reduce}|${query.groupLevel ?? (query.group ? "group" : "")}`;
+}
+
+function numbersOf(logger: Logger, reduce: string, values: DocFragment[]): number[] {
+  return values.map((value) => {
+    if (typeof value !== "number") {
+      throw logger.Error().Str("reduce", reduce).Any("value", value).Msg("reduce needs numeric values").AsError();
+    }
+    return value;
+  });
+}
+
+export function reduceValues<K extends IndexKeyType>(
+  logger: Logger,
+  reduce: ReduceOpt<K>,
+  keys: K[],
+  values: DocFragment[],
+): unknown {
+  switch (reduce) {
+    case "_count":
+      return values.length;
+    case "_sum":
+      return numbersOf(logger, reduce, values).reduce((sum, value) => sum + value, 0);
+    case "_stats": {
+      const nums = numbersOf(logger, reduce, values);
+      return {
+        sum: nums.reduce((sum, value) => sum + value, 0),
+        count: nums.length,
+        min: Math.min(...nums),
+        max: Math.max(...nums),
+        sumsqr: nums.reduce((sum, value) => sum + value * value, 0),
+      };
+    }
+    default:
+      if (typeof reduce !== "function") throw logger.Error().Any("reduce", reduce).Msg("unknown reduce").AsError();
+      return reduce(keys, values);
+  }
+}
+
+// reduces rows in key order into one row per group
+export function reduceRows<K extends IndexKeyType>(
+  logger: Logger,
+  rows: { readonly key: K; readonly value: DocFragment }[],
+  query: QueryOpts<K> & { readonly reduce: ReduceOpt<K> },
+): ReduceRow<K>[] {
+  const groups = new Map<string, { key: K | null; keys: K[]; values: DocFragment[] }>();
+  for (const row of rows) {
+    const key = groupKeyFor(row.key, query);
+    const id = encodeKey(key);
+    let group = groups.get(id);
+    if (!group) {
+      group = { key, keys: [], values: [] };
+      groups.set(id, group);
+    }
+    group.keys.push(row.key);
+    group.values.push(row.value);
+  }
+  return Array.from(groups.values()).map((group) => ({
+    key: group.key,
+    value: reduceValues(logger, query.reduce, group.keys, group.values),
+  }));
+}
+
+// the reducer and grouping a map definition keeps reduced with its rows
+export function declaredReduce<K extends IndexKeyType>(
+  def?: IndexDef,
+): (QueryOpts<K> & { readonly reduce: ReduceOpt<K> }) | undefined {
+  if (!isMapDef(def) || !def.reduce) return undefined;
+  return { reduce: def.reduce, group: def.group, groupLevel: def.groupLevel };
+}
+
+export function decodeKey<K>(encoded: unknown): K {
+  return charwise.decode(encoded) as K;
+}
+
 export function encodeRange(range: [IndexKeyType, IndexKeyType]): [string, string] {
   return [charwise.encode(range[0]), charwise.encode(range[1])];
 }
@@ -208,7 +676,16 @@ export interface ProllyIndexRow<K extends IndexKeyType, T extends DocFragment> {
 }
 
 // ProllyNode type based on the ProllyNode from 'prolly-trees/base'
+interface ProllyEntry<K extends IndexKeyType> {
+  readonly key: IndexKey<K>;
+  readonly value?: unknown;
+  readonly address?: Promise<AnyLink>;
+}
+
 interface ProllyNode<K extends IndexKeyType, T extends DocFragment> extends BaseNode {
+  readonly isLeaf: boolean;
+  readonly entryList: { readonly entries: ProllyEntry<K>[] };
+  getNode(address: AnyLink): Promise<ProllyNode<K, T>>;
   getAllEntries(): PromiseLike<{ [x: string]: unknown; result: ProllyIndexRow<K, T>[] }>;
   getMany<KI extends IndexKeyType>(removeIds: KI[]): Promise<{ /* [x: K]: unknown; */ result: IndexKey<K>[] }>;
   range(a: string, b: string): Promise<{ result: ProllyIndexRow<K, T>[] }>;
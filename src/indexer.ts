@@ -3,10 +3,10 @@ import {
   type DocUpdate,
   type MapFn,
   type IndexUpdate,
+  type IndexKey,
   type QueryOpts,
   type IdxMeta,
   type DocFragment,
-  type IdxMetaMap,
   type IndexKeyType,
   type IndexRows,
   type DocTypes,
@@ -20,6 +20,22 @@ import {
   type HasLogger,
   type HasSuperThis,
   type RefLedger,
+  type ReduceQueryOpts,
+  type ReduceRow,
+  type ReduceRows,
+  type IndexRowsDiff,
+  type IndexWatchFn,
+  type UnReg,
+  type IndexDef,
+  type SearchOpts,
+  type SearchResponse,
+  type DocWithId,
+  type NearestOpts,
+  type SearchRow,
+  type GeoPoint,
+  type IndexInfo,
+  type UniqueViolation,
+  type CarTransaction,
 } from "./types.js";
 // import { BaseBlockstore } from "./blockstore/index.js";
 
@@ -27,15 +43,48 @@ import {
   bulkIndex,
   indexEntriesForChanges,
   byIdOpts,
-  byKeyOpts,
+  byKeyOptsFor,
+  collationOf,
+  isMapDef,
+  keyCompare,
   IndexTree,
   applyQuery,
-  encodeRange,
   encodeKey,
+  decodeKey,
   loadIndex,
   IndexDocString,
   CompareKey,
+  ProllyIndexRow,
+  RangeBounds,
+  rangeEntries,
+  arrayEntries,
+  sortRows,
+  queryBounds,
+  toCursor,
+  keysWindow,
+  groupKeyFor,
+  groupBounds,
+  reduceId,
+  reduceRows,
+  declaredReduce,
+  LiveRows,
+  IndexDoc,
+  mapReturnsForChanges,
+  indexTreeStats,
 } from "./indexer-helpers.js";
+import { bm25Scores, Corpus, docLengthKey, fullTextMapFn, Posting, tokenize } from "./fulltext-helpers.js";
+import {
+  cellsOutgrown,
+  loadCells,
+  nearestCells,
+  similarity,
+  storeCells,
+  toVector,
+  trainCells,
+  vectorsForChanges,
+} from "./vector-helpers.js";
+import { coverBox, geohash, isGeoPoint, radiusBox } from "./geo-helpers.js";
+import type { AnyLink, BlockFetcher } from "./blockstore/index.js";
 import { ensureLogger } from "./utils.js";
 import { Logger } from "@adviser/cement";
 
@@ -48,21 +97,133 @@ export function index<K extends IndexKeyType = string, T extends DocTypes = NonN
   name: string,
   mapFn?: MapFn<T>,
   meta?: IdxMeta,
+  def?: IndexDef,
 ): Index<K, T, R> {
   const crdt = refLedger(refDb) ? refDb.ledger.crdt : refDb.crdt;
+  // a map definition without options is the plain map function
+  if (isMapDef(def) && !def.collation && !def.unique && !def.reduce) def = undefined;
 
   if (mapFn && meta) throw refDb.logger.Error().Msg("cannot provide both mapFn and meta").AsError();
+  if (def && meta) throw refDb.logger.Error().Msg("cannot provide both def and meta").AsError();
+  if (def?.type === "fulltext" && mapFn) throw refDb.logger.Error().Msg("fulltext indexes have no mapFn").AsError();
   if (mapFn && mapFn.constructor.name !== "Function") throw refDb.logger.Error().Msg("mapFn must be a function").AsError();
   if (crdt.indexers.has(name)) {
     const idx = crdt.indexers.get(name) as unknown as Index<K, T>;
-    idx.applyMapFn(name, mapFn, meta);
+    idx.applyMapFn(name, mapFn, meta, def);
   } else {
-    const idx = new Index<K, T>(refDb.sthis, crdt, name, mapFn, meta);
-    crdt.indexers.set(name, idx as unknown as Index<K, NonNullable<unknown>, NonNullable<unknown>>);
+    const idx = new Index<K, T>(refDb.sthis, crdt, name, mapFn, meta, def);
+    crdt.indexers.set(name, idx as unknown as Index<IndexKeyType, NonNullable<unknown>, NonNullable<unknown>>);
   }
   return crdt.indexers.get(name) as unknown as Index<K, T, R>;
 }
 
+// the meta of every index, indexes reset by a new head keep the rows they
+// persisted last until they are queried again
+export function indexesMeta(crdt: CRDT): IndexTransactionMeta {
+  const indexes: Record<string, IdxMeta> = {};
+  for (const [name, indexer] of crdt.indexers) {
+    const meta = indexer.indexHead ? indexer._idxMeta(indexer.indexHead) : indexer.persisted;
+    if (meta) indexes[name] = meta;
+  }
+  return { indexes };
+}
+
+// persists the meta without the index, compaction drops its blocks
+export async function dropIndex(crdt: CRDT, name: string): Promise<void> {
+  crdt.indexers.delete(name);
+  await crdt.indexBlockstore.transaction(async () => indexesMeta(crdt));
+}
+
+// fetches the blocks of every persisted index through the compaction fetcher
+export async function compactIndexes(blocks: BlockFetcher, crdt: CRDT): Promise<IndexTransactionMeta> {
+  const meta = indexesMeta(crdt);
+  for (const idx of Object.values(meta.indexes)) {
+    if (idx.byId) await indexTreeStats(blocks, idx.byId, byIdOpts);
+    if (idx.byKey) await indexTreeStats(blocks, idx.byKey, byKeyOptsFor(collationOf(idx.def)));
+    if (idx.cells) await blocks.get(idx.cells);
+    if (idx.reduced) await indexTreeStats(blocks, idx.reduced, byKeyOptsFor(collationOf(idx.def)));
+  }
+  return meta;
+}
+
+type IndexEntries<K extends IndexKeyType, R extends DocFragment> = (
+  bounds: RangeBounds,
+  descending?: boolean,
+) => AsyncIterable<ProllyIndexRow<K, R>>;
+
+// definitions that build their map function stand in for its source, the
+// options of other definitions change the rows as much as the source does
+function mapFnString<T extends DocTypes>(mapFn: MapFn<T>, def?: IndexDef): string {
+  if (def?.type === "fulltext") return JSON.stringify(def);
+  return def ? `${mapFn.toString()} /* ${JSON.stringify(def)} */` : mapFn.toString();
+}
+
+// the map function of an index named after a field, its source is the same for
+// every field so hydrated indexes get it back without application code
+function fieldMapFn<T extends DocTypes>(name: string): MapFn<T> {
+  return ((doc) => (doc as unknown as Record<string, unknown>)[name] ?? undefined) as MapFn<T>;
+}
+
+// the corpus of the term counts of every doc
+function corpusOf(lengths: Map<string, number>): Corpus {
+  let terms = 0;
+  for (const length of lengths.values()) terms += length;
+  return { docs: lengths.size, terms };
+}
+
+// the most candidate docs a search reads at once
+const searchBatch = 64;
+
+// lays rows out as the search results of the index
+async function searchRows<T extends DocTypes>(
+  crdt: CRDT,
+  ranked: { readonly id: string; readonly score: number }[],
+  opts: { readonly includeDocs?: boolean; readonly filter?: (doc: DocWithId<T>) => boolean; readonly limit: number },
+): Promise<SearchRow<T>[]> {
+  const includeDocs = opts.includeDocs ?? true;
+  if (!includeDocs && !opts.filter) return ranked.slice(0, opts.limit).map(({ id, score }) => ({ id, score }));
+  const rows: SearchRow<T>[] = [];
+  // the candidates still missing are read together, all at the same head
+  const head = [...crdt.clock.head];
+  for (let i = 0; i < ranked.length && rows.length < opts.limit; ) {
+    const batch = ranked.slice(i, i + Math.min(opts.limit - rows.length, searchBatch));
+    i += batch.length;
+    const docs = await Promise.all(
+      batch.map(async ({ id }) => {
+        const got = await crdt.get(id, { head });
+        return got ? ({ ...got.doc, _id: id } as DocWithId<T>) : undefined;
+      }),
+    );
+    for (const [j, { id, score }] of batch.entries()) {
+      const doc = docs[j];
+      if (rows.length >= opts.limit) break;
+      if (opts.filter && !(doc && opts.filter(doc))) continue;
+      rows.push(includeDocs ? { id, score, doc } : { id, score });
+    }
+  }
+  return rows;
+}
+
+const defaultGeoPrecision = 9;
+
+function byScore(a: { id: string; score: number }, b: { id: string; score: number }) {
+  return b.score - a.score || (a.id < b.id ? -1 : 1);
+}
+
+function sameHead(a: ClockHead, b?: ClockHead) {
+  return !!b && a.map((c) => c.toString()).join() === b.map((c) => c.toString()).join();
+}
+
+async function mappedRows<K extends IndexKeyType, R extends DocFragment>(
+  rows: AsyncIterable<ProllyIndexRow<K, R>>,
+): Promise<{ key: K; value: DocFragment }[]> {
+  const mapped: { key: K; value: DocFragment }[] = [];
+  for await (const row of rows) {
+    mapped.push({ key: decodeKey<K>(row.key), value: row.value });
+  }
+  return mapped;
+}
+
 // interface ByIdIndexIten<K extends IndexKeyType> {
 //   readonly key: K;
 //   readonly value: [K, K];
@@ -74,11 +235,32 @@ export class Index<K extends IndexKeyType, T extends DocTypes, R extends DocFrag
   readonly name: string;
   mapFn?: MapFn<T>;
   mapFnString = "";
+  def?: IndexDef;
+  // centroids of the cells of a vector index and their block
+  cells?: number[][];
+  cellsCid?: AnyLink;
+  // rows of a vector index
+  vectors?: number;
+  // docs and their summed term counts of a fulltext index
+  corpus?: Corpus;
+  version = 0;
+  // the meta of the last persisted rows
+  persisted?: IdxMeta;
   byKey: IndexTree<K, R> = new IndexTree<K, R>();
   byId: IndexTree<K, R> = new IndexTree<K, R>();
+  // ids the map function emitted for, kept across resets so subscribers see docs leave
+  mappedIds?: Set<string>;
+  // ids mapped as of the last updates the subscribers saw, see _coveredIds
+  coveredIds?: Set<string>;
   indexHead?: ClockHead;
   includeDocsDefault = false;
   initError?: Error;
+  // the groups of the declared reducer keyed like the byKey tree
+  reduced = new IndexTree<K, DocFragment>();
+  // called with the entries of every index update, see watch
+  readonly entryWatchers = new Set<(changes: DocUpdate<T>[], entries: IndexDoc<IndexKeyType>[], rebuild: boolean) => void>();
+  // the rows mapped at the head of the last point-in-time query
+  snapshot?: { readonly head: string; readonly rows: ProllyIndexRow<K, R>[] };
 
   ready(): Promise<void> {
     return Promise.all([this.blockstore.ready(), this.crdt.ready()]).then(() => {
@@ -99,11 +281,11 @@ export class Index<K extends IndexKeyType, T extends DocTypes, R extends DocFrag
 
   readonly logger: Logger;
 
-  constructor(sthis: SuperThis, crdt: CRDT, name: string, mapFn?: MapFn<T>, meta?: IdxMeta) {
+  constructor(sthis: SuperThis, crdt: CRDT, name: string, mapFn?: MapFn<T>, meta?: IdxMeta, def?: IndexDef) {
     this.logger = ensureLogger(sthis, "Index");
     this.blockstore = crdt.indexBlockstore;
     this.crdt = crdt as CRDT;
-    this.applyMapFn(name, mapFn, meta);
+    this.applyMapFn(name, mapFn, meta, def);
     this.name = name;
     if (!(this.mapFnString || this.initError)) throw this.logger.Error().Msg("missing mapFnString").AsError();
     // this.ready = this.blockstore.ready.then(() => {
@@ -119,7 +301,7 @@ export class Index<K extends IndexKeyType, T extends DocTypes, R extends DocFrag
     //   })
   }
 
-  applyMapFn(name: string, mapFn?: MapFn<T>, meta?: IdxMeta) {
+  applyMapFn(name: string, mapFn?: MapFn<T>, meta?: IdxMeta, def?: IndexDef) {
     if (mapFn && meta) throw this.logger.Error().Msg("cannot provide both mapFn and meta").AsError();
     if (this.name && this.name !== name) throw this.logger.Error().Msg("cannot change name").AsError();
     // this.name = name;
@@ -133,14 +315,25 @@ export class Index<K extends IndexKeyType, T extends DocTypes, R extends DocFrag
         if (this.mapFnString) {
           // we already initialized from application code
           if (this.mapFnString !== meta.map) {
-            this.logger
-              .Warn()
-              .Msg(`cannot apply different mapFn meta: old mapFnString ${this.mapFnString} new mapFnString ${meta.map}`);
+            if (this.crdt.opts.rebuildIndexes) {
+              // the rows of the new map function are built under the next version
+              this.version = Math.max(this.version, (meta.version ?? 0) + 1);
+            } else {
+              this.logger
+                .Warn()
+                .Msg(`cannot apply different mapFn meta: old mapFnString ${this.mapFnString} new mapFnString ${meta.map}`);
+            }
             // throw new Error('cannot apply different mapFn meta')
           } else {
             this.byId.cid = meta.byId;
             this.byKey.cid = meta.byKey;
             this.indexHead = meta.head;
+            this.cellsCid = meta.cells;
+            this.vectors = meta.vectors;
+            this.corpus = meta.corpus;
+            this.reduced.cid = meta.reduced;
+            this.version = meta.version ?? 0;
+            this.persisted = meta;
           }
         } else {
           // we are first
@@ -148,34 +341,55 @@ export class Index<K extends IndexKeyType, T extends DocTypes, R extends DocFrag
           this.byId.cid = meta.byId;
           this.byKey.cid = meta.byKey;
           this.indexHead = meta.head;
+          this.cellsCid = meta.cells;
+          this.vectors = meta.vectors;
+          this.corpus = meta.corpus;
+          this.reduced.cid = meta.reduced;
+          this.version = meta.version ?? 0;
+          this.persisted = meta;
+          this.def = meta.def;
+          if (meta.def?.type === "fulltext") {
+            // the definition rebuilds the map function without application code
+            this.mapFn = fullTextMapFn<T>(meta.def.fields);
+          } else if (meta.map === mapFnString(fieldMapFn<T>(name), meta.def)) {
+            // so do field indexes, unique ones keep being enforced after a reopen
+            this.mapFn = fieldMapFn<T>(name);
+          }
         }
       } else {
+        if (def?.type === "fulltext") mapFn = fullTextMapFn<T>(def.fields);
         if (this.mapFn) {
           // we already initialized from application code
           if (mapFn) {
-            if (this.mapFn.toString() !== mapFn.toString()) {
-              this.logger.Error().Msg("cannot apply different mapFn app2");
+            if (mapFnString(this.mapFn, this.def) !== mapFnString(mapFn, def)) {
+              if (this.crdt.opts.rebuildIndexes) this._nextVersion(name, mapFn, def);
+              else this.logger.Error().Msg("cannot apply different mapFn app2");
             }
           }
         } else {
           // application code is creating an index
           if (!mapFn) {
-            mapFn = ((doc) => (doc as unknown as Record<string, unknown>)[name] ?? undefined) as MapFn<T>;
+            mapFn = fieldMapFn<T>(name);
           }
           if (this.mapFnString) {
             // we already loaded from a header
-            if (this.mapFnString !== mapFn.toString()) {
-              this.logger
-                .Error()
-                .Str("mapFnString", this.mapFnString)
-                .Str("mapFn", mapFn.toString())
-                .Msg("cannot apply different mapFn app");
+            if (this.mapFnString !== mapFnString(mapFn, def)) {
+              if (this.crdt.opts.rebuildIndexes) {
+                this._nextVersion(name, mapFn, def);
+              } else {
+                this.logger
+                  .Error()
+                  .Str("mapFnString", this.mapFnString)
+                  .Str("mapFn", mapFnString(mapFn, def))
+                  .Msg("cannot apply different mapFn app");
+              }
             }
           } else {
             // we are first
-            this.mapFnString = mapFn.toString();
+            this.mapFnString = mapFnString(mapFn, def);
           }
           this.mapFn = mapFn;
+          this.def = def ?? this.def;
         }
       }
       const matches = /=>\s*(.*)/.test(this.mapFnString);
@@ -185,7 +399,91 @@ export class Index<K extends IndexKeyType, T extends DocTypes, R extends DocFrag
     }
   }
 
-  async query(opts: QueryOpts<K> = {}): Promise<IndexRows<K, T, R>> {
+  // drops the rows of the old map function, the next query maps every doc again
+  _nextVersion(name: string, mapFn: MapFn<T>, def?: IndexDef) {
+    this.logger
+      .Warn()
+      .Str("name", name)
+      .Any("version", this.version + 1)
+      .Msg("rebuilding index for a changed mapFn");
+    this._resetIndex();
+    this.persisted = undefined;
+    this.cells = undefined;
+    this.cellsCid = undefined;
+    this.vectors = undefined;
+    this.corpus = undefined;
+    this.version++;
+    this.mapFnString = mapFnString(mapFn, def);
+    this.mapFn = mapFn;
+    this.def = def;
+  }
+
+  // maps every doc again and persists the new rows
+  async rebuild(): Promise<void> {
+    await this.ready();
+    this._resetIndex();
+    this.cells = undefined;
+    this.cellsCid = undefined;
+    this.vectors = undefined;
+    this.corpus = undefined;
+    await this._updateIndex();
+  }
+
+  async info(): Promise<IndexInfo> {
+    await this.ready();
+    const meta = this.indexHead ? this._idxMeta(this.indexHead) : this.persisted;
+    const byKey = meta?.byKey
+      ? await indexTreeStats(this.blockstore, meta.byKey, byKeyOptsFor(collationOf(this.def)))
+      : { rows: 0, size: 0 };
+    const byId = meta?.byId ? await indexTreeStats(this.blockstore, meta.byId, byIdOpts) : { rows: 0, size: 0 };
+    const cells = meta?.cells ? await this.blockstore.get(meta.cells) : undefined;
+    const reduced = meta?.reduced
+      ? await indexTreeStats(this.blockstore, meta.reduced, byKeyOptsFor(collationOf(this.def)))
+      : { rows: 0, size: 0 };
+    return {
+      name: this.name,
+      map: this.mapFnString,
+      ...(this.def ? { def: this.def } : {}),
+      version: this.version,
+      head: meta?.head,
+      rows: byKey.rows,
+      size: byKey.size + byId.size + (cells?.bytes.length ?? 0) + reduced.size,
+    };
+  }
+
+  get unique(): boolean {
+    return isMapDef(this.def) && !!this.def.unique && !!this.mapFn;
+  }
+
+  /**
+   * Keys the changes share with each other or with docs outside of them.
+   * The rows of the changed docs are left out, as the changes replace them.
+   */
+  async duplicates(changes: DocUpdate<T>[]): Promise<UniqueViolation[]> {
+    const comp = keyCompare(collationOf(this.def));
+    const entries = sortRows<K, R>(indexEntriesForChanges<T, K>(changes, throwFalsy(this.mapFn)), comp);
+    const changed = new Set(changes.map(({ id }) => id));
+    const violations: UniqueViolation[] = [];
+    for (let i = 0; i < entries.length; ) {
+      let end = i + 1;
+      while (
+        end < entries.length &&
+        comp([entries[i].key as unknown as string, ""], [entries[end].key as unknown as string, ""]) === 0
+      )
+        end++;
+      const key = decodeKey<K>(entries[i].key);
+      // key lookups skip falsy keys
+      const { rows } = await this.query({ range: [key, key], includeDocs: false });
+      const ids = new Set([...entries.slice(i, end).map((e) => e.id), ...rows.map((r) => r.id).filter((id) => !changed.has(id))]);
+      if (ids.size > 1) violations.push({ index: this.name, key, ids: Array.from(ids).sort() });
+      i = end;
+    }
+    return violations;
+  }
+
+  query<V = unknown>(opts: ReduceQueryOpts<K>): Promise<ReduceRows<K, V>>;
+  query(opts?: QueryOpts<K>): Promise<IndexRows<K, T, R>>;
+  async query(opts: QueryOpts<K> = {}): Promise<IndexRows<K, T, R> | ReduceRows<K>> {
     this.logger.Debug().Msg("enter query");
     await this.ready();
     // this._resetIndex();
@@ -194,61 +492,437 @@ export class Index<K extends IndexKeyType, T extends DocTypes, R extends DocFrag
     this.logger.Debug().Msg("post _updateIndex query");
     await this._hydrateIndex();
     this.logger.Debug().Msg("post _hydrateIndex query");
-    if (!this.byKey.root) {
-      return await applyQuery<K, T, R>(this.crdt, { result: [] }, opts);
+    const entries = await this._entries(opts.head);
+    if (opts.bbox || opts.near) {
+      return this._geoQuery(opts, entries);
     }
-    if (this.includeDocsDefault && opts.includeDocs === undefined) opts.includeDocs = true;
-    if (opts.range) {
-      const eRange = encodeRange(opts.range);
-      return await applyQuery<K, T, R>(this.crdt, await throwFalsy(this.byKey.root).range(eRange[0], eRange[1]), opts);
+    if (opts.reduce) {
+      return this._reduceQuery(opts as ReduceQueryOpts<K>, entries);
     }
-    if (opts.key) {
-      const encodedKey = encodeKey(opts.key);
-      return await applyQuery<K, T, R>(this.crdt, await throwFalsy(this.byKey.root).get(encodedKey), opts);
+    if (!entries) {
+      return await applyQuery<K, T, R>(this.crdt, { result: [] }, opts);
     }
+    if (this.includeDocsDefault && opts.includeDocs === undefined) opts.includeDocs = true;
     if (Array.isArray(opts.keys)) {
-      const results = await Promise.all(
-        opts.keys.map(async (key: DocFragment) => {
-          const encodedKey = encodeKey(key);
-          return (await applyQuery<K, T, R>(this.crdt, await throwFalsy(this.byKey.root).get(encodedKey), opts)).rows;
+      // keys equal in the collation are read once
+      const comp = keyCompare(collationOf(this.def));
+      const keys: string[] = [];
+      for (const key of opts.keys.map((key) => encodeKey(key))) {
+        if (!keys.some((k) => comp([k, ""], [key, ""]) === 0)) keys.push(key);
+      }
+      const rowsByKey = await Promise.all(
+        keys.map(async (key) => {
+          const rows: ProllyIndexRow<K, R>[] = [];
+          for await (const row of entries({ start: [key, NaN], end: [key, Infinity] })) rows.push(row);
+          return rows;
         }),
       );
-      return { rows: results.flat() };
-    }
-    if (opts.prefix) {
-      if (!Array.isArray(opts.prefix)) opts.prefix = [opts.prefix];
-      // prefix should be always an array
-      const start = [...opts.prefix, NaN];
-      const end = [...opts.prefix, Infinity];
-      const encodedR = encodeRange([start, end]);
-      return await applyQuery<K, T, R>(this.crdt, await this.byKey.root.range(...encodedR), opts);
-    }
-    const all = await this.byKey.root.getAllEntries(); // funky return type
-    return await applyQuery<K, T, R>(
-      this.crdt,
-      {
-        // @ts-expect-error getAllEntries returns a different type than range
-        result: all.result.map(({ key: [k, id], value }) => ({
-          key: k,
-          id,
-          value,
-        })),
-      },
-      opts,
+      const result = keysWindow(rowsByKey, keys, opts, comp);
+      const { rows } = await applyQuery<K, T, R>(this.crdt, { result }, opts);
+      return { rows, cursor: opts.limit && result.length === opts.limit ? toCursor(result[result.length - 1]) : undefined };
+    }
+    const limit = opts.limit ?? Infinity;
+    const result: ProllyIndexRow<K, R>[] = [];
+    if (limit > 0) {
+      for await (const row of entries(queryBounds(opts), opts.descending)) {
+        result.push(row);
+        if (result.length >= limit) break;
+      }
+    }
+    const { rows } = await applyQuery<K, T, R>(this.crdt, { result }, opts);
+    return { rows, cursor: opts.limit && result.length === opts.limit ? toCursor(result[result.length - 1]) : undefined };
+  }
+
+  /**
+   * Calls back with the rows of the query and then with the row diff of
+   * every change, taken from the entries the index update maps anyway.
+   * Callbacks wanting every row in order ask for them, sorted on demand.
+   */
+  watch(opts: QueryOpts<K>, cb: IndexWatchFn<K, T, R>): UnReg {
+    if (
+      opts.limit !== undefined ||
+      opts.startAfter ||
+      opts.reduce ||
+      opts.head ||
+      opts.tag ||
+      opts.bbox ||
+      opts.near ||
+      opts.include
+    ) {
+      throw this.logger.Error().Msg("watch supports no limit, startAfter, reduce, head, tag, include or geo queries").AsError();
+    }
+    const bounds = Array.isArray(opts.keys) ? opts.keys.map((key) => queryBounds<K>({ key })) : [queryBounds(opts)];
+    const live = new LiveRows<K, T, R>(bounds, opts.descending, keyCompare(collationOf(this.def)));
+    const emit = (diff: IndexRowsDiff<K, T, R>) => {
+      try {
+        cb(
+          diff,
+          () => live.rows(),
+          (prev) => live.patch(prev, diff),
+        );
+      } catch (e) {
+        this.logger.Error().Err(e).Msg("watch callback error");
+      }
+    };
+    // updates before the initial rows are read are applied on top of them
+    let queued: [DocUpdate<T>[], IndexDoc<IndexKeyType>[], boolean][] | undefined = [];
+    let includeDocs = false;
+    const onEntries = (changes: DocUpdate<T>[], entries: IndexDoc<IndexKeyType>[], rebuild: boolean) => {
+      if (queued) {
+        queued.push([changes, entries, rebuild]);
+        return;
+      }
+      const diff = live.apply(changes, entries as IndexDoc<K>[], includeDocs, rebuild);
+      if (diff) emit(diff);
+    };
+    this.entryWatchers.add(onEntries);
+    // each tick updates the index, which maps the changed docs once for every
+    // watcher, ticks arriving while an update waits are covered by it
+    let updating: Promise<unknown> = Promise.resolve();
+    let waiting = false;
+    const unreg = this.crdt.clock.onTick(() => {
+      if (waiting) return;
+      waiting = true;
+      updating = updating
+        .then(() => {
+          waiting = false;
+          return this._updateIndex();
+        })
+        .catch((e) => this.logger.Error().Err(e).Msg("watch update error"));
+    });
+    let closed = false;
+    this.query(opts)
+      .then(({ rows }) => {
+        if (closed) return;
+        includeDocs = !!opts.includeDocs || (this.includeDocsDefault && opts.includeDocs === undefined);
+        emit(live.init(rows));
+        const updates = throwFalsy(queued);
+        queued = undefined;
+        for (const [changes, entries, rebuild] of updates) onEntries(changes, entries, rebuild);
+      })
+      .catch((e) => this.logger.Error().Err(e).Msg("watch query error"));
+    return () => {
+      closed = true;
+      this.entryWatchers.delete(onEntries);
+      unreg();
+    };
+  }
+
+  /**
+   * Ranks the docs of a full-text index by the BM25 score of the stemmed
+   * query terms, docs have to hold at least one of them.
+   */
+  async search(text: string, opts: SearchOpts = {}): Promise<SearchResponse<T>> {
+    if (this.def?.type !== "fulltext") throw this.logger.Error().Str("name", this.name).Msg("not a fulltext index").AsError();
+    await this.ready();
+    await this._updateIndex();
+    await this._hydrateIndex();
+    const entries = await this._entries();
+    const terms = Array.from(new Set(tokenize(text)));
+    if (!entries || !terms.length) return { rows: [] };
+    const postings = await Promise.all(
+      terms.map(async (term) => {
+        const posting: Posting[] = [];
+        for await (const row of entries(queryBounds<K>({ key: term }))) posting.push({ id: row.id, count: row.value as number });
+        return posting;
+      }),
+    );
+    const lengths = await this._docLengths(Array.from(new Set(postings.flat().map(({ id }) => id))));
+    this.corpus ??= corpusOf(await this._docLengths());
+    const ranked = Array.from(bm25Scores(postings, lengths, this.corpus), ([id, score]) => ({ id, score })).sort(byScore);
+    return { rows: await searchRows<T>(this.crdt, ranked, { ...opts, limit: opts.limit ?? Infinity }) };
+  }
+
+  /**
+   * Scores the vectors in the cells nearest to the query and returns the k
+   * most similar docs that pass the filter.
+   */
+  async nearest(vector: number[] | Float32Array, opts: NearestOpts<T> = {}): Promise<SearchResponse<T>> {
+    if (this.def?.type !== "vector") throw this.logger.Error().Str("name", this.name).Msg("not a vector index").AsError();
+    const query = toVector(vector);
+    if (!query) throw this.logger.Error().Msg("nearest needs a vector of numbers").AsError();
+    await this.ready();
+    await this._updateIndex();
+    await this._hydrateIndex();
+    const entries = await this._entries();
+    if (!entries || !this.cells) return { rows: [] };
+    const metric = this.def.metric ?? "cosine";
+    const probes = opts.probes ?? Math.ceil(Math.sqrt(this.cells.length));
+    const scored: { id: string; score: number }[] = [];
+    for (const cell of nearestCells(this.cells, query, metric, probes)) {
+      for await (const row of entries(queryBounds<K>({ range: [cell, cell] }))) {
+        const value = row.value as unknown as number[];
+        if (value.length === query.length) scored.push({ id: row.id, score: similarity(metric, query, value) });
+      }
+    }
+    return { rows: await searchRows<T>(this.crdt, scored.sort(byScore), { ...opts, limit: opts.k ?? 10 }) };
+  }
+
+  // scans the geohash cells covering the query, applyQuery drops the rows outside of it
+  async _geoQuery(opts: QueryOpts<K>, entries?: IndexEntries<K, R>): Promise<IndexRows<K, T, R>> {
+    if (this.def?.type !== "geo") throw this.logger.Error().Str("name", this.name).Msg("bbox and near need a geo index").AsError();
+    if (opts.reduce || opts.startAfter) throw this.logger.Error().Msg("geo queries support no reduce or startAfter").AsError();
+    if (opts.near && !(isGeoPoint(opts.near) && opts.radius && opts.radius > 0)) {
+      throw this.logger.Error().Any("near", opts.near).Msg("near needs a point and a positive radius").AsError();
+    }
+    if (!entries) return { rows: [] };
+    const box = opts.bbox ?? radiusBox(throwFalsy(opts.near), throwFalsy(opts.radius));
+    const result: ProllyIndexRow<K, R>[] = [];
+    for (const cell of coverBox(box, this.def.precision ?? defaultGeoPrecision)) {
+      for await (const row of entries(queryBounds<K>({ range: [cell, `${cell}~`] }))) result.push(row);
+    }
+    if (this.includeDocsDefault && opts.includeDocs === undefined) opts.includeDocs = true;
+    return applyQuery<K, T, R>(this.crdt, { result }, opts);
+  }
+
+  // reads the rows of the byKey tree, or of a snapshot mapped at an older head
+  async _entries(head?: ClockHead): Promise<IndexEntries<K, R> | undefined> {
+    if (!head || sameHead(head, this.indexHead)) {
+      const root = this.byKey.root;
+      return root ? (bounds, descending) => rangeEntries<K, R>(root, bounds, descending) : undefined;
+    }
+    const key = head.map((c) => c.toString()).join();
+    const comp = keyCompare(collationOf(this.def));
+    if (this.snapshot?.head !== key) {
+      const { result } = await this.crdt.allDocs<T>({ head });
+      const rows = sortRows<K, R>(await this._entriesForChanges(result, false, true), comp);
+      this.snapshot = { head: key, rows };
+    }
+    const rows = this.snapshot.rows;
+    return (bounds, descending) => arrayEntries(rows, bounds, descending, comp);
+  }
+
+  async _reduceQuery(opts: ReduceQueryOpts<K>, entries?: IndexEntries<K, R>): Promise<ReduceRows<K>> {
+    if (!entries) return { rows: [] };
+    let rows: ReduceRow<K>[];
+    const declared = declaredReduce<K>(this.def);
+    if (opts.range || opts.key || opts.keys || opts.prefix || opts.startAfter || opts.head) {
+      // filtered and snapshot queries reduce just the matching rows
+      const boundsList = Array.isArray(opts.keys) ? opts.keys.map((key) => queryBounds<K>({ key })) : [queryBounds(opts)];
+      const mapped: { key: K; value: DocFragment }[] = [];
+      for (const bounds of boundsList) {
+        mapped.push(...(await mappedRows(entries(bounds, opts.descending))));
+      }
+      rows = reduceRows(this.logger, mapped, opts);
+    } else if (declared && reduceId(declared) === reduceId(opts)) {
+      rows = await this._reducedRows(opts.descending, opts.limit);
+    } else {
+      rows = reduceRows(this.logger, await mappedRows(entries({})), opts);
+      if (opts.descending) rows.reverse();
+    }
+    return { rows: opts.limit !== undefined ? rows.slice(0, opts.limit) : rows };
+  }
+
+  // the saved groups of the declared reducer in the order of the index
+  async _reducedRows(descending?: boolean, limit = Infinity): Promise<ReduceRow<K>[]> {
+    if (!this.reduced.root && this.reduced.cid) {
+      this.reduced.root = await loadIndex<K, DocFragment, CompareKey>(
+        this.blockstore,
+        this.reduced.cid,
+        byKeyOptsFor(collationOf(this.def)),
+      );
+    }
+    const rows: ReduceRow<K>[] = [];
+    if (!this.reduced.root || limit <= 0) return rows;
+    for await (const { key, value } of rangeEntries<K, DocFragment>(this.reduced.root, {}, descending)) {
+      rows.push({ key: decodeKey<K | null>(key), value });
+      if (rows.length >= limit) break;
+    }
+    return rows;
+  }
+
+  // reduces the groups the changed keys touch again from the updated rows and
+  // writes just those groups, a rebuild or an index without saved groups
+  // reduces every group
+  async _updateReduced(tblocks: CarTransaction, keys: IndexKey<K>[], rebuild: boolean): Promise<void> {
+    const declared = declaredReduce<K>(this.def);
+    const root = this.byKey.root;
+    if (!declared) return;
+    if (!root) {
+      this.reduced = new IndexTree();
+      return;
+    }
+    const updates: IndexUpdate<K>[] = [];
+    if (rebuild || !this.reduced.cid) {
+      this.reduced = new IndexTree();
+      for (const row of reduceRows(this.logger, await mappedRows(rangeEntries<K, R>(root, {})), declared)) {
+        updates.push({ key: [encodeKey(row.key) as K, ""], value: row.value as DocFragment });
+      }
+    } else {
+      const touched = new Set(keys.map(([encoded]) => encodeKey(groupKeyFor(decodeKey<K>(encoded), declared))));
+      for (const encodedGroup of touched) {
+        const groupKey = decodeKey<K | null>(encodedGroup);
+        // the bounds of a truncated array key also hold the rows of deeper groups
+        const mapped = (await mappedRows(rangeEntries<K, R>(root, groupBounds(groupKey, declared)))).filter(
+          (row) => encodeKey(groupKeyFor(row.key, declared)) === encodedGroup,
+        );
+        const [row] = reduceRows(this.logger, mapped, declared);
+        updates.push(
+          row ? { key: [encodedGroup as K, ""], value: row.value as DocFragment } : { key: [encodedGroup as K, ""], del: true },
+        );
+      }
+    }
+    this.reduced = await bulkIndex<K, DocFragment, CompareKey>(
+      this.logger,
+      tblocks,
+      this.reduced,
+      updates,
+      byKeyOptsFor(collationOf(this.def)),
     );
   }
 
+  // the term counts of the given docs of a fulltext index, of every doc without ids
+  async _docLengths(ids?: string[]): Promise<Map<string, number>> {
+    await this._hydrateIndex();
+    const lengths = new Map<string, number>();
+    const root = this.byKey.root;
+    if (!root) return lengths;
+    const lengthKey = encodeKey(docLengthKey);
+    const bounds: RangeBounds[] = ids
+      ? ids.map((id) => ({ start: [lengthKey, id], end: [lengthKey, id] }))
+      : [queryBounds<K>({ range: [docLengthKey as K, docLengthKey as K] })];
+    for (const range of bounds) {
+      for await (const row of rangeEntries<K, R>(root, range)) lengths.set(row.id, row.value as unknown as number);
+    }
+    return lengths;
+  }
+
+  // the corpus once the stale rows are replaced by the entries, read before the rows change
+  async _nextCorpus(stale: IndexUpdate<K>[], entries: IndexDoc<K>[], rebuild: boolean): Promise<Corpus> {
+    const lengthKey = encodeKey(docLengthKey);
+    let { docs, terms } = rebuild ? { docs: 0, terms: 0 } : (this.corpus ?? corpusOf(await this._docLengths()));
+    if (!rebuild) {
+      const staleIds = stale.filter(({ key }) => key[0] === lengthKey).map(({ key }) => key[1]);
+      for (const length of (await this._docLengths(staleIds)).values()) {
+        docs--;
+        terms -= length;
+      }
+    }
+    for (const { key, value } of entries) {
+      if (key[0] !== lengthKey) continue;
+      docs++;
+      terms += value as unknown as number;
+    }
+    return { docs, terms };
+  }
+
   _resetIndex() {
     this.byId = new IndexTree();
     this.byKey = new IndexTree();
     this.indexHead = undefined;
+    this.reduced = new IndexTree();
+    this.snapshot = undefined;
+  }
+
+  // ids of the updates this index maps now or mapped before them, the ids it maps
+  // start from its rows, so an index that was never built is built first
+  async _coveredIds(updates: DocUpdate<T>[]): Promise<Set<string> | undefined> {
+    if (!this.mapFn) return undefined;
+    if (!this.coveredIds) {
+      if (!this.mappedIds) await this._updateIndex();
+      // a copy, the set of the index follows its own updates
+      this.coveredIds = new Set(this.mappedIds ?? (await this._rowIds()));
+    }
+    const mapped = new Set(indexEntriesForChanges<T, K>(updates, this.mapFn).map(({ key }) => key[1]));
+    const ids = new Set<string>();
+    for (const { id } of updates) {
+      if (mapped.has(id) || this.coveredIds.has(id)) ids.add(id);
+      if (mapped.has(id)) this.coveredIds.add(id);
+      else this.coveredIds.delete(id);
+    }
+    return ids;
+  }
+
+  // ids of the docs the saved rows are for
+  async _rowIds(): Promise<Set<string>> {
+    await this._hydrateIndex();
+    const ids = new Set<string>();
+    const root = this.byKey.root;
+    if (!root) return ids;
+    for await (const { id } of rangeEntries<K, R>(root, {})) ids.add(id);
+    return ids;
+  }
+
+  _idxMeta(head: ClockHead): IdxMeta {
+    return {
+      byId: this.byId.cid,
+      byKey: this.byKey.cid,
+      head,
+      map: this.mapFnString,
+      name: this.name,
+      ...(this.def ? { def: this.def } : {}),
+      ...(this.cellsCid ? { cells: this.cellsCid } : {}),
+      ...(this.vectors !== undefined ? { vectors: this.vectors } : {}),
+      ...(this.corpus ? { corpus: this.corpus } : {}),
+      ...(this.reduced.cid ? { reduced: this.reduced.cid } : {}),
+      version: this.version,
+    } as IdxMeta;
+  }
+
+  // rows of the changed docs, index kinds other than map functions key them their own way,
+  // a snapshot leaves the state of the index as it is
+  async _entriesForChanges(changes: DocUpdate<T>[], rebuild: boolean, snapshot = false): Promise<IndexDoc<K>[]> {
+    const mapFn = throwFalsy(this.mapFn);
+    switch (this.def?.type) {
+      case "vector":
+        return this._vectorEntries(changes, rebuild, snapshot);
+      case "geo": {
+        const precision = this.def.precision ?? defaultGeoPrecision;
+        return mapReturnsForChanges(changes, mapFn)
+          .filter(({ value }) => isGeoPoint(value))
+          .map(({ id, value }) => {
+            const { lat, lng } = value as GeoPoint;
+            return { key: [encodeKey(geohash({ lat, lng }, precision)) as K, id], value: { lat, lng } };
+          });
+      }
+      default:
+        return indexEntriesForChanges<T, K>(changes, mapFn); // use a getter to translate from string
+    }
+  }
+
+  // rows of the vectors of the changes keyed by the cell of their nearest
+  // centroid, a rebuild trains the centroids on all vectors again and a
+  // snapshot trains its own only while the index has none
+  async _vectorEntries(changes: DocUpdate<T>[], rebuild: boolean, snapshot = false): Promise<IndexDoc<K>[]> {
+    const metric = (this.def?.type === "vector" && this.def.metric) || "cosine";
+    let vectors = vectorsForChanges(changes, throwFalsy(this.mapFn));
+    if (!rebuild && !this.cells && this.cellsCid) this.cells = await loadCells(this.blockstore, this.cellsCid);
+    let cells = this.cells;
+    if ((rebuild || !cells) && vectors.length) {
+      const length = vectors[0].vector.length;
+      cells = trainCells(
+        vectors.filter(({ vector }) => vector.length === length).map(({ vector }) => vector),
+        metric,
+      );
+      if (!snapshot) {
+        this.cells = cells;
+        this.cellsCid = undefined;
+      }
+    }
+    if (!cells) return [];
+    const skipped = vectors.filter(({ vector }) => vector.length !== cells[0].length);
+    if (skipped.length) {
+      this.logger
+        .Warn()
+        .Any(
+          "ids",
+          skipped.map(({ id }) => id),
+        )
+        .Msg("skipping vectors of a different length");
+      vectors = vectors.filter(({ vector }) => vector.length === cells[0].length);
+    }
+    return vectors.map(({ id, vector }) => ({
+      key: [encodeKey(nearestCells(cells, vector, metric, 1)[0]) as K, id],
+      value: vector,
+    }));
   }
 
   async _hydrateIndex() {
+    if (!this.cells && this.cellsCid) this.cells = await loadCells(this.blockstore, this.cellsCid);
     if (this.byId.root && this.byKey.root) return;
     if (!this.byId.cid || !this.byKey.cid) return;
     this.byId.root = await loadIndex<K, R, K>(this.blockstore, this.byId.cid, byIdOpts);
-    this.byKey.root = await loadIndex<K, R, CompareKey>(this.blockstore, this.byKey.cid, byKeyOpts);
+    this.byKey.root = await loadIndex<K, R, CompareKey>(this.blockstore, this.byKey.cid, byKeyOptsFor(collationOf(this.def)));
   }
 
   async _updateIndex(): Promise<IndexTransactionMeta> {
@@ -257,7 +931,8 @@ export class Index<K extends IndexKeyType, T extends DocTypes, R extends DocFrag
     if (this.initError) throw this.initError;
     if (!this.mapFn) throw this.logger.Error().Msg("No map function defined").AsError();
     let result: DocUpdate<T>[], head: ClockHead;
-    if (!this.indexHead || this.indexHead.length === 0) {
+    const rebuild = !this.indexHead || this.indexHead.length === 0;
+    if (rebuild) {
       ({ result, head } = await this.crdt.allDocs<T>());
       this.logger.Debug().Msg("enter crdt.allDocs");
     } else {
@@ -265,7 +940,7 @@ export class Index<K extends IndexKeyType, T extends DocTypes, R extends DocFrag
       this.logger.Debug().Msg("enter crdt.changes");
     }
     if (result.length === 0) {
-      this.indexHead = head;
+      this.indexHead = [...head];
       // return { byId: this.byId, byKey: this.byKey } as IndexTransactionMeta;
     }
     let staleKeyIndexEntries: IndexUpdate<K>[] = [];
@@ -276,29 +951,28 @@ export class Index<K extends IndexKeyType, T extends DocTypes, R extends DocFrag
       staleKeyIndexEntries = oldChangeEntries.map((key) => ({ key, del: true }));
       removeIdIndexEntries = oldChangeEntries.map((key) => ({ key: key[1], del: true }));
     }
-    const indexEntries = indexEntriesForChanges<T, K>(result, this.mapFn); // use a getter to translate from string
+    const indexEntries = await this._entriesForChanges(result, rebuild);
+    if (this.def?.type === "vector" && !rebuild && this.vectors === undefined && this.byId.cid) {
+      // counted once for indexes persisted before their rows were
+      this.vectors = (await indexTreeStats(this.blockstore, this.byId.cid, byIdOpts)).rows;
+    }
+    const corpus = this.def?.type === "fulltext" ? await this._nextCorpus(staleKeyIndexEntries, indexEntries, rebuild) : undefined;
+    const mapped = new Set(indexEntries.map(({ key }) => key[1]));
+    if (rebuild) this.mappedIds = mapped;
+    for (const { id } of result) {
+      if (mapped.has(id)) this.mappedIds?.add(id);
+      else this.mappedIds?.delete(id);
+    }
     const byIdIndexEntries: IndexDocString[] = indexEntries.map(({ key }) => ({
       key: key[1],
       value: key,
     }));
-    const indexerMeta: IdxMetaMap = { indexes: new Map() };
-
-    for (const [name, indexer] of this.crdt.indexers) {
-      if (indexer.indexHead) {
-        indexerMeta.indexes?.set(name, {
-          byId: indexer.byId.cid,
-          byKey: indexer.byKey.cid,
-          head: indexer.indexHead,
-          map: indexer.mapFnString,
-          name: indexer.name,
-        } as IdxMeta);
-      }
-    }
+    const indexerMeta = indexesMeta(this.crdt);
     if (result.length === 0) {
-      return indexerMeta as unknown as IndexTransactionMeta;
+      return indexerMeta;
     }
     this.logger.Debug().Msg("pre this.blockstore.transaction");
-    const { meta } = await this.blockstore.transaction<IndexTransactionMeta>(async (tblocks): Promise<IndexTransactionMeta> => {
+    const update = this.blockstore.transaction<IndexTransactionMeta>(async (tblocks): Promise<IndexTransactionMeta> => {
       this.byId = await bulkIndex<K, R, K>(
         this.logger,
         tblocks,
@@ -311,23 +985,43 @@ export class Index<K extends IndexKeyType, T extends DocTypes, R extends DocFrag
         tblocks,
         this.byKey,
         staleKeyIndexEntries.concat(indexEntries),
-        byKeyOpts,
+        byKeyOptsFor(collationOf(this.def)),
+      );
+      // a copy, the head of the clock changes in place
+      this.indexHead = [...head];
+      if (this.def?.type === "vector") {
+        this.vectors = rebuild ? indexEntries.length : (this.vectors ?? 0) + indexEntries.length - removeIdIndexEntries.length;
+      }
+      if (corpus) this.corpus = corpus;
+      if (this.cells && !this.cellsCid) this.cellsCid = await storeCells(tblocks, this.cells);
+      await this._updateReduced(
+        tblocks,
+        staleKeyIndexEntries.concat(indexEntries).map(({ key }) => key),
+        rebuild,
       );
-      this.indexHead = head;
       if (this.byId.cid && this.byKey.cid) {
-        const idxMeta = {
-          byId: this.byId.cid,
-          byKey: this.byKey.cid,
-          head,
-          map: this.mapFnString,
-          name: this.name,
-        } as IdxMeta;
-        indexerMeta.indexes?.set(this.name, idxMeta);
+        this.persisted = this._idxMeta(head);
+        indexerMeta.indexes[this.name] = this.persisted;
       }
-      this.logger.Debug().Any("indexerMeta", new Array(indexerMeta.indexes?.entries())).Msg("exit this.blockstore.transaction fn");
-      return indexerMeta as unknown as IndexTransactionMeta;
+      this.logger.Debug().Any("indexerMeta", Object.entries(indexerMeta.indexes)).Msg("exit this.blockstore.transaction fn");
+      return indexerMeta;
     });
-    this.logger.Debug().Msg("post this.blockstore.transaction");
-    return meta;
+    this.crdt.indexUpdates.add(update);
+    try {
+      const { meta } = await update;
+      this.logger.Debug().Msg("post this.blockstore.transaction");
+      for (const fn of this.entryWatchers) fn(result, indexEntries, rebuild);
+      if (this.cells && this.vectors !== undefined && cellsOutgrown(this.cells, this.vectors)) {
+        // the rows of every cell are keyed anew, so the index is built again
+        this.logger.Debug().Any("vectors", this.vectors).Msg("retraining outgrown cells");
+        this._resetIndex();
+        this.cells = undefined;
+        this.cellsCid = undefined;
+        return this._updateIndex();
+      }
+      return meta;
+    } finally {
+      this.crdt.indexUpdates.delete(update);
+    }
   }
 }
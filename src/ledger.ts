@@ -15,6 +15,9 @@ import type {
   LedgerOpts,
   Attachable,
   Attached,
+  BulkOpts,
+  SubscribeOpts,
+  UpdateListenerFn,
 } from "./types.js";
 import { PARAM } from "./types.js";
 import { StoreURIRuntime, StoreUrlsOpts } from "./blockstore/index.js";
@@ -24,15 +27,27 @@ import { decodeFile, encodeFile } from "./runtime/files.js";
 import { defaultKeyBagOpts } from "./runtime/key-bag.js";
 import { getDefaultURI } from "./blockstore/register-store-protocol.js";
 import { DatabaseImpl } from "./database.js";
+import { importArchive } from "./archive-helpers.js";
+import { mainBranch, registerBranch } from "./branch-helpers.js";
 import { CRDTImpl } from "./crdt.js";
+import { toHistoryRow } from "./crdt-helpers.js";
 import { Context } from "./context.js";
 
 const ledgers = new KeyedResolvOnce<Ledger>();
 
+interface Subscription {
+  readonly listener: UpdateListenerFn<DocTypes>;
+  readonly opts: SubscribeOpts<DocTypes>;
+  // matched docs waiting for the debounce, the latest per id
+  readonly pending: Map<string, DocWithId<DocTypes>>;
+  timer?: ReturnType<typeof setTimeout>;
+}
+
 export function keyConfigOpts(sthis: SuperThis, name: string, opts?: ConfigOpts): string {
   return JSON.stringify(
     toSortedArray({
       name,
+      ...(opts?.branch && opts.branch !== mainBranch ? { branch: opts.branch } : {}),
       stores: toSortedArray(JSON.parse(JSON.stringify(toStoreURIRuntime(sthis, name, opts?.storeUrls)))),
     }),
   );
@@ -53,6 +68,11 @@ export function LedgerFactory(name: string, opts?: ConfigOpts): Ledger {
         storeUrls: toStoreURIRuntime(sthis, name, opts?.storeUrls),
         gatewayInterceptor: opts?.gatewayInterceptor,
         writeQueue: defaultWriteQueueOpts(opts?.writeQueue),
+        resolveConflict: opts?.resolveConflict,
+        conflictResolvers: opts?.conflictResolvers,
+        validate: opts?.validate,
+        rebuildIndexes: opts?.rebuildIndexes,
+        branch: opts?.branch,
         storeEnDe: {
           encodeFile,
           decodeFile,
@@ -121,7 +141,7 @@ export class LedgerShell implements Ledger {
   //   return this.ref.asDB();
   // }
 
-  subscribe<T extends DocTypes>(listener: ListenerFn<T>, updates?: boolean): () => void {
+  subscribe<T extends DocTypes>(listener: ListenerFn<T>, updates?: boolean | SubscribeOpts<T>): () => void {
     return this.ref.subscribe(listener, updates);
   }
 }
@@ -133,6 +153,7 @@ class LedgerImpl implements Ledger {
   _listening = false;
   readonly _listeners = new Set<ListenerFn<DocTypes>>();
   readonly _noupdate_listeners = new Set<ListenerFn<DocTypes>>();
+  readonly _subscriptions = new Set<Subscription>();
   readonly crdt: CRDT;
   readonly writeQueue: WriteQueue<DocUpdate<DocTypes>>;
   // readonly blockstore: BaseBlockstore;
@@ -167,6 +188,7 @@ class LedgerImpl implements Ledger {
     }
     this.shells.delete(db);
     if (this.shells.size === 0) {
+      for (const sub of this._subscriptions) clearTimeout(sub.timer);
       await this.ready();
       await this.crdt.close();
       await this.writeQueue.close();
@@ -186,6 +208,7 @@ class LedgerImpl implements Ledger {
     const ret = await this._ready.once(async () => {
       await this.sthis.start();
       await this.crdt.ready();
+      if (this.opts.branch && this.opts.branch !== mainBranch) await registerBranch(this.crdt);
       // await this.blockstore.ready();
     });
     return ret;
@@ -204,10 +227,34 @@ class LedgerImpl implements Ledger {
     this.crdt = new CRDTImpl(this.sthis, this.opts);
     this.writeQueue = writeQueue(
       this.sthis,
-      async (updates: DocUpdate<DocTypes>[]) => this.crdt.bulk(updates),
+      async (updates: DocUpdate<DocTypes>[], opts?: BulkOpts) => this.crdt.bulk(updates, opts),
       this.opts.writeQueue,
     );
     this.crdt.clock.onTock(() => this._no_update_notify());
+    if (this.opts.resolveConflict || this.opts.conflictResolvers) {
+      // resolutions are writes, so they must not run inside the merge itself; the
+      // crdt watches first, so the conflicts are stored once this one runs
+      this.crdt.clock.onConflict((conflicts) => void this._resolveConflicts(Array.from(conflicts.keys())));
+    }
+  }
+
+  private async _resolveConflicts(ids: string[]) {
+    for (const id of ids) {
+      try {
+        const got = await this.crdt.get(id).catch(() => undefined);
+        const winner = got ? ({ ...got.doc, _id: id } as DocWithId<Record<string, unknown>>) : undefined;
+        const losers = (await this.crdt.docConflicts<Record<string, unknown>>(id)).map((update) => toHistoryRow(update));
+        if (!losers.length) continue;
+        const { type } = winner ?? losers[0].value;
+        const resolver = (typeof type === "string" ? this.opts.conflictResolvers?.[type] : undefined) ?? this.opts.resolveConflict;
+        const resolved = await resolver?.({ id, winner, losers });
+        if (resolved) {
+          await this.writeQueue.push({ id, value: { ...resolved, _id: id } });
+        }
+      } catch (e) {
+        this.logger.Error().Err(e).Str("id", id).Msg("conflict resolver error");
+      }
+    }
   }
 
   async attach(a: Attachable): Promise<Attached> {
@@ -220,9 +267,9 @@ class LedgerImpl implements Ledger {
   //   return this._asDb.once(() => new DatabaseImpl(this));
   // }
 
-  subscribe<T extends DocTypes>(listener: ListenerFn<T>, updates?: boolean): () => void {
+  subscribe<T extends DocTypes>(listener: ListenerFn<T>, updates?: boolean | SubscribeOpts<T>): () => void {
     this.ready();
-    this.logger.Debug().Bool("updates", updates).Msg("subscribe");
+    this.logger.Debug().Any("updates", updates).Msg("subscribe");
     if (updates) {
       if (!this._listening) {
         this._listening = true;
@@ -230,6 +277,18 @@ class LedgerImpl implements Ledger {
           void this._notify(updates);
         });
       }
+      if (typeof updates === "object") {
+        const sub: Subscription = {
+          listener: listener as UpdateListenerFn<DocTypes>,
+          opts: updates as SubscribeOpts<DocTypes>,
+          pending: new Map(),
+        };
+        this._subscriptions.add(sub);
+        return () => {
+          clearTimeout(sub.timer);
+          this._subscriptions.delete(sub);
+        };
+      }
       this._listeners.add(listener as ListenerFn<NonNullable<unknown>>);
       return () => {
         this._listeners.delete(listener as ListenerFn<NonNullable<unknown>>);
@@ -252,6 +311,87 @@ class LedgerImpl implements Ledger {
         });
       }
     }
+    if (this._subscriptions.size) {
+      const matches = this._tickMatcher(updates);
+      for (const sub of this._subscriptions) {
+        const docs = await matches(sub.opts);
+        if (docs.length) await this._deliver(sub, docs);
+      }
+    }
+  }
+
+  // filters are evaluated once per tick, subscriptions sharing a filter
+  // function or an index share the result
+  private _tickMatcher(updates: DocUpdate<DocTypes>[]) {
+    const docs = updates.map(
+      ({ id, value, del }) => (del ? { _id: id, _deleted: true } : { ...value, _id: id }) as DocWithId<DocTypes>,
+    );
+    const byFilter = new Map<SubscribeOpts["filter"], Set<string>>();
+    const byIndex = new Map<string, Promise<Set<string> | undefined>>();
+    const covered = async (name: string) => {
+      // an unknown index or one that fails to build can not rule anything out
+      try {
+        return await this.crdt.indexers.get(name)?._coveredIds(updates);
+      } catch (e) {
+        this.logger.Error().Err(e).Str("index", name).Msg("subscriber index error");
+        return undefined;
+      }
+    };
+    return async ({ ids, filter, index }: SubscribeOpts<DocTypes>): Promise<DocWithId<DocTypes>[]> => {
+      let matched = ids ? docs.filter(({ _id }) => ids.includes(_id)) : docs;
+      if (filter) {
+        let passed = byFilter.get(filter);
+        if (!passed) {
+          passed = new Set(
+            docs
+              .filter((doc) => {
+                try {
+                  return filter(doc);
+                } catch (e) {
+                  this.logger.Error().Err(e).Msg("subscriber filter error");
+                  return false;
+                }
+              })
+              .map(({ _id }) => _id),
+          );
+          byFilter.set(filter, passed);
+        }
+        matched = matched.filter(({ _id }) => passed.has(_id));
+      }
+      if (index) {
+        if (!byIndex.has(index)) byIndex.set(index, covered(index));
+        const ids = await byIndex.get(index);
+        if (ids) matched = matched.filter(({ _id }) => ids.has(_id));
+      }
+      return matched;
+    };
+  }
+
+  private async _deliver(sub: Subscription, docs: DocWithId<DocTypes>[]) {
+    for (const doc of docs) {
+      sub.pending.delete(doc._id);
+      sub.pending.set(doc._id, doc);
+    }
+    const { debounceMs, maxBatch } = sub.opts;
+    clearTimeout(sub.timer);
+    sub.timer = undefined;
+    if (debounceMs && !(maxBatch && sub.pending.size >= maxBatch)) {
+      sub.timer = setTimeout(() => void this._flush(sub), debounceMs);
+      return;
+    }
+    await this._flush(sub);
+  }
+
+  private async _flush(sub: Subscription) {
+    sub.timer = undefined;
+    const docs = Array.from(sub.pending.values());
+    sub.pending.clear();
+    const size = sub.opts.maxBatch || docs.length;
+    for (let i = 0; i < docs.length; i += size) {
+      await (async () => await sub.listener(docs.slice(i, i + size)))().catch((e: Error) => {
+        this.logger.Error().Err(e).Msg("subscriber error");
+      });
+    }
   }
 
   private async _no_update_notify() {
@@ -306,3 +446,21 @@ export function toStoreURIRuntime(sthis: SuperThis, name: string, sopts?: StoreU
 export function fireproof(name: string, opts?: ConfigOpts): Database {
   return new DatabaseImpl(LedgerFactory(name, opts));
 }
+
+// restores an archive of Database.exportArchive as the ledger name, which has to be empty
+fireproof.importArchive = async function (name: string, stream: AsyncIterable<Uint8Array>, opts?: ConfigOpts): Promise<Database> {
+  const db = fireproof(name, opts);
+  await db.ready();
+  if (db.ledger.crdt.clock.head.length) {
+    await db.close();
+    throw db.logger.Error().Str("name", name).Msg("importArchive needs an empty ledger").AsError();
+  }
+  try {
+    await importArchive(db.ledger.crdt, stream);
+  } catch (e) {
+    await db.close();
+    await db.destroy();
+    throw e;
+  }
+  return db;
+};
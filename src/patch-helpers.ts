@@ -0,0 +1,210 @@
+import type { Logger } from "@adviser/cement";
+import type { DocPatch, JsonPatchOp, MergePatch, PatchOperators } from "./types.js";
+import { deepEqual, isPlainObject } from "./find-helpers.js";
+import { PatchError } from "./utils.js";
+
+type Container = Record<string, unknown> | unknown[];
+
+const patchOperators = new Set(["$set", "$unset", "$inc", "$push"]);
+
+function isOperators(patch: DocPatch): patch is PatchOperators {
+  const keys = Object.keys(patch);
+  return keys.length > 0 && keys.every((key) => key.startsWith("$"));
+}
+
+// logged like every error, thrown as one isPatchError knows
+function patchError(error: Error): PatchError {
+  return new PatchError(error.message);
+}
+
+// RFC 6901, the empty pointer is the doc itself
+function parsePointer(logger: Logger, path: string): string[] {
+  if (path === "") return [];
+  if (!path.startsWith("/")) throw patchError(logger.Error().Str("path", path).Msg("patch path must start with /").AsError());
+  return path
+    .slice(1)
+    .split("/")
+    .map((key) => key.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function arrayIndex(logger: Logger, key: string, length: number): number {
+  const index = key === "-" ? length : /^(0|[1-9][0-9]*)$/.test(key) ? Number(key) : NaN;
+  if (!(index <= length)) throw patchError(logger.Error().Str("index", key).Msg("patch array index out of range").AsError());
+  return index;
+}
+
+function childOf(value: unknown, key: string): unknown {
+  if (Array.isArray(value)) return value[Number(key)];
+  return isPlainObject(value) ? value[key] : undefined;
+}
+
+function valueAtKeys(logger: Logger, doc: unknown, keys: string[]): unknown {
+  const value = keys.reduce<unknown>((value, key) => childOf(value, key), doc);
+  if (value === undefined) throw patchError(logger.Error().Str("path", keys.join("/")).Msg("patch path not found").AsError());
+  return value;
+}
+
+// copies the containers along keys and hands the last one to fn, the
+// patched doc shares everything else with the stored one
+function updateIn(
+  logger: Logger,
+  value: unknown,
+  keys: string[],
+  fn: (parent: Container, key: string) => void,
+  create = false,
+): Container {
+  const [key, ...rest] = keys;
+  let copy: Container;
+  if (Array.isArray(value)) copy = [...value];
+  else if (isPlainObject(value)) copy = { ...value };
+  else if (create && value === undefined) copy = {};
+  else throw patchError(logger.Error().Str("key", key).Msg("patch path not found").AsError());
+  if (!rest.length) {
+    fn(copy, key);
+    return copy;
+  }
+  if (Array.isArray(copy)) {
+    const index = arrayIndex(logger, key, copy.length - 1);
+    copy[index] = updateIn(logger, copy[index], rest, fn, create);
+  } else {
+    copy[key] = updateIn(logger, copy[key], rest, fn, create);
+  }
+  return copy;
+}
+
+// the value an op puts in place of the whole doc
+function rootValue(logger: Logger, value: unknown): Container {
+  if (!isPlainObject(value)) throw patchError(logger.Error().Msg("patch can only replace the doc with an object").AsError());
+  return value;
+}
+
+function addAt(logger: Logger, doc: Container, keys: string[], value: unknown): Container {
+  if (!keys.length) return rootValue(logger, value);
+  return updateIn(logger, doc, keys, (parent, key) => {
+    if (Array.isArray(parent)) parent.splice(arrayIndex(logger, key, parent.length), 0, value);
+    else parent[key] = value;
+  });
+}
+
+function removeAt(logger: Logger, doc: Container, keys: string[]): Container {
+  if (!keys.length) throw patchError(logger.Error().Msg("patch can not remove the doc").AsError());
+  return updateIn(logger, doc, keys, (parent, key) => {
+    if (Array.isArray(parent)) {
+      parent.splice(arrayIndex(logger, key, parent.length - 1), 1);
+    } else {
+      if (!(key in parent)) throw patchError(logger.Error().Str("key", key).Msg("patch path not found").AsError());
+      // eslint-disable-next-line @typescript-eslint/no-dynamic-delete
+      delete parent[key];
+    }
+  });
+}
+
+function applyJsonPatch(logger: Logger, doc: Container, ops: JsonPatchOp[]): Container {
+  for (const op of ops) {
+    const keys = parsePointer(logger, op.path);
+    if (keys[0] === "_id") throw patchError(logger.Error().Msg("patch can not change _id").AsError());
+    switch (op.op) {
+      case "add":
+        doc = addAt(logger, doc, keys, op.value);
+        break;
+      case "remove":
+        doc = removeAt(logger, doc, keys);
+        break;
+      case "replace":
+        valueAtKeys(logger, doc, keys);
+        doc = keys.length
+          ? updateIn(logger, doc, keys, (parent, key) => {
+              (parent as Record<string, unknown>)[key] = op.value;
+            })
+          : rootValue(logger, op.value);
+        break;
+      case "move":
+      case "copy": {
+        const from = parsePointer(logger, op.from);
+        const value = valueAtKeys(logger, doc, from);
+        if (op.op === "move") doc = removeAt(logger, doc, from);
+        doc = addAt(logger, doc, keys, value);
+        break;
+      }
+      case "test":
+        if (!deepEqual(keys.reduce<unknown>(childOf, doc), op.value)) {
+          throw patchError(logger.Error().Str("path", op.path).Msg("patch test failed").AsError());
+        }
+        break;
+      default:
+        throw patchError(
+          logger
+            .Error()
+            .Str("op", (op as { op: string }).op)
+            .Msg("unknown patch op")
+            .AsError(),
+        );
+    }
+  }
+  return doc;
+}
+
+function applyMergePatch(target: unknown, patch: unknown): unknown {
+  if (!isPlainObject(patch)) return patch;
+  const out: Record<string, unknown> = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      // eslint-disable-next-line @typescript-eslint/no-dynamic-delete
+      delete out[key];
+    } else {
+      out[key] = applyMergePatch(out[key], value);
+    }
+  }
+  return out;
+}
+
+function applyOperators(logger: Logger, doc: Container, ops: PatchOperators): Container {
+  for (const [op, fields] of Object.entries(ops) as [string, Record<string, unknown>][]) {
+    if (!patchOperators.has(op)) throw patchError(logger.Error().Str("op", op).Msg("unknown patch operator").AsError());
+    for (const [path, arg] of Object.entries(fields)) {
+      const keys = path.split(".");
+      if (keys[0] === "_id") throw patchError(logger.Error().Msg("patch can not change _id").AsError());
+      doc = updateIn(
+        logger,
+        doc,
+        keys,
+        (parent, key) => {
+          const target = parent as Record<string, unknown>;
+          const current = target[key];
+          switch (op) {
+            case "$set":
+              target[key] = arg;
+              break;
+            case "$unset":
+              // eslint-disable-next-line @typescript-eslint/no-dynamic-delete
+              delete target[key];
+              break;
+            case "$inc":
+              if (typeof arg !== "number" || (current !== undefined && typeof current !== "number")) {
+                throw patchError(logger.Error().Str("path", path).Msg("$inc needs numbers").AsError());
+              }
+              target[key] = ((current as number | undefined) ?? 0) + arg;
+              break;
+            default:
+              if (current !== undefined && !Array.isArray(current)) {
+                throw patchError(logger.Error().Str("path", path).Msg("$push needs an array").AsError());
+              }
+              target[key] = [...((current as unknown[] | undefined) ?? []), arg];
+          }
+        },
+        true,
+      );
+    }
+  }
+  return doc;
+}
+
+// the doc with the patch applied, the stored doc is left untouched
+export function applyDocPatch(logger: Logger, doc: Record<string, unknown>, patch: DocPatch): Record<string, unknown> {
+  if (Array.isArray(patch)) return applyJsonPatch(logger, doc, patch) as Record<string, unknown>;
+  if (!isPlainObject(patch))
+    throw patchError(logger.Error().Any("patch", patch).Msg("patch must be an array or an object").AsError());
+  if (isOperators(patch)) return applyOperators(logger, doc, patch) as Record<string, unknown>;
+  if ("_id" in patch) throw patchError(logger.Error().Msg("patch can not change _id").AsError());
+  return applyMergePatch(doc, patch as MergePatch) as Record<string, unknown>;
+}
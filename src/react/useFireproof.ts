@@ -9,6 +9,7 @@ import type {
   IndexRow,
   MapFn,
   QueryOpts,
+  QueryCursor,
   Database,
 } from "@fireproof/core";
 import { fireproof } from "@fireproof/core";
@@ -18,6 +19,8 @@ import type { AllDocsQueryOpts, ChangesOptions, ClockHead } from "@fireproof/cor
 export interface LiveQueryResult<T extends DocTypes, K extends IndexKeyType, R extends DocFragment = T> {
   readonly docs: DocWithId<T>[];
   readonly rows: IndexRow<K, T, R>[];
+  // pass as `startAfter` to query the next page
+  readonly cursor?: QueryCursor;
   /** @internal */
   readonly length: number;
   /** @internal */
@@ -38,6 +41,8 @@ export type UseLiveQuery = <T extends DocTypes, K extends IndexKeyType = string,
 
 export interface AllDocsResult<T extends DocTypes> {
   readonly docs: DocWithId<T>[];
+  // pass as `startAfter` to query the next page
+  readonly cursor?: QueryCursor;
 }
 
 export interface ChangesResult<T extends DocTypes> {
@@ -284,14 +289,15 @@ export function useFireproof(name: string | Database = "useFireproof", config: C
 
     useEffect(() => {
       if (!doc._id) return;
-      return database.subscribe((changes) => {
-        if (updateHappenedRef.current) {
-          return;
-        }
-        if (changes.find((c) => c._id === doc._id)) {
+      return database.subscribe(
+        () => {
+          if (updateHappenedRef.current) {
+            return;
+          }
           void refresh();
-        }
-      }, true);
+        },
+        { ids: [doc._id] },
+      );
     }, [doc._id, refresh]);
 
     useEffect(() => {
@@ -353,8 +359,7 @@ export function useFireproof(name: string | Database = "useFireproof", config: C
     const queryString = useMemo(() => JSON.stringify(query), [query]);
     const mapFnString = useMemo(() => mapFn.toString(), [mapFn]);
 
-    const refreshRows = useCallback(async () => {
-      const res = await database.query<K, T, R>(mapFn, query);
+    const setRows = useCallback((res: { rows: IndexRow<K, T, R>[]; cursor?: QueryCursor }) => {
       const docs = res.rows.map((r) => r.doc as DocWithId<T>).filter((r): r is DocWithId<T> => !!r);
       setResult({
         ...res,
@@ -365,9 +370,34 @@ export function useFireproof(name: string | Database = "useFireproof", config: C
         forEach: (fn) => docs.forEach(fn),
         [Symbol.iterator]: () => docs[Symbol.iterator](),
       });
+    }, []);
+
+    const refreshRows = useCallback(async () => {
+      setRows(await database.query<K, T, R>(mapFn, query));
     }, [mapFnString, queryString]);
 
     useEffect(() => {
+      const opts = query as QueryOpts<K>;
+      // pages and pinned queries are queried again on every change, other queries apply the row diffs
+      if (
+        !(
+          opts.limit !== undefined ||
+          opts.startAfter ||
+          opts.reduce ||
+          opts.head ||
+          opts.tag ||
+          opts.bbox ||
+          opts.near ||
+          opts.include
+        )
+      ) {
+        // the first diff adds every row, each later one patches the rows shown
+        let shown: IndexRow<K, T, R>[] = [];
+        return database.liveQuery<K, T, R>(mapFn, { ...opts }, (_diff, _rows, patch) => {
+          shown = patch(shown);
+          setRows({ rows: shown });
+        });
+      }
       refreshRows(); // Initial data fetch
       return database.subscribe(refreshRows);
     }, [refreshRows]);
@@ -0,0 +1,48 @@
+import type { ClockHead, CRDT, TagRow } from "./types.js";
+import { checkName } from "./branch-helpers.js";
+import { NotFoundError } from "./utils.js";
+
+function metaStore(crdt: CRDT) {
+  return crdt.blockstore.loader.attachedStores.local().active.meta;
+}
+
+export async function listTags(crdt: CRDT): Promise<TagRow[]> {
+  const tags = await metaStore(crdt).tags();
+  return Object.keys(tags)
+    .sort()
+    .map((tag) => ({ tag, head: tags[tag] }));
+}
+
+export async function tagHead(crdt: CRDT, tag: string): Promise<ClockHead> {
+  const head = (await metaStore(crdt).tags())[tag];
+  if (!head) throw new NotFoundError(`Tag not found: ${tag}`);
+  return head;
+}
+
+// tags are immutable, a tag is only pinned again after untag
+export async function addTag(crdt: CRDT, tag: string, head: ClockHead = crdt.clock.head): Promise<TagRow> {
+  checkName(crdt, tag, "tag");
+  if (!head.length) throw crdt.logger.Error().Str("tag", tag).Msg("can not tag an empty head").AsError();
+  for (const link of head) {
+    if (!(await crdt.blockstore.get(link).catch(() => undefined))) {
+      throw crdt.logger.Error().Str("tag", tag).Ref("link", link).Msg("unknown head").AsError();
+    }
+  }
+  const tags = await metaStore(crdt).tags();
+  if (tags[tag]) throw crdt.logger.Error().Str("tag", tag).Msg("tag exists").AsError();
+  await metaStore(crdt).saveTags({ ...tags, [tag]: [...head] });
+  return { tag, head: [...head] };
+}
+
+export async function removeTag(crdt: CRDT, tag: string): Promise<void> {
+  const tags = await metaStore(crdt).tags();
+  if (!tags[tag]) throw new NotFoundError(`Tag not found: ${tag}`);
+  // eslint-disable-next-line @typescript-eslint/no-dynamic-delete
+  delete tags[tag];
+  await metaStore(crdt).saveTags(tags);
+}
+
+// the heads compaction has to keep readable
+export async function taggedHeads(crdt: CRDT): Promise<ClockHead[]> {
+  return Object.values(await metaStore(crdt).tags());
+}
@@ -158,6 +158,153 @@ export interface ConfigOpts extends Partial<SuperThisOpts> {
   readonly storeEnDe?: StoreEnDeFile;
   readonly threshold?: number;
   readonly keyBag?: Partial<KeyBagOpts>;
+  readonly resolveConflict?: ConflictResolver;
+  // resolvers by the `type` field of the conflicting doc, tried before resolveConflict
+  readonly conflictResolvers?: Record<string, ConflictResolver>;
+  readonly validate?: ValidateFn;
+  // rebuilds an index under a new version when its map function changes
+  // instead of keeping the rows of the old one
+  readonly rebuildIndexes?: boolean;
+  // the branch of the ledger to open, default "main", see Database.fork
+  readonly branch?: string;
+}
+
+export interface ValidateContext {
+  // remote updates arrive by merging the clock of another replica
+  readonly origin: "local" | "remote";
+}
+
+/**
+ * Checks a write before it is committed, throwing rejects it with the error
+ * message as reason. A delete arrives as a doc with `_deleted` set, oldDoc is
+ * undefined for a doc that does not exist yet.
+ */
+export type ValidateFn<T extends DocTypes = Record<string, unknown>> = (
+  newDoc: DocWithId<T>,
+  oldDoc: DocWithId<T> | undefined,
+  ctx: ValidateContext,
+) => void | Promise<void>;
+
+export interface InvalidDoc {
+  readonly id: string;
+  readonly reason: string;
+}
+
+export interface QuarantinedDoc<T extends DocTypes = Record<string, unknown>> extends InvalidDoc {
+  // the rejected revision, the head carrying it is not merged
+  readonly doc: DocWithId<T>;
+  // the remote head that carried the revision
+  readonly clock: ClockHead;
+}
+
+export interface QuarantineResponse<T extends DocTypes> {
+  readonly rows: QuarantinedDoc<T>[];
+}
+
+// docs sharing a key of a unique index
+export interface UniqueViolation {
+  readonly index: string;
+  readonly key: IndexKeyType;
+  readonly ids: string[];
+}
+
+export interface ViolationsResponse {
+  readonly rows: UniqueViolation[];
+}
+
+export interface ExportArchiveOpts {
+  // the attachments of the current docs, default true
+  readonly includeFiles?: boolean;
+  // the persisted indexes, default true
+  readonly includeIndexes?: boolean;
+  // leaves the ledger keys out, only a keybag holding them can import it
+  readonly encrypted?: boolean;
+}
+
+export type DocsFormat = "ndjson" | "json";
+
+export interface ExportDocsOpts {
+  // a doc per line or one array, default ndjson
+  readonly format?: DocsFormat;
+  // only docs changed since this clock
+  readonly since?: ClockHead;
+  // deleted docs as { _id, _deleted: true }
+  readonly includeDeleted?: boolean;
+  // attachments inline as base64, else _files and _publicFiles are left out
+  readonly includeFiles?: boolean;
+  // docs per yielded chunk, default 100
+  readonly batchSize?: number;
+}
+
+export interface ImportDocsProgress {
+  readonly imported: number;
+  readonly batches: number;
+}
+
+export interface ImportDocsOpts {
+  // default ndjson
+  readonly format?: DocsFormat;
+  // docs per bulk write, default 100
+  readonly batchSize?: number;
+  // keep uses _id and generates missing ones, generate ignores _id
+  readonly idStrategy?: "keep" | "generate";
+  // called after each bulk write
+  readonly onProgress?: (progress: ImportDocsProgress) => void;
+}
+
+export interface ImportDocsResponse {
+  readonly imported: number;
+  readonly clock: ClockHead;
+  readonly name?: string;
+}
+
+export interface TagRow {
+  readonly tag: string;
+  readonly head: ClockHead;
+}
+
+export interface TagsResponse {
+  // by tag name
+  readonly rows: TagRow[];
+}
+
+// the superseded car files a compaction deleted from the local stores
+export interface CompactResponse {
+  readonly cars: number;
+  readonly files: number;
+  // the stored size of the deleted car files
+  readonly bytes: number;
+}
+
+export interface BranchResponse {
+  readonly branch: string;
+  readonly clock: ClockHead;
+}
+
+export interface BranchesResponse {
+  // "main" first, then the forked branches by name
+  readonly rows: string[];
+}
+
+export interface DocConflict<T extends DocTypes = Record<string, unknown>> {
+  readonly id: string;
+  // the doc the merge kept, undefined if it is deleted
+  readonly winner?: DocWithId<T>;
+  // the concurrent revisions the merge dropped
+  readonly losers: HistoryRow<T>[];
+}
+
+/**
+ * Runs after a merge found concurrent writes to a doc. A returned doc is
+ * written as the resolution, returning nothing keeps the merge result and
+ * leaves the conflict recorded.
+ */
+export type ConflictResolver<T extends DocTypes = Record<string, unknown>> = (
+  conflict: DocConflict<T>,
+) => DocSet<T> | undefined | Promise<DocSet<T> | undefined>;
+
+export interface ConflictsResponse<T extends DocTypes> {
+  readonly rows: HistoryRow<T>[];
 }
 
 export type ClockLink = EventLink<Operation>;
@@ -183,6 +330,8 @@ export interface DocBase {
   readonly _files?: DocFiles;
   readonly _publicFiles?: DocFiles;
   readonly _deleted?: boolean;
+  // events of concurrent writes a merge dropped, see `Database.conflicts`
+  readonly _conflicts?: string[];
 }
 
 export type DocWithId<T extends DocTypes> = DocBase & T;
@@ -203,8 +352,33 @@ export interface DocUpdate<T extends DocTypes> {
   readonly value?: DocSet<T>;
   readonly del?: boolean;
   readonly clock?: ClockLink; // would be useful to give ClockLinks a type
+  // write only if the doc is unchanged since this head
+  readonly ifMatch?: ClockHead;
+  // applied to the current value inside the write instead of writing value
+  readonly patch?: DocPatch;
+}
+
+// RFC 6902, paths are JSON pointers
+export type JsonPatchOp =
+  | { readonly op: "add" | "replace" | "test"; readonly path: string; readonly value: unknown }
+  | { readonly op: "remove"; readonly path: string }
+  | { readonly op: "move" | "copy"; readonly from: string; readonly path: string };
+
+// field operators by dotted path, missing parents are created
+export interface PatchOperators {
+  readonly $set?: Record<string, unknown>;
+  readonly $unset?: Record<string, unknown>;
+  readonly $inc?: Record<string, number>;
+  readonly $push?: Record<string, unknown>;
 }
 
+// RFC 7396, null removes a field
+export type MergePatch = Record<string, unknown>;
+
+// an array is a JSON Patch, an object with only $ keys holds operators,
+// any other object is a merge patch
+export type DocPatch = JsonPatchOp[] | PatchOperators | MergePatch;
+
 // todo merge into above
 export interface DocValue<T extends DocTypes> {
   readonly doc: DocWithId<T>;
@@ -252,15 +426,54 @@ export interface IndexRow<K extends IndexKeyType, T extends DocObject, R extends
   readonly key: K; // IndexKey<K>;
   readonly value: R;
   readonly doc?: DocWithId<T>;
+  readonly included?: IncludedDocs;
+}
+
+declare const queryCursor: unique symbol;
+
+/**
+ * Opaque continuation token of a paged query. It marks the last row
+ * of a page and is passed back as `startAfter` to read the next one.
+ * It holds the encoded key of that row, not a key to query by.
+ */
+export interface QueryCursor {
+  readonly [queryCursor]: true;
 }
 
+// row changes of a watched query, the first diff adds the initial rows
+export interface IndexRowsDiff<K extends IndexKeyType, T extends DocObject, R extends DocFragment = T> {
+  readonly added: IndexRow<K, T, R>[];
+  readonly removed: IndexRow<K, T, R>[];
+  // rows keeping their key and id whose value or doc changed
+  readonly changed: IndexRow<K, T, R>[];
+}
+
+export type IndexWatchFn<K extends IndexKeyType, T extends DocObject, R extends DocFragment = T> = (
+  diff: IndexRowsDiff<K, T, R>,
+  // every row of the query in order after the diff
+  rows: () => IndexRow<K, T, R>[],
+  // the rows of the query before the diff with the diff applied, cheaper than rows for a small diff
+  patch: (prev: IndexRow<K, T, R>[]) => IndexRow<K, T, R>[],
+) => void;
+
 export interface IndexRows<K extends IndexKeyType, T extends DocObject, R extends DocFragment = T> {
   readonly rows: IndexRow<K, T, R>[];
+  // set if the page was filled up to the limit
+  readonly cursor?: QueryCursor;
 }
 export interface CRDTMeta {
   readonly head: ClockHead;
 }
 
+export interface CRDTBulkMeta extends CRDTMeta {
+  // ids left unwritten as their ifMatch failed
+  readonly conflicts?: string[];
+  // set instead of writing when a validator rejected an update
+  readonly invalid?: InvalidDoc[];
+  // set instead of writing when an update broke a unique index
+  readonly duplicates?: UniqueViolation[];
+}
+
 export interface IndexTransactionMeta {
   readonly indexes: Record<string, IdxMeta>;
 }
@@ -277,13 +490,117 @@ export interface IdxMeta {
   readonly map: string;
   readonly name: string;
   readonly head: ClockHead;
+  // set for indexes built from a definition instead of a map function
+  readonly def?: IndexDef;
+  // centroids of the cells of a vector index
+  readonly cells?: AnyLink;
+  // rows of a vector index, the cells are trained again once the rows outgrow them
+  readonly vectors?: number;
+  // docs and their summed term counts of a fulltext index, the averages of BM25
+  readonly corpus?: { readonly docs: number; readonly terms: number };
+  // the rows of the reducer the definition declares
+  readonly reduced?: AnyLink;
+  // bumped by every rebuild for a changed map function
+  readonly version?: number;
+}
+
+export interface IndexInfo {
+  readonly name: string;
+  // source of the map function or the definition
+  readonly map: string;
+  readonly def?: IndexDef;
+  readonly version: number;
+  // the head the persisted rows are mapped at, unset before the first query
+  readonly head?: ClockHead;
+  readonly rows: number;
+  // bytes of the blocks of the index
+  readonly size: number;
+}
+
+// string ordering of index keys, the same on every peer
+export interface Collation {
+  // BCP 47 tag of the Intl.Collator, defaults to the root locale
+  readonly locale?: string;
+  readonly caseInsensitive?: boolean;
+  readonly accentInsensitive?: boolean;
+  // orders digit runs by their value, "item2" before "item10"
+  readonly numeric?: boolean;
+}
+
+// a map function index whose string keys sort by the collation
+export interface MapIndexDef {
+  readonly type?: "map";
+  readonly collation?: Collation;
+  // local writes giving a key of another doc to a doc are rejected
+  readonly unique?: boolean;
+  // a builtin reducer kept reduced with the rows and saved with the index,
+  // unfiltered reduce queries with the same reducer and grouping read it
+  readonly reduce?: BuiltinReduce;
+  readonly group?: boolean;
+  readonly groupLevel?: number;
+}
+
+// tokenizes and stems the text of the fields into an inverted index
+export interface FullTextIndexDef {
+  readonly type: "fulltext";
+  // paths of string or string array fields
+  readonly fields: string[];
+}
+
+export type VectorMetric = "cosine" | "dot";
+
+/**
+ * Splits the embeddings the map function returns into cells around trained
+ * centroids, searches probe the cells nearest to the query vector.
+ */
+export interface VectorIndexDef {
+  readonly type: "vector";
+  // defaults to cosine
+  readonly metric?: VectorMetric;
+}
+
+// keys the points the map function returns by geohash, rows hold the point
+export interface GeoIndexDef {
+  readonly type: "geo";
+  // geohash length of the keys, defaults to 9
+  readonly precision?: number;
+}
+
+export type IndexDef = MapIndexDef | FullTextIndexDef | VectorIndexDef | GeoIndexDef;
+
+export interface SearchOpts {
+  readonly limit?: number;
+  // defaults to true
+  readonly includeDocs?: boolean;
+}
+
+export interface NearestOpts<T extends DocTypes> {
+  // defaults to 10
+  readonly k?: number;
+  // drops candidates before they count towards k
+  readonly filter?: (doc: DocWithId<T>) => boolean;
+  // cells to scan, defaults to the square root of the cell count
+  readonly probes?: number;
+  // defaults to true
+  readonly includeDocs?: boolean;
+}
+
+export interface SearchRow<T extends DocTypes> {
+  readonly id: string;
+  // BM25 relevance or vector similarity, higher is better
+  readonly score: number;
+  readonly doc?: DocWithId<T>;
+}
+
+export interface SearchResponse<T extends DocTypes> {
+  // best matches first
+  readonly rows: SearchRow<T>[];
 }
 
 export interface IdxMetaMap {
   readonly indexes?: Map<string, IdxMeta>;
 }
 
-// eslint-disable-next-line @typescript-eslint/no-unused-vars
 export interface QueryOpts<K extends IndexKeyType> {
   readonly descending?: boolean;
   readonly limit?: number;
@@ -292,11 +609,79 @@ export interface QueryOpts<K extends IndexKeyType> {
   readonly key?: DocFragment;
   readonly keys?: DocFragment[];
   prefix?: IndexKeyType;
+  readonly startAfter?: QueryCursor;
+  // evaluate against this clock head instead of the latest one
+  readonly head?: ClockHead;
+  // evaluate against the head the tag pins
+  readonly tag?: string;
+  // aggregate the matching rows instead of returning them
+  readonly reduce?: ReduceOpt<K>;
+  // one reduced row per distinct key
+  readonly group?: boolean;
+  // one reduced row per distinct leading `groupLevel` elements of an array key
+  readonly groupLevel?: number;
+  // rows of a geo index inside the box
+  readonly bbox?: GeoBox;
+  // rows of a geo index within `radius` meters of the point, nearest first
+  readonly near?: GeoPoint;
+  readonly radius?: number;
+  // referenced docs to attach to each row
+  readonly include?: IncludeSpec;
+}
+
+/**
+ * Names of the docs to include by the path of the field referencing them,
+ * a field holding an _id or, with a path ending in `[]`, an array of them.
+ */
+export type IncludeSpec = Record<string, string>;
+
+// missing references are undefined or left out of the array
+export type IncludedDocs = Record<string, DocWithId<DocTypes> | DocWithId<DocTypes>[] | undefined>;
+
+export interface GeoPoint {
+  readonly lat: number;
+  readonly lng: number;
+}
+
+// a box with minLng above maxLng crosses the antimeridian
+export interface GeoBox {
+  readonly minLat: number;
+  readonly minLng: number;
+  readonly maxLat: number;
+  readonly maxLng: number;
+}
+
+export type ReduceFn<K extends IndexKeyType = IndexKeyType, V = unknown> = (keys: K[], values: DocFragment[]) => V;
+export type BuiltinReduce = "_count" | "_sum" | "_stats";
+export type ReduceOpt<K extends IndexKeyType> = BuiltinReduce | ReduceFn<K>;
+
+export interface ReduceQueryOpts<K extends IndexKeyType> extends QueryOpts<K> {
+  readonly reduce: ReduceOpt<K>;
+}
+
+export interface ReduceStats {
+  readonly sum: number;
+  readonly count: number;
+  readonly min: number;
+  readonly max: number;
+  readonly sumsqr: number;
+}
+
+export interface ReduceRow<K extends IndexKeyType, V = unknown> {
+  // null if the rows are not grouped
+  readonly key: K | null;
+  readonly value: V;
+}
+
+export interface ReduceRows<K extends IndexKeyType, V = unknown> {
+  readonly rows: ReduceRow<K, V>[];
 }
 
 export interface AllDocsQueryOpts extends QueryOpts<string> {
   readonly key?: string;
   readonly keys?: string[];
+  // inclusive on both ends, compared in _id order
+  readonly range?: [string, string];
   prefix?: string;
 }
 
@@ -304,9 +689,61 @@ export interface AllDocsResponse<T extends DocTypes> {
   readonly rows: {
     readonly key: string;
     readonly value: DocWithId<T>;
+    readonly included?: IncludedDocs;
   }[];
   readonly clock: ClockHead;
   readonly name?: string;
+  // set if the page was filled up to the limit
+  readonly cursor?: QueryCursor;
+}
+
+export interface FieldOps {
+  readonly $eq?: DocFragment;
+  readonly $ne?: DocFragment;
+  readonly $gt?: DocFragment;
+  readonly $gte?: DocFragment;
+  readonly $lt?: DocFragment;
+  readonly $lte?: DocFragment;
+  readonly $in?: DocFragment[];
+  readonly $nin?: DocFragment[];
+  readonly $exists?: boolean;
+}
+
+/**
+ * Mango style selector. Fields are matched by (dotted) path, a plain value
+ * is shorthand for `$eq` and a nested object without operators nests paths.
+ */
+export interface Selector {
+  readonly $and?: Selector[];
+  readonly $or?: Selector[];
+  readonly [path: string]: FieldOps | DocFragment | Selector[] | undefined;
+}
+
+export type SortOrder = "asc" | "desc";
+// a field name sorts ascending
+export type SortSpec = string | Record<string, SortOrder>;
+
+export interface FindQuery {
+  readonly selector: Selector;
+  readonly sort?: SortSpec[];
+  // project the returned docs onto these paths, `_id` is always kept
+  readonly fields?: string[];
+  readonly limit?: number;
+  // find among the docs at the head the tag pins
+  readonly tag?: string;
+}
+
+export interface FindResponse<T extends DocTypes> {
+  readonly docs: DocWithId<T>[];
+}
+
+export interface FindExplain {
+  // name of the index the selector is read from, `_all_docs` for a full scan
+  readonly index: string;
+  // the selector field the index is built on
+  readonly field?: string;
+  // the query run against the index, every predicate is checked in memory afterwards
+  readonly query?: QueryOpts<IndexKeyType>;
 }
 
 type EmitFn = (k: IndexKeyType, v?: DocFragment) => void;
@@ -317,6 +754,15 @@ export interface ChangesOptions {
   readonly limit?: number;
 }
 
+export interface ChangesStreamOpts {
+  readonly dirty?: boolean;
+  // rows per batch, default 100
+  readonly batchSize?: number;
+  // keep yielding new batches as the clock advances
+  readonly live?: boolean;
+  readonly signal?: AbortSignal;
+}
+
 export interface ChangesResponseRow<T extends DocTypes> {
   readonly key: string;
   readonly value: DocWithId<T>;
@@ -329,6 +775,34 @@ export interface ChangesResponse<T extends DocTypes> {
   readonly name?: string;
 }
 
+export interface GetOpts {
+  // read the doc as of this clock event, e.g. the `clock` of a history row
+  readonly at?: ClockLink;
+  // read the doc as of this clock head, e.g. the `clock` of a response
+  readonly head?: ClockHead;
+  // read the doc as of the head the tag pins
+  readonly tag?: string;
+}
+
+export interface HistoryOpts {
+  readonly limit?: number;
+}
+
+export interface HistoryRow<T extends DocTypes> {
+  readonly key: string;
+  readonly value: DocWithId<T>;
+  readonly del: boolean;
+  // the event that wrote this value
+  readonly clock: ClockLink;
+}
+
+export interface HistoryResponse<T extends DocTypes> {
+  // newest first
+  readonly rows: HistoryRow<T>[];
+  readonly clock: ClockHead;
+  readonly name?: string;
+}
+
 export interface DocResponse {
   readonly id: string;
   readonly clock: ClockHead;
@@ -339,12 +813,43 @@ export interface BulkResponse {
   readonly ids: string[];
   readonly clock: ClockHead;
   readonly name?: string;
+  // ids skipped as their ifMatch failed, only without allOrNothing
+  readonly conflicts?: string[];
+}
+
+/**
+ * The revision a conditional write expects: a clock event or head the caller
+ * read the doc at, or the string form of such an event.
+ */
+export type IfMatch = ClockLink | ClockHead | string;
+
+export interface WriteOpts {
+  // reject with a ConflictError if the doc changed since this revision
+  readonly ifMatch?: IfMatch;
+}
+
+export interface BulkOpts {
+  readonly ifMatch?: Record<string, IfMatch>;
+  // reject the whole bulk if any ifMatch fails instead of skipping those docs
+  readonly allOrNothing?: boolean;
 }
 
 export type UpdateListenerFn<T extends DocTypes> = (docs: DocWithId<T>[]) => Promise<void> | void;
 export type NoUpdateListenerFn = () => Promise<void> | void;
 export type ListenerFn<T extends DocTypes> = UpdateListenerFn<T> | NoUpdateListenerFn;
 
+// a listener with options gets the updated docs, deletes arrive with _deleted set
+export interface SubscribeOpts<T extends DocTypes = DocTypes> {
+  readonly ids?: string[];
+  readonly filter?: (doc: DocWithId<T>) => boolean;
+  // docs the named index maps now or held before the update
+  readonly index?: string;
+  // waits this long after the last matching update before calling the listener
+  readonly debounceMs?: number;
+  // most docs per call, a full batch does not wait for the debounce
+  readonly maxBatch?: number;
+}
+
 export interface CRDTEntry {
   readonly data: string;
   readonly parents: string[];
@@ -359,6 +864,10 @@ export interface CRDTClock {
   onTick(fn: (updates: DocUpdate<DocTypes>[]) => void): UnReg;
   applyHead(newHead: ClockHead, prevHead: ClockHead, updates?: DocUpdate<DocTypes>[]): Promise<void>;
   onZoom(fn: VoidFn): UnReg;
+  // called with the losing events per doc id when a merge finds concurrent writes
+  onConflict(fn: (conflicts: Map<string, ClockLink[]>) => void | Promise<void>): UnReg;
+  // called after a head from another replica was merged into a non empty clock
+  onMerge(fn: (localHead: ClockHead, mergedHead: ClockHead) => void): UnReg;
   close(): Promise<void>;
   ready(): Promise<void>;
 }
@@ -386,7 +895,7 @@ export interface BaseBlockstore {
   ready(): Promise<void>;
   close(): Promise<void>;
   destroy(): Promise<void>;
-  compact(): Promise<void>;
+  compact(): Promise<CompactResponse>;
   readonly logger: Logger;
 
   get<T, C extends number, A extends number, V extends Version>(cid: AnyLink): Promise<Block<T, C, A, V> | undefined>;
@@ -420,18 +929,30 @@ export interface CRDT extends ReadyCloseDestroy, HasLogger, HasSuperThis, HasCRD
   readonly crdt: CRDT;
   readonly clock: CRDTClock;
 
+  readonly opts: LedgerOpts;
   readonly blockstore: BaseBlockstore;
   readonly indexBlockstore: BaseBlockstore;
   readonly indexers: Map<string, Index<IndexKeyType, DocTypes>>;
+  // the index updates in flight, index compaction waits for their meta
+  readonly indexUpdates: Set<Promise<unknown>>;
 
-  bulk<T extends DocTypes>(updates: DocUpdate<T>[]): Promise<CRDTMeta>;
+  bulk<T extends DocTypes>(updates: DocUpdate<T>[], opts?: BulkOpts): Promise<CRDTBulkMeta>;
   ready(): Promise<void>;
   close(): Promise<void>;
   destroy(): Promise<void>;
-  allDocs<T extends DocTypes>(): Promise<{ result: DocUpdate<T>[]; head: ClockHead }>;
+  allDocs<T extends DocTypes>(opts?: AllDocsQueryOpts): Promise<{ result: DocUpdate<T>[]; head: ClockHead }>;
   vis(): Promise<string>;
   getBlock(cidString: string): Promise<Block>;
-  get(key: string): Promise<DocValue<DocTypes> | Falsy>;
+  get(key: string, opts?: GetOpts): Promise<DocValue<DocTypes> | Falsy>;
+  history<T extends DocTypes>(key: string, opts?: HistoryOpts): Promise<{ result: DocUpdate<T>[]; head: ClockHead }>;
+  // losing events of concurrent writes to the doc, until it is written again
+  conflictClocks(key: string): Promise<ClockLink[]>;
+  docConflicts<T extends DocTypes>(key: string): Promise<DocUpdate<T>[]>;
+  addValidator<T extends DocTypes>(fn: ValidateFn<T>): UnReg;
+  // remote revisions rejected by a validator, saved with the branch meta
+  quarantined(): Promise<QuarantinedDoc[]>;
+  // keys merges left on several docs, saved with the branch meta
+  uniqueViolations(): Promise<UniqueViolation[]>;
   // defaults by impl
   changes<T extends DocTypes>(
     since?: ClockHead,
@@ -440,7 +961,11 @@ export interface CRDT extends ReadyCloseDestroy, HasLogger, HasSuperThis, HasCRD
     result: DocUpdate<T>[];
     head: ClockHead;
   }>;
-  compact(): Promise<void>;
+  changesStream<T extends DocTypes>(
+    since?: ClockHead,
+    opts?: ChangesStreamOpts,
+  ): AsyncGenerator<{ result: DocUpdate<T>[]; head: ClockHead }>;
+  compact(): Promise<CompactResponse>;
 }
 
 export interface HasCRDT {
@@ -532,16 +1057,49 @@ export interface Database extends ReadyCloseDestroy, HasLogger, HasSuperThis {
   readonly sthis: SuperThis;
   readonly id: string;
   readonly name: string;
+  readonly branch: string;
 
   onClosed(fn: () => void): void;
 
   attach(a: Attachable): Promise<Attached>;
 
-  get<T extends DocTypes>(id: string): Promise<DocWithId<T>>;
-  put<T extends DocTypes>(doc: DocSet<T>): Promise<DocResponse>;
-  bulk<T extends DocTypes>(docs: DocSet<T>[]): Promise<BulkResponse>;
-  del(id: string): Promise<DocResponse>;
+  get<T extends DocTypes>(id: string, opts?: GetOpts): Promise<DocWithId<T>>;
+  history<T extends DocTypes>(id: string, opts?: HistoryOpts): Promise<HistoryResponse<T>>;
+  conflicts<T extends DocTypes>(id: string): Promise<ConflictsResponse<T>>;
+  quarantined<T extends DocTypes>(): Promise<QuarantineResponse<T>>;
+  // keys of unique indexes that merges left on several docs
+  violations(): Promise<ViolationsResponse>;
+  addValidator<T extends DocTypes>(fn: ValidateFn<T>): UnReg;
+  put<T extends DocTypes>(doc: DocSet<T>, opts?: WriteOpts): Promise<DocResponse>;
+  bulk<T extends DocTypes>(docs: DocSet<T>[], opts?: BulkOpts): Promise<BulkResponse>;
+  del(id: string, opts?: WriteOpts): Promise<DocResponse>;
+  // applies the patch to the current doc inside the write queue
+  patch(id: string, patch: DocPatch, opts?: WriteOpts): Promise<DocResponse>;
   changes<T extends DocTypes>(since?: ClockHead, opts?: ChangesOptions): Promise<ChangesResponse<T>>;
+  /**
+   * Yields the changes since `since` in batches, oldest first, then with `live`
+   * every later change. The `clock` of every batch is a checkpoint: passed as
+   * `since` it resumes right after the batch.
+   */
+  changesStream<T extends DocTypes>(since?: ClockHead, opts?: ChangesStreamOpts): AsyncGenerator<ChangesResponse<T>>;
+  // one CAR with the stored car files and the current meta, see fireproof.importArchive
+  exportArchive(opts?: ExportArchiveOpts): AsyncGenerator<Uint8Array>;
+  // plain docs as NDJSON or JSON text, readable by importDocs
+  exportDocs(opts?: ExportDocsOpts): AsyncGenerator<string>;
+  importDocs(stream: AsyncIterable<string | Uint8Array>, opts?: ImportDocsOpts): Promise<ImportDocsResponse>;
+  /**
+   * Creates a branch at the current head, opened with fireproof(name, { branch }).
+   * Branches share the car files of the ledger and only keep their own meta.
+   */
+  fork(branch: string): Promise<BranchResponse>;
+  // merges the head of the branch into this one like a sync would
+  merge(branch: string): Promise<BranchResponse>;
+  branches(): Promise<BranchesResponse>;
+  deleteBranch(branch: string): Promise<void>;
+  // pins the head, the current one by default, reads take { tag } to read at it
+  tag(tag: string, head?: ClockHead): Promise<TagRow>;
+  tags(): Promise<TagsResponse>;
+  untag(tag: string): Promise<void>;
   allDocs<T extends DocTypes>(opts?: AllDocsQueryOpts): Promise<AllDocsResponse<T>>;
   allDocuments<T extends DocTypes>(): Promise<{
     rows: {
@@ -550,18 +1108,41 @@ export interface Database extends ReadyCloseDestroy, HasLogger, HasSuperThis {
     }[];
     clock: ClockHead;
   }>;
-  subscribe<T extends DocTypes>(listener: ListenerFn<T>, updates?: boolean): () => void;
+  subscribe<T extends DocTypes>(listener: ListenerFn<T>, updates?: boolean | SubscribeOpts<T>): () => void;
 
+  query<K extends IndexKeyType, T extends DocTypes, V = unknown>(
+    field: string | MapFn<T>,
+    opts: ReduceQueryOpts<K>,
+  ): Promise<ReduceRows<K, V>>;
   query<K extends IndexKeyType, T extends DocTypes, R extends DocFragment = T>(
     field: string | MapFn<T>,
     opts?: QueryOpts<K>,
   ): Promise<IndexRows<K, T, R>>;
-  compact(): Promise<void>;
+  // calls back with the initial rows and then with the row diff of each change
+  liveQuery<K extends IndexKeyType, T extends DocTypes, R extends DocFragment = T>(
+    field: string | MapFn<T>,
+    opts: QueryOpts<K>,
+    cb: IndexWatchFn<K, T, R>,
+  ): UnReg;
+  // defines an index kind, map, vector and geo indexes take the map function
+  index<T extends DocTypes>(name: string, def: IndexDef, mapFn?: MapFn<T>): Index<IndexKeyType, T, DocFragment>;
+  // ranks the docs of a full-text index by the terms of the query
+  search<T extends DocTypes>(name: string, query: string, opts?: SearchOpts): Promise<SearchResponse<T>>;
+  indexes(): Promise<IndexInfo[]>;
+  // forgets the index, its blocks are released by the next compaction
+  dropIndex(name: string): Promise<void>;
+  // maps every doc again
+  rebuildIndex(name: string): Promise<void>;
+  // the docs of a vector index most similar to the vector
+  nearest<T extends DocTypes>(name: string, vector: number[] | Float32Array, opts?: NearestOpts<T>): Promise<SearchResponse<T>>;
+  find<T extends DocTypes>(query: FindQuery): Promise<FindResponse<T>>;
+  explain(query: FindQuery): Promise<FindExplain>;
+  compact(): Promise<CompactResponse>;
 }
 
 export interface WriteQueue<T extends DocUpdate<S>, S extends DocTypes = DocTypes> {
   push(task: T): Promise<MetaType>;
-  bulk(tasks: T[]): Promise<MetaType>;
+  bulk(tasks: T[], opts?: BulkOpts): Promise<MetaType>;
   close(): Promise<void>;
 }
 
@@ -579,6 +1160,13 @@ export interface LedgerOpts {
   readonly storeEnDe: StoreEnDeFile;
   readonly keyBag: KeyBagRuntime;
   // readonly threshold?: number;
+  readonly resolveConflict?: ConflictResolver;
+  readonly conflictResolvers?: Record<string, ConflictResolver>;
+  readonly validate?: ValidateFn;
+  // rebuilds an index under a new version when its map function changes
+  // instead of keeping the rows of the old one
+  readonly rebuildIndexes?: boolean;
+  readonly branch?: string;
 }
 
 export interface Ledger extends HasCRDT {
@@ -602,7 +1190,7 @@ export interface Ledger extends HasCRDT {
   destroy(): Promise<void>;
   ready(): Promise<void>;
 
-  subscribe<T extends DocTypes>(listener: ListenerFn<T>, updates?: boolean): () => void;
+  subscribe<T extends DocTypes>(listener: ListenerFn<T>, updates?: boolean | SubscribeOpts<T>): () => void;
 
   // asDB(): Database;
 
@@ -14,7 +14,18 @@ import {
   YAMLFormatter,
   CoerceURI,
 } from "@adviser/cement";
-import { PARAM, PathOps, StoreType, SuperThis, SuperThisOpts, TextEndeCoder, PromiseToUInt8, ToUInt8 } from "./types.js";
+import {
+  InvalidDoc,
+  UniqueViolation,
+  PARAM,
+  PathOps,
+  StoreType,
+  SuperThis,
+  SuperThisOpts,
+  TextEndeCoder,
+  PromiseToUInt8,
+  ToUInt8,
+} from "./types.js";
 import { base58btc } from "multiformats/bases/base58";
 
 //export type { Logger };
@@ -360,6 +371,73 @@ export function isNotFoundError(e: Error | Result<unknown> | unknown): e is NotF
   return false;
 }
 
+// a conditional write found the doc changed since its ifMatch
+export class ConflictError extends Error {
+  readonly code = "ECONFLICT";
+  readonly ids: string[];
+  constructor(message: string, ids: string[]) {
+    super(message);
+    this.ids = ids;
+  }
+}
+
+export function isConflictError(e: Error | Result<unknown> | unknown): e is ConflictError {
+  if (Result.Is(e)) {
+    if (e.isOk()) return false;
+    e = e.Err();
+  }
+  return (e as ConflictError).code === "ECONFLICT";
+}
+
+// a patch does not apply to the doc, nothing was written
+export class PatchError extends Error {
+  readonly code = "EPATCH";
+}
+
+export function isPatchError(e: Error | Result<unknown> | unknown): e is PatchError {
+  if (Result.Is(e)) {
+    if (e.isOk()) return false;
+    e = e.Err();
+  }
+  return (e as PatchError).code === "EPATCH";
+}
+
+// a validator rejected a write
+export class ValidationError extends Error {
+  readonly code = "EINVALID";
+  readonly invalid: InvalidDoc[];
+  constructor(message: string, invalid: InvalidDoc[]) {
+    super(message);
+    this.invalid = invalid;
+  }
+}
+
+export function isValidationError(e: Error | Result<unknown> | unknown): e is ValidationError {
+  if (Result.Is(e)) {
+    if (e.isOk()) return false;
+    e = e.Err();
+  }
+  return (e as ValidationError).code === "EINVALID";
+}
+
+// a write gave a key of a unique index to several docs
+export class UniqueConstraintError extends Error {
+  readonly code = "EUNIQUE";
+  readonly violations: UniqueViolation[];
+  constructor(message: string, violations: UniqueViolation[]) {
+    super(message);
+    this.violations = violations;
+  }
+}
+
+export function isUniqueConstraintError(e: Error | Result<unknown> | unknown): e is UniqueConstraintError {
+  if (Result.Is(e)) {
+    if (e.isOk()) return false;
+    e = e.Err();
+  }
+  return (e as UniqueConstraintError).code === "EUNIQUE";
+}
+
 export function UInt8ArrayEqual(a: Uint8Array, b: Uint8Array): boolean {
   if (a.length !== b.length) {
     return false;
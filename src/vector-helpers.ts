@@ -0,0 +1,96 @@
+import { encode, decode } from "./runtime/wait-pr-multiformats/block.js";
+import { sha256 as hasher } from "multiformats/hashes/sha2";
+import * as codec from "@ipld/dag-cbor";
+import type { DocTypes, DocUpdate, MapFn, VectorMetric, CarTransaction } from "./types.js";
+import type { AnyLink, BlockFetcher } from "./blockstore/index.js";
+import { mapReturnsForChanges } from "./indexer-helpers.js";
+
+// vectors sampled to train the centroids and the most cells an index splits into
+const trainSample = 1024;
+const maxCells = 64;
+const trainRounds = 4;
+
+export function toVector(value: unknown): number[] | undefined {
+  const vector = value instanceof Float32Array ? Array.from(value) : value;
+  if (!Array.isArray(vector) || !vector.length) return undefined;
+  return vector.every((v) => typeof v === "number" && Number.isFinite(v)) ? (vector as number[]) : undefined;
+}
+
+// higher is more similar, cosine of a zero vector is 0
+export function similarity(metric: VectorMetric, a: number[], b: number[]): number {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (metric === "dot") return dot;
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// the embeddings the map function returns for the changed docs
+export function vectorsForChanges<T extends DocTypes>(
+  changes: DocUpdate<T>[],
+  mapFn: MapFn<T>,
+): { readonly id: string; readonly vector: number[] }[] {
+  const vectors: { id: string; vector: number[] }[] = [];
+  for (const { id, value } of mapReturnsForChanges(changes, mapFn)) {
+    const vector = toVector(value);
+    if (vector) vectors.push({ id, vector });
+  }
+  return vectors;
+}
+
+// indexes of the centroids most similar to the vector, best first
+export function nearestCells(cells: number[][], vector: number[], metric: VectorMetric, count: number): number[] {
+  return cells
+    .map((cell, i) => ({ i, score: similarity(metric, cell, vector) }))
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .slice(0, count)
+    .map(({ i }) => i);
+}
+
+// about the square root of the rows, so a probe scans about as many rows as there are cells
+function cellCount(rows: number): number {
+  return Math.min(maxCells, Math.max(1, Math.floor(Math.sqrt(rows))));
+}
+
+// true once the rows call for twice the cells they were trained into
+export function cellsOutgrown(cells: number[][], rows: number): boolean {
+  return cellCount(rows) >= 2 * cells.length;
+}
+
+// k-means over an evenly spaced sample, the same vectors train the same cells
+export function trainCells(vectors: number[][], metric: VectorMetric): number[][] {
+  const step = Math.max(1, vectors.length / trainSample);
+  const sample: number[][] = [];
+  for (let i = 0; i < vectors.length; i += step) sample.push(vectors[Math.floor(i)]);
+  const count = cellCount(vectors.length);
+  let cells = Array.from({ length: count }, (_, i) => sample[Math.floor((i * sample.length) / count)]);
+  for (let round = 0; round < trainRounds; round++) {
+    const sums = cells.map((cell) => ({ sum: new Array<number>(cell.length).fill(0), size: 0 }));
+    for (const vector of sample) {
+      const acc = sums[nearestCells(cells, vector, metric, 1)[0]];
+      vector.forEach((v, i) => (acc.sum[i] += v));
+      acc.size++;
+    }
+    // empty cells keep their centroid
+    cells = cells.map((cell, i) => (sums[i].size ? sums[i].sum.map((v) => v / sums[i].size) : cell));
+  }
+  return cells;
+}
+
+export async function storeCells(tblocks: CarTransaction, cells: number[][]): Promise<AnyLink> {
+  const block = await encode({ value: { cells }, hasher, codec });
+  await tblocks.put(block.cid, block.bytes);
+  return block.cid;
+}
+
+export async function loadCells(blocks: BlockFetcher, cid: AnyLink): Promise<number[][]> {
+  const block = await blocks.get(cid);
+  if (!block) throw new Error(`Missing block ${cid.toString()}`);
+  const { value } = (await decode({ bytes: block.bytes, hasher, codec })) as { value: { cells: number[][] } };
+  return value.cells;
+}
@@ -1,12 +1,13 @@
 import { ensureLogger } from "./utils.js";
-import { DocTypes, MetaType, DocUpdate, SuperThis, WriteQueue } from "./types.js";
+import { DocTypes, MetaType, DocUpdate, SuperThis, WriteQueue, BulkOpts } from "./types.js";
 import { Future, Logger } from "@adviser/cement";
 
-type WorkerFunction<T extends DocTypes> = (tasks: DocUpdate<T>[]) => Promise<MetaType>;
+type WorkerFunction<T extends DocTypes> = (tasks: DocUpdate<T>[], opts?: BulkOpts) => Promise<MetaType>;
 
 interface WriteQueueItem<T extends DocTypes> {
   // readonly task?: DocUpdate<T>;
   readonly tasks?: DocUpdate<T>[];
+  readonly opts?: BulkOpts;
   resolve(result: MetaType): void;
   reject(error: Error): void;
 }
@@ -57,10 +58,12 @@ class WriteQueueImpl<T extends DocUpdate<S>, S extends DocTypes = DocTypes> impl
       const updates = tasksToProcess.map((item) => item.tasks).filter((item) => item) as DocUpdate<S>[][];
       const promises = updates.map(async (update, index) => {
         try {
-          const result = await this.worker(update);
+          const result = await this.worker(update, tasksToProcess[index].opts);
           tasksToProcess[index].resolve(result);
         } catch (error) {
-          tasksToProcess[index].reject(this.logger.Error().Err(error).Msg("Error processing task").AsError());
+          const wrapped = this.logger.Error().Err(error).Msg("Error processing task").AsError();
+          // typed errors reach the caller as they were thrown
+          tasksToProcess[index].reject(error instanceof Error ? error : wrapped);
         }
       });
       await Promise.allSettled(promises);
@@ -73,9 +76,9 @@ class WriteQueueImpl<T extends DocUpdate<S>, S extends DocTypes = DocTypes> impl
     }
   }
 
-  bulk(tasks: DocUpdate<S>[]): Promise<MetaType> {
+  bulk(tasks: DocUpdate<S>[], opts?: BulkOpts): Promise<MetaType> {
     return new Promise<MetaType>((resolve, reject) => {
-      this.queue.push({ tasks, resolve, reject });
+      this.queue.push({ tasks, opts, resolve, reject });
       this.process();
     });
   }
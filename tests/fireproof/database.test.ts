@@ -1,5 +1,5 @@
 import { URI } from "@adviser/cement";
-import { buildBlobFiles, FileWithCid, mockSuperThis } from "../helpers.js";
+import { buildBlobFiles, FileWithCid, mockSuperThis, sleep } from "../helpers.js";
 import {
   bs,
   DocResponse,
@@ -12,6 +12,15 @@ import {
   Database,
   fireproof,
   LedgerShell,
+  ClockHead,
+  isConflictError,
+  isValidationError,
+  isUniqueConstraintError,
+  UniqueViolation,
+  ChangesResponse,
+  CRDTImpl,
+  isNotFoundError,
+  isPatchError,
 } from "@fireproof/core";
 
 describe("basic Ledger", () => {
@@ -447,6 +456,101 @@ describe("basic Ledger with subscription", function () {
   });
 });
 
+describe("basic Ledger with filtered subscription", function () {
+  interface Doc {
+    readonly type: string;
+    readonly n: number;
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-filtered-subscription");
+  });
+  it("should deliver only docs matching ids and filter", async () => {
+    const byIds: string[] = [];
+    const byFilter: string[] = [];
+    db.subscribe<Doc>((docs) => void byIds.push(...docs.map((d) => d._id)), { ids: ["a", "c"] });
+    db.subscribe<Doc>((docs) => void byFilter.push(...docs.map((d) => d._id)), { filter: (doc) => doc.type === "todo" });
+    await db.put<Doc>({ _id: "a", type: "note", n: 1 });
+    await db.put<Doc>({ _id: "b", type: "todo", n: 2 });
+    await db.put<Doc>({ _id: "c", type: "todo", n: 3 });
+    await db.put<Doc>({ _id: "d", type: "note", n: 4 });
+    await sleep(10);
+    expect(byIds).toEqual(["a", "c"]);
+    expect(byFilter).toEqual(["b", "c"]);
+  });
+  it("should evaluate a shared filter once per tick", async () => {
+    let calls = 0;
+    const filter = (doc: DocWithId<Doc>) => {
+      calls++;
+      return doc.n > 1;
+    };
+    const seen: number[] = [];
+    db.subscribe<Doc>((docs) => void seen.push(docs.length), { filter });
+    db.subscribe<Doc>((docs) => void seen.push(docs.length), { filter });
+    await db.bulk<Doc>([
+      { _id: "a", type: "note", n: 1 },
+      { _id: "b", type: "note", n: 2 },
+    ]);
+    await sleep(10);
+    expect(calls).toBe(2);
+    expect(seen).toEqual([1, 1]);
+  });
+  it("should deliver docs of an index including ones leaving it", async () => {
+    await db.put<Doc>({ _id: "a", type: "todo", n: 1 });
+    await db.query<string, Doc>("type", { key: "todo" });
+    const seen: string[] = [];
+    db.subscribe<Doc>((docs) => void seen.push(...docs.map((d) => `${d._id}:${d.type ?? "deleted"}`)), { index: "type" });
+    await db.put<{ other: boolean }>({ _id: "b", other: true });
+    await db.put<Doc>({ _id: "c", type: "note", n: 2 });
+    await db.del("a");
+    await sleep(10);
+    expect(seen).toEqual(["c:note", "a:deleted"]);
+    // the subscribers track the ids apart from the index, which did not map the updates yet
+    expect(db.ledger.crdt.indexers.get("type")?.mappedIds?.has("a")).toBe(true);
+  });
+  it("should deliver docs of an index not built in this session", async () => {
+    await db.put<Doc>({ _id: "a", type: "todo", n: 1 });
+    await db.query<string, Doc>("type", { key: "todo" });
+    await db.close();
+    db = fireproof("test-filtered-subscription");
+    db.index("type", {});
+    const seen: string[] = [];
+    db.subscribe<Doc>((docs) => void seen.push(...docs.map((d) => `${d._id}:${d.type ?? "deleted"}`)), { index: "type" });
+    await db.put<{ other: boolean }>({ _id: "b", other: true });
+    await db.del("a");
+    await sleep(10);
+    expect(seen).toEqual(["a:deleted"]);
+  });
+  it("should coalesce bursts with debounce and maxBatch", async () => {
+    const batches: string[][] = [];
+    db.subscribe<Doc>((docs) => void batches.push(docs.map((d) => d._id)), { debounceMs: 30 });
+    const limited: string[][] = [];
+    db.subscribe<Doc>((docs) => void limited.push(docs.map((d) => d._id)), { debounceMs: 1000, maxBatch: 2 });
+    for (const id of ["a", "b", "a", "c"]) await db.put<Doc>({ _id: id, type: "note", n: 1 });
+    expect(batches).toEqual([]);
+    for (let i = 0; i < 50 && !batches.length; i++) await sleep(10);
+    expect(batches).toEqual([["b", "a", "c"]]);
+    expect(limited).toEqual([
+      ["a", "b"],
+      ["a", "c"],
+    ]);
+  });
+  it("should drop pending docs on unsubscribe", async () => {
+    const seen: string[] = [];
+    const unsubscribe = db.subscribe<Doc>((docs) => void seen.push(...docs.map((d) => d._id)), { debounceMs: 20 });
+    await db.put<Doc>({ _id: "a", type: "note", n: 1 });
+    unsubscribe();
+    await sleep(40);
+    expect(seen).toEqual([]);
+  });
+});
+
 describe("basic Ledger with no update subscription", function () {
   let db: Database;
   let didRun: number;
@@ -482,6 +586,912 @@ describe("basic Ledger with no update subscription", function () {
   });
 });
 
+describe("basic Ledger allDocs with query options", function () {
+  interface Doc {
+    readonly title: string;
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-all-docs-opts");
+    await db.bulk<Doc>([
+      { _id: "todo:1", title: "one" },
+      { _id: "todo:2", title: "two" },
+      { _id: "todo:3", title: "three" },
+      { _id: "user:a", title: "alice" },
+      { _id: "user:b", title: "bob" },
+    ]);
+  });
+  it("should return all docs in key order", async () => {
+    const { rows } = await db.allDocs<Doc>();
+    expect(rows.map((r) => r.key)).toEqual(["todo:1", "todo:2", "todo:3", "user:a", "user:b"]);
+  });
+  it("should limit", async () => {
+    const { rows } = await db.allDocs<Doc>({ limit: 2 });
+    expect(rows.map((r) => r.key)).toEqual(["todo:1", "todo:2"]);
+    const { rows: none, cursor } = await db.allDocs<Doc>({ limit: 0 });
+    expect(none).toEqual([]);
+    expect(cursor).toBeUndefined();
+  });
+  it("should limit descending", async () => {
+    const { rows } = await db.allDocs<Doc>({ limit: 2, descending: true });
+    expect(rows.map((r) => r.key)).toEqual(["user:b", "user:a"]);
+  });
+  it("should key query", async () => {
+    const { rows } = await db.allDocs<Doc>({ key: "todo:2" });
+    expect(rows.length).toBe(1);
+    expect(rows[0].value.title).toBe("two");
+  });
+  it("should keys query in the given order", async () => {
+    const { rows } = await db.allDocs<Doc>({ keys: ["user:b", "missing", "todo:1"] });
+    expect(rows.map((r) => r.key)).toEqual(["user:b", "todo:1"]);
+  });
+  it("should prefix query", async () => {
+    const { rows } = await db.allDocs<Doc>({ prefix: "user:" });
+    expect(rows.map((r) => r.value.title)).toEqual(["alice", "bob"]);
+  });
+  it("should range query", async () => {
+    const { rows } = await db.allDocs<Doc>({ range: ["todo:2", "user:a"] });
+    expect(rows.map((r) => r.key)).toEqual(["todo:2", "todo:3", "user:a"]);
+  });
+  it("should page with a cursor", async () => {
+    const first = await db.allDocs<Doc>({ limit: 2 });
+    expect(first.cursor).toEqual({ key: "todo:2", id: "todo:2" });
+    const second = await db.allDocs<Doc>({ limit: 2, startAfter: first.cursor });
+    expect(second.rows.map((r) => r.key)).toEqual(["todo:3", "user:a"]);
+    const third = await db.allDocs<Doc>({ limit: 2, startAfter: second.cursor });
+    expect(third.rows.map((r) => r.key)).toEqual(["user:b"]);
+    expect(third.cursor).toBeUndefined();
+  });
+  it("should page a prefix descending with a cursor", async () => {
+    const first = await db.allDocs<Doc>({ prefix: "todo:", descending: true, limit: 2 });
+    expect(first.rows.map((r) => r.key)).toEqual(["todo:3", "todo:2"]);
+    const second = await db.allDocs<Doc>({ prefix: "todo:", descending: true, limit: 2, startAfter: first.cursor });
+    expect(second.rows.map((r) => r.key)).toEqual(["todo:1"]);
+  });
+  it("should prefix query descending with limit", async () => {
+    const { rows } = await db.allDocs<Doc>({ prefix: "todo:", descending: true, limit: 2 });
+    expect(rows.map((r) => r.key)).toEqual(["todo:3", "todo:2"]);
+  });
+  it("should read descending across shards like ascending reversed", async () => {
+    // enough ids sharing prefixes to split the pail into nested shards
+    await db.bulk(Array.from({ length: 300 }, (_, i) => ({ _id: `item:${i % 7}:${i}`, title: `${i}` })));
+    for (const opts of [{}, { prefix: "item:3" }, { range: ["item:2:100", "item:5"] as [string, string] }]) {
+      const { rows: up } = await db.allDocs<Doc>(opts);
+      const { rows: down } = await db.allDocs<Doc>({ ...opts, descending: true });
+      expect(down.map((r) => r.key)).toEqual(up.map((r) => r.key).reverse());
+    }
+  });
+});
+
+describe("basic Ledger changes stream", function () {
+  interface Doc {
+    readonly n: number;
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-changes-stream");
+    for (let i = 0; i < 5; i++) await db.put<Doc>({ _id: `doc-${i}`, n: i });
+  });
+  it("should yield the history in batches", async () => {
+    const batches: ChangesResponse<Doc>[] = [];
+    for await (const batch of db.changesStream<Doc>([], { batchSize: 2 })) batches.push(batch);
+    expect(batches.map((b) => b.rows.length)).toEqual([2, 2, 1]);
+    expect(batches.flatMap((b) => b.rows.map((r) => r.key)).sort()).toEqual(["doc-0", "doc-1", "doc-2", "doc-3", "doc-4"]);
+    expect(batches[2].clock).toEqual(db.ledger.crdt.clock.head);
+  });
+  it("should resume after every batch", async () => {
+    const batches: ChangesResponse<Doc>[] = [];
+    for await (const batch of db.changesStream<Doc>([], { batchSize: 2 })) batches.push(batch);
+    // oldest first, so each checkpoint covers the batches before it
+    expect(batches.flatMap((b) => b.rows.map((r) => r.key))).toEqual(["doc-0", "doc-1", "doc-2", "doc-3", "doc-4"]);
+    for (const [i, { clock }] of batches.entries()) {
+      const rest: string[] = [];
+      for await (const batch of db.changesStream<Doc>(clock, { batchSize: 2 })) rest.push(...batch.rows.map((r) => r.key));
+      expect(rest).toEqual(batches.slice(i + 1).flatMap((b) => b.rows.map((r) => r.key)));
+    }
+  });
+  it("should resume a merged history without losing a branch", async () => {
+    const { clock: base } = await db.put<Doc>({ _id: "doc-5", n: 5 });
+    const { clock: localHead } = await db.put<Doc>({ _id: "doc-6", n: 6 });
+    const head = db.ledger.crdt.clock.head;
+    head.splice(0, head.length, ...base);
+    await db.put<Doc>({ _id: "doc-7", n: 7 });
+    await db.ledger.crdt.clock.applyHead(localHead, base);
+    const keys: string[] = [];
+    let clock: ClockHead = [];
+    for await (const batch of db.changesStream<Doc>([], { batchSize: 1 })) {
+      keys.push(...batch.rows.map((r) => r.key));
+      if (keys.length === 6) {
+        clock = batch.clock;
+        break;
+      }
+    }
+    const rest: string[] = [];
+    for await (const batch of db.changesStream<Doc>(clock)) rest.push(...batch.rows.map((r) => r.key));
+    expect([...keys, ...rest].sort()).toEqual(["doc-0", "doc-1", "doc-2", "doc-3", "doc-4", "doc-5", "doc-6", "doc-7"]);
+    expect(rest.length).toBe(2);
+  });
+  it("should resume from a checkpoint", async () => {
+    let clock: ClockHead = [];
+    for await (const batch of db.changesStream<Doc>()) clock = batch.clock;
+    await db.put<Doc>({ _id: "doc-5", n: 5 });
+    const keys: string[] = [];
+    for await (const batch of db.changesStream<Doc>(clock)) keys.push(...batch.rows.map((r) => r.key));
+    expect(keys).toEqual(["doc-5"]);
+  });
+  it("should keep yielding live changes until aborted", async () => {
+    const ctrl = new AbortController();
+    const seen: string[] = [];
+    const done = (async () => {
+      for await (const batch of db.changesStream<Doc>([], { live: true, signal: ctrl.signal })) {
+        seen.push(...batch.rows.map((r) => r.key));
+      }
+    })();
+    for (let i = 0; i < 50 && seen.length < 5; i++) await sleep(10);
+    await db.put<Doc>({ _id: "doc-5", n: 5 });
+    await db.put<Doc>({ _id: "doc-6", n: 6 });
+    for (let i = 0; i < 50 && seen.length < 7; i++) await sleep(10);
+    ctrl.abort();
+    await done;
+    expect(seen.slice(5).sort()).toEqual(["doc-5", "doc-6"]);
+    await db.put<Doc>({ _id: "doc-7", n: 7 });
+    expect(seen.length).toBe(7);
+  });
+});
+
+describe("basic Ledger document history", function () {
+  interface Doc {
+    readonly value: string;
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-doc-history");
+    await db.put<Doc>({ _id: "hello", value: "one" });
+    await db.put<Doc>({ _id: "other", value: "noise" });
+    await db.put<Doc>({ _id: "hello", value: "two" });
+    await db.del("hello");
+    await db.put<Doc>({ _id: "hello", value: "three" });
+  });
+  it("should list every revision newest first", async () => {
+    const { rows, clock } = await db.history<Doc>("hello");
+    expect(rows.map((r) => (r.del ? "deleted" : r.value.value))).toEqual(["three", "deleted", "two", "one"]);
+    expect(rows[1].value._deleted).toBe(true);
+    expect(rows[0].clock.toString()).toBe(clock[0].toString());
+  });
+  it("should limit the history", async () => {
+    const { rows } = await db.history<Doc>("hello", { limit: 2 });
+    expect(rows.map((r) => r.del)).toEqual([false, true]);
+  });
+  it("should be empty for unknown docs", async () => {
+    const { rows } = await db.history("missing");
+    expect(rows).toEqual([]);
+  });
+  it("should list merged branches before what they branched from", async () => {
+    const { clock: base } = await db.put<Doc>({ _id: "hello", value: "base" });
+    await db.put<Doc>({ _id: "hello", value: "a1" });
+    const { clock: localHead } = await db.put<Doc>({ _id: "hello", value: "a2" });
+    const head = db.ledger.crdt.clock.head;
+    head.splice(0, head.length, ...base);
+    await db.put<Doc>({ _id: "hello", value: "b1" });
+    await db.ledger.crdt.clock.applyHead(localHead, base);
+    await db.put<Doc>({ _id: "hello", value: "after" });
+    const { rows } = await db.history<Doc>("hello");
+    const values = rows.map((r) => (r.del ? "deleted" : r.value.value));
+    expect(values.slice(0, 4).sort()).toEqual(["a1", "a2", "after", "b1"]);
+    expect(values[0]).toBe("after");
+    expect(values.indexOf("a2")).toBeLessThan(values.indexOf("a1"));
+    expect(values.slice(4)).toEqual(["base", "three", "deleted", "two", "one"]);
+  });
+  it("should get a revision at a clock event", async () => {
+    const { rows } = await db.history<Doc>("hello");
+    const old = await db.get<Doc>("hello", { at: rows[3].clock });
+    expect(old).toEqual({ _id: "hello", value: "one" });
+    const two = await db.get<Doc>("hello", { at: rows[2].clock });
+    expect(two.value).toBe("two");
+    await expect(db.get("hello", { at: rows[1].clock })).rejects.toThrow(/Not found/);
+    expect((await db.get<Doc>("hello")).value).toBe("three");
+  });
+});
+
+describe("basic Ledger point-in-time reads", function () {
+  interface Doc {
+    readonly value: number;
+  }
+  let db: Database;
+  let snapshot: ClockHead;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-point-in-time");
+    await db.put<Doc>({ _id: "a", value: 1 });
+    ({ clock: snapshot } = await db.put<Doc>({ _id: "b", value: 2 }));
+    await db.put<Doc>({ _id: "a", value: 10 });
+    await db.put<Doc>({ _id: "c", value: 3 });
+    await db.del("b");
+  });
+  it("should get at a head", async () => {
+    expect((await db.get<Doc>("a", { head: snapshot })).value).toBe(1);
+    expect((await db.get<Doc>("b", { head: snapshot })).value).toBe(2);
+    await expect(db.get("c", { head: snapshot })).rejects.toThrow(/Not found/);
+    expect((await db.get<Doc>("a")).value).toBe(10);
+  });
+  it("should list all docs at a head", async () => {
+    const { rows, clock } = await db.allDocs<Doc>({ head: snapshot });
+    expect(rows.map((r) => [r.key, r.value.value])).toEqual([
+      ["a", 1],
+      ["b", 2],
+    ]);
+    expect(clock).toEqual(snapshot);
+  });
+  it("should query at a head", async () => {
+    const { rows } = await db.query<number, Doc>("value", { head: snapshot, includeDocs: true });
+    expect(rows.map((r) => [r.key, r.id, r.doc?.value])).toEqual([
+      [1, "a", 1],
+      [2, "b", 2],
+    ]);
+    const { rows: latest } = await db.query<number, Doc>("value");
+    expect(latest.map((r) => r.key)).toEqual([3, 10]);
+    const { rows: ranged } = await db.query<number, Doc>("value", { head: snapshot, range: [2, 10], descending: true });
+    expect(ranged.map((r) => r.id)).toEqual(["b"]);
+    const { rows: reduced } = await db.query<number, Doc>("value", { head: snapshot, reduce: "_count" });
+    expect(reduced).toEqual([{ key: null, value: 2 }]);
+  });
+});
+
+describe("basic Ledger conflicts", function () {
+  interface Doc {
+    readonly value: string;
+    readonly type?: string;
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+  });
+  // writes on two branches of base and merges them like a remote head
+  async function diverge(local: Doc & { _id: string }, remote: Doc & { _id: string }) {
+    const { clock: base } = await db.put<Doc>({ _id: "doc", value: "base", type: "note" });
+    const { clock: localHead } = await db.put<Doc>(local);
+    const head = db.ledger.crdt.clock.head;
+    head.splice(0, head.length, ...base);
+    await db.put<Doc>(remote);
+    await db.ledger.crdt.clock.applyHead(localHead, base);
+  }
+  it("should record concurrent writes", async () => {
+    db = fireproof("test-conflicts");
+    await diverge({ _id: "doc", value: "local" }, { _id: "doc", value: "remote" });
+    const doc = await db.get<Doc>("doc");
+    const { rows } = await db.conflicts<Doc>("doc");
+    expect(rows.length).toBe(1);
+    expect([doc.value, rows[0].value.value].sort()).toEqual(["local", "remote"]);
+    expect(doc._conflicts).toEqual([rows[0].clock.toString()]);
+  });
+  it("should not record writes to different docs", async () => {
+    db = fireproof("test-conflicts");
+    await diverge({ _id: "doc", value: "local" }, { _id: "other", value: "remote" });
+    expect((await db.conflicts("doc")).rows).toEqual([]);
+    expect((await db.get<Doc>("doc"))._conflicts).toBeUndefined();
+  });
+  it("should keep conflicts when the write is rejected", async () => {
+    db = fireproof("test-conflicts");
+    await diverge({ _id: "doc", value: "local" }, { _id: "doc", value: "remote" });
+    await db.put<Doc>({ _id: "other", value: "other", type: "taken" });
+    db.index("type", { unique: true });
+    const doc = await db.get<Doc>("doc");
+    await expect(db.put({ ...doc, type: "taken" })).rejects.toThrow(/Duplicate/);
+    expect((await db.conflicts("doc")).rows.length).toBe(1);
+  });
+  it("should clear conflicts on the next write", async () => {
+    db = fireproof("test-conflicts");
+    await diverge({ _id: "doc", value: "local" }, { _id: "doc", value: "remote" });
+    const doc = await db.get<Doc>("doc");
+    await db.put({ ...doc, value: "fixed" });
+    const fixed = await db.get<Doc>("doc");
+    expect(fixed).toEqual({ _id: "doc", value: "fixed" });
+    expect((await db.conflicts("doc")).rows).toEqual([]);
+  });
+  it("should keep conflicts across a reopen", async () => {
+    db = fireproof("test-conflicts");
+    await diverge({ _id: "doc", value: "local" }, { _id: "doc", value: "remote" });
+    const { rows } = await db.conflicts<Doc>("doc");
+    await db.close();
+
+    db = fireproof("test-conflicts");
+    expect((await db.conflicts<Doc>("doc")).rows).toEqual(rows);
+    const doc = await db.get<Doc>("doc");
+    expect(doc._conflicts).toEqual([rows[0].clock.toString()]);
+    await db.put({ ...doc, value: "fixed" });
+    await db.close();
+
+    db = fireproof("test-conflicts");
+    expect((await db.conflicts("doc")).rows).toEqual([]);
+  });
+  it("should merge the head of a ledger created on its own", async () => {
+    db = fireproof("test-conflicts");
+    const { clock: localHead } = await db.put<Doc>({ _id: "doc", value: "local" });
+    const head = db.ledger.crdt.clock.head;
+    head.splice(0, head.length);
+    // starts over at the genesis event every ledger shares
+    await db.put<Doc>({ _id: "doc", value: "remote" });
+    await db.ledger.crdt.clock.applyHead(localHead, []);
+    const doc = await db.get<Doc>("doc");
+    const { rows } = await db.conflicts<Doc>("doc");
+    expect([doc.value, rows[0]?.value.value].sort()).toEqual(["local", "remote"]);
+  });
+  it("should refuse a head that shares no root", async () => {
+    db = fireproof("test-conflicts");
+    const { clock: localHead } = await db.put<Doc>({ _id: "doc", value: "local" });
+    const head = db.ledger.crdt.clock.head;
+    head.splice(0, head.length);
+    // without the genesis event
+    const { head: remoteHead } = await (db.ledger.crdt as CRDTImpl)._bulk([{ id: "doc", value: { value: "remote" } }]);
+    await expect(db.ledger.crdt.clock.applyHead(localHead, [])).rejects.toThrow(/common ancestor/);
+    expect(db.ledger.crdt.clock.head.map(String)).toEqual(remoteHead.map(String));
+  });
+  it("should resolve once the conflicts are stored", async () => {
+    const stored: number[] = [];
+    db = fireproof("test-conflicts-resolved", {
+      resolveConflict: async ({ id }) => {
+        stored.push(Object.keys(await (db.ledger.crdt as CRDTImpl)._metaStore().conflicts()).filter((k) => k === id).length);
+        return undefined;
+      },
+    });
+    // a slow store leaves the conflicts unsaved while a resolver could already run
+    const crdt = db.ledger.crdt as CRDTImpl;
+    const save = crdt._saveConflicts.bind(crdt);
+    crdt._saveConflicts = async () => {
+      await sleep(50);
+      return save();
+    };
+    await diverge({ _id: "doc", value: "local" }, { _id: "doc", value: "remote" });
+    for (let i = 0; i < 50 && !stored.length; i++) await sleep(10);
+    expect(stored).toEqual([1]);
+  });
+  it("should resolve with a resolver by doc type", async () => {
+    const seen: string[] = [];
+    db = fireproof("test-conflicts-resolved", {
+      resolveConflict: () => {
+        seen.push("ledger");
+        return undefined;
+      },
+      conflictResolvers: {
+        note: ({ winner, losers }) => {
+          seen.push("note");
+          const values = [winner, ...losers.map((l) => l.value)].map((d) => d?.value).sort();
+          return { value: values.join("+"), type: "note" };
+        },
+      },
+    });
+    await diverge({ _id: "doc", value: "local", type: "note" }, { _id: "doc", value: "remote", type: "note" });
+    for (let i = 0; i < 50 && (await db.get<Doc>("doc")).value !== "local+remote"; i++) await sleep(10);
+    expect(seen).toEqual(["note"]);
+    const doc = await db.get<Doc>("doc");
+    expect(doc).toEqual({ _id: "doc", value: "local+remote", type: "note" });
+  });
+});
+
+describe("basic Ledger validation", function () {
+  interface Doc {
+    readonly value: string;
+    readonly owner?: string;
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+  });
+  function requireOwner(doc: { readonly _deleted?: boolean; readonly owner?: unknown }) {
+    if (!doc._deleted && !doc.owner) throw new Error("owner is required");
+  }
+  it("should reject invalid puts from the config validator", async () => {
+    db = fireproof("test-validation", { validate: requireOwner });
+    await db.put<Doc>({ _id: "ok", value: "one", owner: "me" });
+    const err = await db.put<Doc>({ _id: "bad", value: "one" }).catch((e) => e);
+    expect(isValidationError(err)).toBe(true);
+    expect(err.invalid).toEqual([{ id: "bad", reason: "owner is required" }]);
+    await expect(db.get("bad")).rejects.toThrow(/Not found/);
+  });
+  it("should pass the old doc and reject the whole bulk", async () => {
+    db = fireproof("test-validation");
+    await db.put<Doc>({ _id: "a", value: "one", owner: "me" });
+    const seen: [string, string | undefined, string][] = [];
+    db.addValidator<Doc>((doc, old, { origin }) => {
+      seen.push([doc._id, old?.owner, origin]);
+      if (old && old.owner !== doc.owner) throw new Error("owner can not change");
+    });
+    await expect(
+      db.bulk<Doc>([
+        { _id: "a", value: "two", owner: "you" },
+        { _id: "b", value: "two", owner: "you" },
+      ]),
+    ).rejects.toThrow(/owner can not change/);
+    expect(seen).toEqual([
+      ["a", "me", "local"],
+      ["b", undefined, "local"],
+    ]);
+    await expect(db.get("b")).rejects.toThrow(/Not found/);
+    await db.put<Doc>({ _id: "a", value: "two", owner: "me" });
+    expect((await db.get<Doc>("a")).value).toBe("two");
+  });
+  it("should validate deletes and stop after unregistering", async () => {
+    db = fireproof("test-validation");
+    await db.put<Doc>({ _id: "a", value: "one" });
+    const unreg = db.addValidator((doc) => {
+      if (doc._deleted) throw new Error("no deletes");
+    });
+    await expect(db.del("a")).rejects.toThrow(/no deletes/);
+    unreg();
+    await db.del("a");
+    await expect(db.get("a")).rejects.toThrow(/Not found/);
+  });
+  it("should quarantine invalid remote updates", async () => {
+    // a replica writes without the validator
+    const name = `test-validation-remote-${sthis.nextId().str}`;
+    // unencrypted, the ledger syncs its own cars to the replica as well
+    const urls = {
+      car: `memory://car/${name}?storekey=insecure`,
+      meta: `memory://meta/${name}?storekey=insecure`,
+      file: `memory://file/${name}?storekey=insecure`,
+    };
+    const opts = { validate: requireOwner, storeUrls: { base: `memory://test-validation-${name}?storekey=insecure` } };
+    const attachable = {
+      name,
+      prepare: async () => ({ car: { url: urls.car }, meta: { url: urls.meta }, file: { url: urls.file } }),
+    };
+    const remote = fireproof(name, { storeUrls: { data: { ...urls, wal: `memory://wal/${name}?storekey=insecure` } } });
+    await remote.put<Doc>({ _id: "fine", value: "remote", owner: "them" });
+    await remote.put<Doc>({ _id: "doc", value: "remote" });
+
+    db = fireproof("test-validation", opts);
+    await db.put<Doc>({ _id: "doc", value: "base", owner: "me" });
+    const origins: string[] = [];
+    db.addValidator((_doc, _old, { origin }) => {
+      origins.push(origin);
+    });
+    await db.attach(attachable);
+    expect(origins).toContain("remote");
+    const { rows } = await db.quarantined<Doc>();
+    expect(rows.map(({ id, reason, doc }) => [id, reason, doc.value])).toEqual([["doc", "owner is required", "remote"]]);
+    // nothing of the rejected head is merged
+    expect(await db.get<Doc>("doc")).toEqual({ _id: "doc", value: "base", owner: "me" });
+    await expect(db.get("fine")).rejects.toThrow(/Not found/);
+
+    await db.close();
+    db = fireproof("test-validation", opts);
+    expect((await db.quarantined<Doc>()).rows.map(({ id }) => id)).toEqual(["doc"]);
+    await expect(db.get("fine")).rejects.toThrow(/Not found/);
+
+    // a valid revision on top is merged and releases the quarantined one
+    await remote.put<Doc>({ _id: "doc", value: "fixed", owner: "them" });
+    await db.attach(attachable);
+    expect((await db.get<Doc>("fine")).owner).toBe("them");
+    expect((await db.quarantined()).rows).toEqual([]);
+    await db.close();
+    db = fireproof("test-validation", opts);
+    expect((await db.quarantined()).rows).toEqual([]);
+    await remote.close();
+    await remote.destroy();
+  });
+});
+
+describe("basic Ledger unique constraints", function () {
+  interface User {
+    readonly email: string;
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-unique");
+  });
+  it("should reject a put duplicating a key", async () => {
+    db.index("email", { unique: true });
+    await db.put<User>({ _id: "a", email: "a@example.com" });
+    const err = await db.put<User>({ _id: "b", email: "a@example.com" }).catch((e) => e);
+    expect(isUniqueConstraintError(err)).toBe(true);
+    expect(err.violations).toEqual([{ index: "email", key: "a@example.com", ids: ["a", "b"] }]);
+    await expect(db.get("b")).rejects.toThrow(/Not found/);
+    await db.put<User>({ _id: "a", email: "a@example.com" });
+    await db.put<User>({ _id: "b", email: "b@example.com" });
+  });
+  it("should check the whole bulk and free the keys of replaced docs", async () => {
+    db.index("email", { unique: true });
+    await db.bulk<User>([
+      { _id: "a", email: "one@example.com" },
+      { _id: "b", email: "two@example.com" },
+    ]);
+    await expect(
+      db.bulk<User>([
+        { _id: "c", email: "three@example.com" },
+        { _id: "d", email: "three@example.com" },
+      ]),
+    ).rejects.toThrow(/Duplicate: email "three@example.com" on c d/);
+    await db.bulk<User>([
+      { _id: "a", email: "two@example.com" },
+      { _id: "b", email: "one@example.com" },
+    ]);
+    await db.del("a");
+    await db.put<User>({ _id: "c", email: "two@example.com" });
+    const { rows } = await db.query<string, User>("email");
+    expect(rows.map((r) => [r.key, r.id])).toEqual([
+      ["one@example.com", "b"],
+      ["two@example.com", "c"],
+    ]);
+  });
+  it("should compare keys by the collation", async () => {
+    db.index<User>("email", { unique: true, collation: { caseInsensitive: true } }, (doc) => doc.email);
+    await db.put<User>({ _id: "a", email: "a@example.com" });
+    await expect(db.put<User>({ _id: "b", email: "A@Example.com" })).rejects.toThrow(/Duplicate/);
+  });
+  it("should report duplicates from a merge", async () => {
+    const { clock: base } = await db.put<User>({ _id: "a", email: "a@example.com" });
+    const { clock: localHead } = await db.put<User>({ _id: "b", email: "b@example.com" });
+    // a replica writes without the unique index
+    const head = db.ledger.crdt.clock.head;
+    head.splice(0, head.length, ...base);
+    await db.put<User>({ _id: "c", email: "a@example.com" });
+    const remoteHead = [...head];
+    head.splice(0, head.length, ...localHead);
+    db.index("email", { unique: true });
+    await db.ledger.crdt.clock.applyHead(remoteHead, base);
+    let rows: UniqueViolation[] = [];
+    for (let i = 0; i < 50 && !rows.length; i++) {
+      await sleep(10);
+      rows = (await db.violations()).rows;
+    }
+    expect(rows).toEqual([{ index: "email", key: "a@example.com", ids: ["a", "c"] }]);
+    expect((await db.get<User>("c")).email).toBe("a@example.com");
+    await db.put<User>({ _id: "c", email: "c@example.com" });
+    expect((await db.violations()).rows).toEqual([]);
+  });
+  it("should keep the constraint and the violations across a reopen", async () => {
+    const { clock: base } = await db.put<User>({ _id: "a", email: "a@example.com" });
+    const { clock: localHead } = await db.put<User>({ _id: "b", email: "b@example.com" });
+    const head = db.ledger.crdt.clock.head;
+    head.splice(0, head.length, ...base);
+    await db.put<User>({ _id: "c", email: "a@example.com" });
+    const remoteHead = [...head];
+    head.splice(0, head.length, ...localHead);
+    db.index("email", { unique: true });
+    await db.ledger.crdt.clock.applyHead(remoteHead, base);
+    let rows: UniqueViolation[] = [];
+    for (let i = 0; i < 50 && !rows.length; i++) {
+      await sleep(10);
+      rows = (await db.violations()).rows;
+    }
+    expect(rows.length).toBe(1);
+    await db.close();
+
+    db = fireproof("test-unique");
+    expect((await db.violations()).rows).toEqual([{ index: "email", key: "a@example.com", ids: ["a", "c"] }]);
+    await expect(db.put<User>({ _id: "d", email: "a@example.com" })).rejects.toThrow(/Duplicate/);
+    await db.put<User>({ _id: "c", email: "c@example.com" });
+    expect((await db.violations()).rows).toEqual([]);
+  });
+});
+
+describe("basic Ledger conditional writes", function () {
+  interface Doc {
+    readonly value: string;
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-conditional-writes");
+  });
+  it("should write when the doc is unchanged since ifMatch", async () => {
+    const { clock } = await db.put<Doc>({ _id: "a", value: "one" });
+    await db.put<Doc>({ _id: "b", value: "other" });
+    await db.put<Doc>({ _id: "a", value: "two" }, { ifMatch: clock });
+    expect((await db.get<Doc>("a")).value).toBe("two");
+  });
+  it("should reject a stale ifMatch", async () => {
+    const { clock } = await db.put<Doc>({ _id: "a", value: "one" });
+    await db.put<Doc>({ _id: "a", value: "two" });
+    const err = await db.put<Doc>({ _id: "a", value: "three" }, { ifMatch: clock }).catch((e) => e);
+    expect(isConflictError(err)).toBe(true);
+    expect(err.ids).toEqual(["a"]);
+    expect((await db.get<Doc>("a")).value).toBe("two");
+  });
+  it("should accept an event link and its string form", async () => {
+    const { clock } = await db.put<Doc>({ _id: "a", value: "one" });
+    await db.put<Doc>({ _id: "a", value: "two" }, { ifMatch: clock[0] });
+    const { rows } = await db.history<Doc>("a");
+    await expect(db.put<Doc>({ _id: "a", value: "three" }, { ifMatch: rows[1].clock.toString() })).rejects.toThrow(/Conflict/);
+    await db.put<Doc>({ _id: "a", value: "three" }, { ifMatch: rows[0].clock.toString() });
+    expect((await db.get<Doc>("a")).value).toBe("three");
+  });
+  it("should check deletes", async () => {
+    const { clock } = await db.put<Doc>({ _id: "a", value: "one" });
+    await db.put<Doc>({ _id: "a", value: "two" });
+    await expect(db.del("a", { ifMatch: clock })).rejects.toThrow(/Conflict/);
+    const { clock: current } = await db.put<Doc>({ _id: "b", value: "other" });
+    await db.del("a", { ifMatch: current });
+    await expect(db.get("a")).rejects.toThrow(/Not found/);
+  });
+  it("should report conflicting ids of a bulk write", async () => {
+    const { clock } = await db.bulk<Doc>([
+      { _id: "a", value: "one" },
+      { _id: "b", value: "one" },
+    ]);
+    await db.put<Doc>({ _id: "a", value: "two" });
+    const res = await db.bulk<Doc>(
+      [
+        { _id: "a", value: "three" },
+        { _id: "b", value: "three" },
+      ],
+      { ifMatch: { a: clock, b: clock } },
+    );
+    expect(res.ids).toEqual(["b"]);
+    expect(res.conflicts).toEqual(["a"]);
+    expect((await db.get<Doc>("a")).value).toBe("two");
+    expect((await db.get<Doc>("b")).value).toBe("three");
+  });
+  it("should write nothing with allOrNothing", async () => {
+    const { clock } = await db.bulk<Doc>([
+      { _id: "a", value: "one" },
+      { _id: "b", value: "one" },
+    ]);
+    await db.put<Doc>({ _id: "a", value: "two" });
+    const err = await db
+      .bulk<Doc>(
+        [
+          { _id: "a", value: "three" },
+          { _id: "b", value: "three" },
+        ],
+        { ifMatch: { a: clock, b: clock }, allOrNothing: true },
+      )
+      .catch((e) => e);
+    expect(isConflictError(err)).toBe(true);
+    expect(err.ids).toEqual(["a"]);
+    expect((await db.get<Doc>("b")).value).toBe("one");
+  });
+  it("should let only one of two racing writes pass", async () => {
+    const { clock } = await db.put<Doc>({ _id: "a", value: "one" });
+    const results = await Promise.allSettled([
+      db.put<Doc>({ _id: "a", value: "left" }, { ifMatch: clock }),
+      db.put<Doc>({ _id: "a", value: "right" }, { ifMatch: clock }),
+    ]);
+    expect(results.filter((r) => r.status === "fulfilled").length).toBe(1);
+  });
+  it("should not lose a plain write racing a conditional one", async () => {
+    const { clock } = await db.put<Doc>({ _id: "a", value: "one" });
+    const results = await Promise.allSettled([
+      db.put<Doc>({ _id: "b", value: "other" }),
+      db.put<Doc>({ _id: "a", value: "checked" }, { ifMatch: clock }),
+      db.put<Doc>({ _id: "a", value: "plain" }),
+    ]);
+    expect(results.map((r) => r.status)).toEqual(["fulfilled", "fulfilled", "fulfilled"]);
+    expect((await db.get<Doc>("a")).value).toBe("plain");
+  });
+});
+
+describe("basic Ledger patch", function () {
+  interface Doc {
+    readonly title: string;
+    readonly count?: number;
+    readonly tags?: string[];
+    readonly meta?: { readonly color?: string; readonly size?: number };
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-patch");
+    await db.put<Doc>({ _id: "doc", title: "hello", count: 1, tags: ["a"], meta: { color: "red", size: 2 } });
+  });
+  it("should apply a JSON patch", async () => {
+    await db.patch("doc", [
+      { op: "test", path: "/title", value: "hello" },
+      { op: "replace", path: "/title", value: "world" },
+      { op: "add", path: "/tags/-", value: "b" },
+      { op: "add", path: "/tags/0", value: "first" },
+      { op: "move", from: "/meta/color", path: "/color" },
+      { op: "remove", path: "/count" },
+    ]);
+    expect(await db.get<Doc>("doc")).toEqual({
+      _id: "doc",
+      title: "world",
+      tags: ["first", "a", "b"],
+      meta: { size: 2 },
+      color: "red",
+    });
+  });
+  it("should write nothing when a JSON patch fails", async () => {
+    await expect(
+      db.patch("doc", [
+        { op: "replace", path: "/title", value: "world" },
+        { op: "test", path: "/count", value: 2 },
+      ]),
+    ).rejects.toThrow(/patch test failed/);
+    const err = await db.patch("doc", [{ op: "test", path: "/count", value: 2 }]).catch((e) => e);
+    expect(isPatchError(err)).toBe(true);
+    await expect(db.patch("doc", [{ op: "remove", path: "/missing" }])).rejects.toThrow(/patch path not found/);
+    expect((await db.get<Doc>("doc")).title).toBe("hello");
+  });
+  it("should take the empty pointer as the doc", async () => {
+    await db.patch("doc", [
+      { op: "test", path: "", value: { _id: "doc", title: "hello", count: 1, tags: ["a"], meta: { color: "red", size: 2 } } },
+      { op: "replace", path: "", value: { title: "whole" } },
+      { op: "copy", from: "", path: "/copy" },
+    ]);
+    expect(await db.get<Doc>("doc")).toEqual({ _id: "doc", title: "whole", copy: { title: "whole" } });
+    await expect(db.patch("doc", [{ op: "remove", path: "" }])).rejects.toThrow(/can not remove the doc/);
+  });
+  it("should apply a merge patch", async () => {
+    await db.patch("doc", { title: "world", count: null, meta: { color: null, shape: "round" } });
+    expect(await db.get<Doc>("doc")).toEqual({ _id: "doc", title: "world", tags: ["a"], meta: { size: 2, shape: "round" } });
+  });
+  it("should apply field operators", async () => {
+    await db.patch("doc", { $inc: { count: 2, "meta.size": -1, fresh: 1 }, $push: { tags: "b" }, $unset: { "meta.color": "" } });
+    expect(await db.get<Doc>("doc")).toEqual({
+      _id: "doc",
+      title: "hello",
+      count: 3,
+      tags: ["a", "b"],
+      meta: { size: 1 },
+      fresh: 1,
+    });
+    await expect(db.patch("doc", { $inc: { title: 1 } })).rejects.toThrow(/\$inc needs numbers/);
+    await expect(db.patch("doc", { $rename: { title: "name" } })).rejects.toThrow(/unknown patch operator/);
+  });
+  it("should reject missing docs and _id changes", async () => {
+    await expect(db.patch("missing", { title: "x" })).rejects.toThrow(/Not found/);
+    expect(isNotFoundError(await db.patch("missing", { title: "x" }).catch((e) => e))).toBe(true);
+    await expect(db.patch("doc", { _id: "other" })).rejects.toThrow(/can not change _id/);
+    await expect(db.patch("doc", [{ op: "replace", path: "/_id", value: "other" }])).rejects.toThrow(/can not change _id/);
+  });
+  it("should not lose concurrent increments", async () => {
+    await Promise.all(Array.from({ length: 10 }, () => db.patch("doc", { $inc: { count: 1 } })));
+    expect((await db.get<Doc>("doc")).count).toBe(11);
+  });
+  it("should not lose a put racing a patch", async () => {
+    await Promise.all([
+      db.patch("doc", { $inc: { count: 1 } }),
+      db.put<Doc>({ _id: "doc", title: "replaced", count: 5 }),
+      db.patch("doc", { $inc: { count: 1 } }),
+    ]);
+    expect(await db.get<Doc>("doc")).toEqual({ _id: "doc", title: "replaced", count: 6 });
+  });
+  it("should check ifMatch", async () => {
+    const { clock } = await db.put<Doc>({ _id: "doc", title: "changed" });
+    await db.patch("doc", { title: "again" });
+    await expect(db.patch("doc", { title: "stale" }, { ifMatch: clock })).rejects.toThrow(/Conflict/);
+    expect((await db.get<Doc>("doc")).title).toBe("again");
+  });
+});
+
+describe("basic Ledger find with selector", function () {
+  interface Person {
+    readonly name: string;
+    readonly age: number;
+    readonly address?: { readonly city: string };
+    readonly tags?: string[];
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-find-selector");
+    await db.bulk<Person>([
+      { _id: "p1", name: "alice", age: 31, address: { city: "berlin" }, tags: ["admin"] },
+      { _id: "p2", name: "bob", age: 25, address: { city: "paris" } },
+      { _id: "p3", name: "carol", age: 42, address: { city: "berlin" } },
+      { _id: "p4", name: "dave", age: 19 },
+    ]);
+  });
+  it("should find by equality", async () => {
+    const { docs } = await db.find<Person>({ selector: { name: "bob" } });
+    expect(docs.map((d) => d._id)).toEqual(["p2"]);
+  });
+  it("should find by range and sort", async () => {
+    const { docs } = await db.find<Person>({ selector: { age: { $gt: 20, $lte: 42 } }, sort: [{ age: "desc" }] });
+    expect(docs.map((d) => d.age)).toEqual([42, 31, 25]);
+  });
+  it("should find with $in and limit", async () => {
+    const { docs } = await db.find<Person>({ selector: { name: { $in: ["dave", "alice", "nobody"] } }, sort: ["name"], limit: 1 });
+    expect(docs.map((d) => d.name)).toEqual(["alice"]);
+  });
+  it("should find nested paths", async () => {
+    const { docs } = await db.find<Person>({ selector: { "address.city": "berlin" }, sort: ["name"] });
+    expect(docs.map((d) => d._id)).toEqual(["p1", "p3"]);
+    const { docs: nested } = await db.find<Person>({ selector: { address: { city: { $eq: "paris" } } } });
+    expect(nested.map((d) => d._id)).toEqual(["p2"]);
+  });
+  it("should combine $and, $or and $exists", async () => {
+    const { docs } = await db.find<Person>({
+      selector: {
+        $or: [{ age: { $lt: 20 } }, { tags: { $exists: true } }],
+        $and: [{ name: { $ne: "bob" } }],
+      },
+      sort: ["_id"],
+    });
+    expect(docs.map((d) => d._id)).toEqual(["p1", "p4"]);
+  });
+  it("should filter the remaining predicates", async () => {
+    const { docs } = await db.find<Person>({ selector: { "address.city": "berlin", age: { $gt: 35 } } });
+    expect(docs.map((d) => d._id)).toEqual(["p3"]);
+  });
+  it("should project fields", async () => {
+    const { docs } = await db.find<Person>({ selector: { name: "alice" }, fields: ["name", "address.city"] });
+    expect(docs).toEqual([{ _id: "p1", name: "alice", address: { city: "berlin" } }]);
+  });
+  it("should skip deleted docs", async () => {
+    await db.del("p4");
+    const { docs } = await db.find<Person>({ selector: { age: { $lt: 30 } } });
+    expect(docs.map((d) => d._id)).toEqual(["p2"]);
+    const { docs: scanned } = await db.find<Person>({ selector: { $or: [{ name: "dave" }, { name: "bob" }] } });
+    expect(scanned.map((d) => d._id)).toEqual(["p2"]);
+  });
+  it("should explain the chosen index", async () => {
+    const plan = await db.explain({ selector: { tags: { $exists: true }, age: { $gte: 30 } } });
+    expect(plan).toEqual({ index: "age", field: "age", query: { range: [30, Infinity] } });
+    await db.find({ selector: { age: { $gte: 30 } } });
+    expect(db.ledger.crdt.indexers.has("age")).toBe(true);
+    expect(await db.explain({ selector: { $or: [{ age: 1 }] } })).toEqual({ index: "_all_docs" });
+  });
+  it("should find null values by a scan", async () => {
+    await db.put({ _id: "p5", name: null, age: 50, address: { city: null } });
+    const { docs } = await db.find({ selector: { name: null } });
+    expect(docs.map((d) => d._id)).toEqual(["p5"]);
+    const { docs: eq } = await db.find({ selector: { "address.city": { $eq: null } } });
+    expect(eq.map((d) => d._id)).toEqual(["p5"]);
+    const { docs: some } = await db.find({ selector: { name: { $in: [null, "bob"] } }, sort: ["_id"] });
+    expect(some.map((d) => d._id)).toEqual(["p2", "p5"]);
+    expect(await db.explain({ selector: { name: null } })).toEqual({ index: "_all_docs" });
+  });
+  it("should reject unknown operators", async () => {
+    await expect(db.find({ selector: { age: { $foo: 1 } } })).rejects.toThrow(/unknown field operator/);
+  });
+});
+
 describe("ledger with files input", () => {
   let db: Database;
   let imagefiles: FileWithCid[] = [];
@@ -578,6 +1588,321 @@ describe("ledger with files input", () => {
   }, 1000000);
 });
 
+describe("ledger archive export and import", () => {
+  interface Doc {
+    readonly title: string;
+  }
+  let db: Database;
+  let imported: Database | undefined;
+  let imagefiles: FileWithCid[] = [];
+  const sthis = ensureSuperThis();
+
+  async function archiveOf(opts = {}): Promise<Uint8Array> {
+    const chunks: Uint8Array[] = [];
+    for await (const chunk of db.exportArchive(opts)) chunks.push(chunk);
+    const bytes = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+    chunks.reduce((offset, chunk) => (bytes.set(chunk, offset), offset + chunk.length), 0);
+    return bytes;
+  }
+  async function* streamOf(bytes: Uint8Array) {
+    yield bytes.slice(0, 100);
+    yield bytes.slice(100);
+  }
+
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+    if (imported) {
+      await imported.close();
+      await imported.destroy();
+      imported = undefined;
+    }
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    imagefiles = await buildBlobFiles();
+    db = fireproof("test-archive-source");
+    await db.put({ _id: "a", title: "amazing" });
+    await db.put({ _id: "b", title: "bazillas", _files: { one: imagefiles[0].file } });
+    await db.query("title");
+  });
+
+  it("should restore docs, files and indexes into a new ledger", async () => {
+    const bytes = await archiveOf();
+    imported = await fireproof.importArchive("test-archive-target", streamOf(bytes));
+    expect(imported.ledger.crdt.clock.head).toEqual(db.ledger.crdt.clock.head);
+    expect(await imported.get<Doc>("a")).toEqual({ _id: "a", title: "amazing" });
+    const meta = (await imported.get<Doc>("b"))._files?.one as DocFileMeta;
+    const file = (await meta.file?.()) as File;
+    expect(file.size).toBe(imagefiles[0].file.size);
+    const [info] = await imported.indexes();
+    expect(info).toMatchObject({ name: "title", rows: 2 });
+    await imported.close();
+    imported = fireproof("test-archive-target");
+    const { rows } = await imported.query<string, Doc>("title");
+    expect(rows.map((r) => r.id)).toEqual(["a", "b"]);
+  });
+  it("should leave files and indexes out", async () => {
+    imported = await fireproof.importArchive(
+      "test-archive-target",
+      streamOf(await archiveOf({ includeFiles: false, includeIndexes: false })),
+    );
+    expect((await imported.get<Doc>("b")).title).toBe("bazillas");
+    expect(await imported.indexes()).toEqual([]);
+  });
+  it("should need the ledger key for an encrypted archive", async () => {
+    const bytes = await archiveOf({ encrypted: true });
+    // the keybag outlives destroy, a target that never imported the source key
+    await expect(fireproof.importArchive("test-archive-sealed", streamOf(bytes))).rejects.toThrow();
+    imported = fireproof("test-archive-sealed");
+    expect((await imported.allDocs()).rows).toEqual([]);
+  });
+  it("should close the export when its reader stops early", async () => {
+    const chunks = db.exportArchive();
+    expect((await chunks.next()).value).toBeInstanceOf(Uint8Array);
+    await chunks.return(undefined);
+    expect(await chunks.next()).toEqual({ done: true, value: undefined });
+    imported = await fireproof.importArchive("test-archive-target", streamOf(await archiveOf()));
+    expect((await imported.get<Doc>("a")).title).toBe("amazing");
+  });
+  it("should reject a tampered archive", async () => {
+    const bytes = await archiveOf();
+    bytes[bytes.length - 1] ^= 1;
+    await expect(fireproof.importArchive("test-archive-target", streamOf(bytes))).rejects.toThrow(/does not match its cid/);
+  });
+  it("should only import into an empty ledger", async () => {
+    const bytes = await archiveOf();
+    await expect(fireproof.importArchive("test-archive-source", streamOf(bytes))).rejects.toThrow(/needs an empty ledger/);
+    expect((await db.get<Doc>("a")).title).toBe("amazing");
+  });
+});
+
+describe("ledger branches", () => {
+  interface Doc {
+    readonly title: string;
+  }
+  let db: Database;
+  let branch: Database | undefined;
+  const sthis = ensureSuperThis();
+
+  afterEach(async () => {
+    await branch?.close();
+    branch = undefined;
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-branches");
+    await db.put({ _id: "a", title: "amazing" });
+  });
+
+  it("should fork the current head into a branch of its own", async () => {
+    const { clock } = await db.fork("draft");
+    expect(clock).toEqual(db.ledger.crdt.clock.head);
+    branch = fireproof("test-branches", { branch: "draft" });
+    expect(branch.branch).toBe("draft");
+    expect(await branch.get<Doc>("a")).toEqual({ _id: "a", title: "amazing" });
+    await branch.put({ _id: "b", title: "bazillas" });
+    await db.put({ _id: "c", title: "cool" });
+    await expect(db.get("b")).rejects.toThrow(/Not found/);
+    await expect(branch.get("c")).rejects.toThrow(/Not found/);
+    const { rows } = await branch.query<string, Doc>("title");
+    expect(rows.map((r) => r.id)).toEqual(["a", "b"]);
+  });
+  it("should merge a branch back", async () => {
+    await db.fork("draft");
+    branch = fireproof("test-branches", { branch: "draft" });
+    await branch.put({ _id: "b", title: "bazillas" });
+    await branch.put({ _id: "a", title: "astounding" });
+    await db.put({ _id: "c", title: "cool" });
+    const { branch: into, clock } = await db.merge("draft");
+    expect(into).toBe("main");
+    expect(clock).toEqual(db.ledger.crdt.clock.head);
+    expect((await db.get<Doc>("a")).title).toBe("astounding");
+    expect((await db.get<Doc>("b")).title).toBe("bazillas");
+    expect((await db.get<Doc>("c")).title).toBe("cool");
+    await expect(branch.get("c")).rejects.toThrow(/Not found/);
+    await db.close();
+    db = fireproof("test-branches");
+    expect((await db.get<Doc>("b")).title).toBe("bazillas");
+  });
+  it("should quarantine what the validators reject on a merge", async () => {
+    await db.fork("draft");
+    branch = fireproof("test-branches", { branch: "draft" });
+    await branch.put({ _id: "b", title: "" });
+    db.addValidator<Doc>((doc) => {
+      if (!doc.title) throw new Error("title is required");
+    });
+    const head = [...db.ledger.crdt.clock.head];
+    const { clock } = await db.merge("draft");
+    expect(clock).toEqual(head);
+    await expect(db.get("b")).rejects.toThrow(/Not found/);
+    const { rows } = await db.quarantined<Doc>();
+    expect(rows.map(({ id, reason }) => [id, reason])).toEqual([["b", "title is required"]]);
+  });
+  it("should list and delete branches", async () => {
+    await db.fork("review");
+    await db.fork("draft");
+    branch = fireproof("test-branches", { branch: "scratch" });
+    await branch.ready();
+    expect((await db.branches()).rows).toEqual(["main", "draft", "review", "scratch"]);
+    await expect(db.fork("draft")).rejects.toThrow(/branch exists/);
+    await expect(db.fork("_branches")).rejects.toThrow(/invalid branch name/);
+    await expect(db.deleteBranch("main")).rejects.toThrow(/can not delete/);
+    await expect(db.merge("missing")).rejects.toThrow(/branch not found/);
+    await db.deleteBranch("draft");
+    expect((await db.branches()).rows).toEqual(["main", "review", "scratch"]);
+    const gone = fireproof("test-branches", { branch: "draft" });
+    expect((await gone.allDocs()).rows).toEqual([]);
+    await gone.close();
+  });
+});
+
+describe("ledger tags", () => {
+  interface Doc {
+    readonly title: string;
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-tags");
+    await db.put({ _id: "a", title: "amazing" });
+    await db.put({ _id: "b", title: "bazillas" });
+    await db.tag("v1");
+    await db.put({ _id: "a", title: "astounding" });
+    await db.put({ _id: "c", title: "cool" });
+    await db.del("b");
+  });
+
+  it("should read at the tagged head", async () => {
+    expect((await db.get<Doc>("a", { tag: "v1" })).title).toBe("amazing");
+    expect((await db.get<Doc>("b", { tag: "v1" })).title).toBe("bazillas");
+    await expect(db.get("c", { tag: "v1" })).rejects.toThrow(/Not found/);
+    expect((await db.allDocs<Doc>({ tag: "v1" })).rows.map((r) => r.value.title)).toEqual(["amazing", "bazillas"]);
+    const { rows } = await db.query<string, Doc>("title", { tag: "v1" });
+    expect(rows.map((r) => r.key)).toEqual(["amazing", "bazillas"]);
+    const { docs } = await db.find<Doc>({ selector: { title: { $gt: "b" } }, tag: "v1" });
+    expect(docs.map((d) => d._id)).toEqual(["b"]);
+    expect((await db.get<Doc>("a")).title).toBe("astounding");
+    await expect(db.get("a", { tag: "v2" })).rejects.toThrow(/Tag not found/);
+    await expect(db.get("a", { tag: "v1", head: db.ledger.crdt.clock.head })).rejects.toThrow(/a head or at a tag/);
+  });
+  it("should list, pin and remove tags", async () => {
+    const { clock } = await db.put({ _id: "d", title: "dazzling" });
+    const pinned = await db.tag("v2", clock);
+    expect(pinned).toEqual({ tag: "v2", head: clock });
+    expect((await db.tags()).rows.map((r) => r.tag)).toEqual(["v1", "v2"]);
+    await expect(db.tag("v1")).rejects.toThrow(/tag exists/);
+    await expect(db.tag("_tags")).rejects.toThrow(/invalid tag name/);
+    await db.untag("v1");
+    await expect(db.untag("v1")).rejects.toThrow(/Tag not found/);
+    expect((await db.tags()).rows).toEqual([pinned]);
+    await db.tag("v1");
+    expect((await db.get<Doc>("d", { tag: "v1" })).title).toBe("dazzling");
+  });
+  it("should keep tagged blocks through compaction", async () => {
+    await db.compact();
+    await db.close();
+    db = fireproof("test-tags");
+    expect((await db.get<Doc>("b", { tag: "v1" })).title).toBe("bazillas");
+    expect((await db.allDocs<Doc>({ tag: "v1" })).rows.map((r) => r.value.title)).toEqual(["amazing", "bazillas"]);
+  });
+});
+
+describe("ledger docs export and import", () => {
+  interface Doc {
+    readonly title: string;
+  }
+  let db: Database;
+  let target: Database;
+  let imagefiles: FileWithCid[] = [];
+  const sthis = ensureSuperThis();
+
+  async function textOf(chunks: AsyncIterable<string>): Promise<string> {
+    let text = "";
+    for await (const chunk of chunks) text += chunk;
+    return text;
+  }
+  async function* bytesOf(text: string) {
+    const bytes = sthis.txt.encode(text);
+    // splits lines and multi byte chars
+    for (let i = 0; i < bytes.length; i += 7) yield bytes.slice(i, i + 7);
+  }
+
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+    await target.close();
+    await target.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    imagefiles = await buildBlobFiles();
+    db = fireproof("test-docs-source");
+    target = fireproof("test-docs-target");
+    await db.put({ _id: "a", title: "amazing" });
+    await db.put({ _id: "b", title: "bäzillas", _files: { one: imagefiles[0].file } });
+  });
+
+  it("should round trip docs and files as ndjson", async () => {
+    const text = await textOf(db.exportDocs({ includeFiles: true }));
+    expect(text.trim().split("\n")).toHaveLength(2);
+    const progress: number[] = [];
+    const res = await target.importDocs(bytesOf(text), { batchSize: 1, onProgress: (p) => progress.push(p.imported) });
+    expect(res.imported).toBe(2);
+    expect(progress).toEqual([1, 2]);
+    expect(await target.get<Doc>("a")).toEqual({ _id: "a", title: "amazing" });
+    const b = await target.get<Doc>("b");
+    expect(b.title).toBe("bäzillas");
+    const file = (await (b._files?.one as DocFileMeta).file?.()) as File;
+    expect(file.type).toBe(imagefiles[0].file.type);
+    expect(file.size).toBe(imagefiles[0].file.size);
+  });
+  it("should leave files out by default", async () => {
+    const docs = JSON.parse(await textOf(db.exportDocs({ format: "json" })));
+    expect(docs.sort((x: Doc & { _id: string }, y: Doc & { _id: string }) => x._id.localeCompare(y._id))).toEqual([
+      { _id: "a", title: "amazing" },
+      { _id: "b", title: "bäzillas" },
+    ]);
+  });
+  it("should export changes since a clock with deletes", async () => {
+    const { clock } = await db.put({ _id: "c", title: "cool" });
+    await db.put({ _id: "d", title: "dazzling" });
+    await db.del("a");
+    expect(JSON.parse(await textOf(db.exportDocs({ format: "json", since: clock })))).toEqual([{ _id: "d", title: "dazzling" }]);
+    const text = await textOf(db.exportDocs({ since: clock, includeDeleted: true }));
+    await target.put({ _id: "a", title: "stale" });
+    await target.importDocs(bytesOf(text));
+    await expect(target.get("a")).rejects.toThrow(/Not found/);
+    expect(JSON.parse(await textOf(target.exportDocs({ format: "json" })))).toEqual([{ _id: "d", title: "dazzling" }]);
+  });
+  it("should generate ids", async () => {
+    const text = ['{"_id":"x","title":"kept"}', '{"title":"anonymous"}', '{"_id":"gone","_deleted":true}'].join("\n");
+    await target.importDocs(bytesOf(text));
+    const live = async () => (await target.allDocs<Doc>()).rows.filter((r) => !r.value._deleted);
+    const kept = (await live()).map((r) => r.value.title);
+    expect(kept.sort()).toEqual(["anonymous", "kept"]);
+    expect(await target.get<Doc>("x")).toEqual({ _id: "x", title: "kept" });
+    await target.importDocs(bytesOf(JSON.stringify([{ _id: "x", title: "copy" }])), { format: "json", idStrategy: "generate" });
+    const rows = await live();
+    expect(rows).toHaveLength(3);
+    expect(rows.find((r) => r.value.title === "copy")?.key).not.toBe("x");
+  });
+  it("should reject malformed docs", async () => {
+    await expect(target.importDocs(bytesOf('{"title":"ok"}\nnot json\n'))).rejects.toThrow(/docs need to be JSON/);
+    await expect(target.importDocs(bytesOf('{"a":1}'), { format: "json" })).rejects.toThrow(/need to be an array/);
+    await expect(target.importDocs(bytesOf("[1]"), { format: "json" })).rejects.toThrow(/JSON objects/);
+    await expect(textOf(db.exportDocs({ format: "csv" as "json" }))).rejects.toThrow(/unknown docs format/);
+  });
+});
+
 describe("StoreURIRuntime", () => {
   const sthis = mockSuperThis();
   let safeEnv: string | undefined;
@@ -723,3 +2048,93 @@ describe("StoreURIRuntime", () => {
     );
   });
 });
+
+describe("ledger compaction garbage", () => {
+  interface Doc {
+    readonly title: string;
+  }
+  let db: Database;
+  let other: Database | undefined;
+  const sthis = ensureSuperThis();
+
+  function stores(d: Database) {
+    return d.ledger.crdt.blockstore.loader.attachedStores.local().active;
+  }
+  async function titles(d: Database) {
+    return (await d.allDocs<Doc>()).rows.filter((r) => !r.value._deleted).map((r) => r.value.title);
+  }
+
+  afterEach(async () => {
+    await other?.close();
+    other = undefined;
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-compaction-gc");
+    await db.put({ _id: "a", title: "amazing" });
+    await db.put({ _id: "b", title: "bazillas" });
+    await db.put({ _id: "c", title: "cool" });
+  });
+
+  it("should delete the superseded cars", async () => {
+    const superseded = db.ledger.crdt.blockstore.loader.carLog.asArray().flat();
+    const collected = await db.compact();
+    expect(collected.cars).toBe(superseded.length);
+    expect(collected.bytes).toBeGreaterThan(0);
+    for (const cid of superseded) await expect(stores(db).car.load(cid)).rejects.toThrow();
+    expect(await titles(db)).toEqual(["amazing", "bazillas", "cool"]);
+    await db.close();
+    db = fireproof("test-compaction-gc");
+    expect(await titles(db)).toEqual(["amazing", "bazillas", "cool"]);
+    await db.put({ _id: "d", title: "dazzling" });
+    expect(await db.compact()).toMatchObject({ cars: 2 });
+  });
+  it("should keep the history across compact and reopen", async () => {
+    await db.put({ _id: "a", title: "awesome" });
+    await db.put({ _id: "b", title: "brilliant" });
+    await db.compact();
+    await db.close();
+    db = fireproof("test-compaction-gc");
+    const { rows } = await db.history<Doc>("a");
+    expect(rows.map((r) => r.value.title)).toEqual(["awesome", "amazing"]);
+    expect(await db.get<Doc>("a", { at: rows[1].clock })).toEqual({ _id: "a", title: "amazing" });
+    expect((await db.get<Doc>("a")).title).toBe("awesome");
+    expect(await titles(db)).toEqual(["awesome", "brilliant", "cool"]);
+  });
+  it("should keep the cars of the other branches", async () => {
+    await db.fork("draft");
+    await db.put({ _id: "d", title: "dazzling" });
+    await db.compact();
+    other = fireproof("test-compaction-gc", { branch: "draft" });
+    expect(await titles(other)).toEqual(["amazing", "bazillas", "cool"]);
+    await other.put({ _id: "e", title: "excellent" });
+    await other.compact();
+    await db.close();
+    db = fireproof("test-compaction-gc");
+    expect(await titles(db)).toEqual(["amazing", "bazillas", "cool", "dazzling"]);
+  });
+  it("should keep the files the docs attach", async () => {
+    const imagefiles = await buildBlobFiles();
+    await db.put({ _id: "f", _files: { one: imagefiles[0].file } });
+    await db.put({ _id: "f", _files: { two: imagefiles[1].file } });
+    // the replaced attachment stays reachable through the history
+    expect(await db.compact()).toMatchObject({ files: 0 });
+    const doc = await db.get<DocWithId<{ _files: DocFiles }>>("f");
+    const file = await (doc._files.two as DocFileMeta).file?.();
+    expect(file?.size).toBe(imagefiles[1].file.size);
+    const { rows } = await db.history<{ _files: DocFiles }>("f");
+    expect(Object.keys(rows[1].value._files)).toEqual(["one"]);
+  });
+  it("should compact while another shell writes", async () => {
+    other = fireproof("test-compaction-gc");
+    await Promise.all([db.compact(), other.put({ _id: "d", title: "dazzling" }), other.put({ _id: "e", title: "excellent" })]);
+    expect(await titles(db)).toEqual(["amazing", "bazillas", "cool", "dazzling", "excellent"]);
+    await other.close();
+    await db.close();
+    other = undefined;
+    db = fireproof("test-compaction-gc");
+    expect(await titles(db)).toEqual(["amazing", "bazillas", "cool", "dazzling", "excellent"]);
+  });
+});
@@ -12,7 +12,13 @@ import {
   Database,
   CRDTImpl,
   fireproof,
+  IndexRow,
+  IndexRowsDiff,
+  throwFalsy,
+  DocWithId,
 } from "@fireproof/core";
+import { CRDTClockImpl } from "../../src/crdt-clock.js";
+import { sleep } from "../helpers.js";
 
 interface TestType {
   readonly title: string;
@@ -72,6 +78,10 @@ describe("basic Index", () => {
   it("should work with limit", async () => {
     const { rows } = await indexer.query({ limit: 1 });
     expect(rows.length).toBe(1);
+    const { rows: none, cursor } = await indexer.query({ limit: 0 });
+    expect(none).toEqual([]);
+    expect(cursor).toBeUndefined();
+    expect((await indexer.query({ keys: ["amazing"], limit: 0 })).rows).toEqual([]);
   });
   it("should work with descending", async () => {
     const { rows } = await indexer.query({ descending: true });
@@ -137,6 +147,753 @@ describe("Index query with compound key", function () {
   });
 });
 
+describe("Index query with cursor", function () {
+  interface PageType {
+    readonly group: string;
+    readonly num: number;
+  }
+  let db: Database;
+  let indexer: Index<[string, number], PageType>;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-indexer-cursor");
+    const docs = Array.from({ length: 150 }, (_, num) => ({ _id: `doc-${num}`, group: num % 2 ? "odd" : "even", num }));
+    await db.bulk(docs);
+    indexer = new Index<[string, number], PageType>(sthis, db.ledger.crdt, "paged", (doc) => [doc.group, doc.num]);
+    await indexer.ready();
+  });
+  async function pages(opts: { descending?: boolean; prefix?: string; range?: [[string, number], [string, number]] }) {
+    const nums: number[] = [];
+    let page = await indexer.query({ ...opts, limit: 20 });
+    let count = 0;
+    while (page.rows.length) {
+      count++;
+      nums.push(...page.rows.map((r) => r.key[1]));
+      if (!page.cursor) break;
+      page = await indexer.query({ ...opts, limit: 20, startAfter: page.cursor });
+    }
+    return { nums, count };
+  }
+  it("should return a cursor for a full page", async () => {
+    const { rows, cursor } = await indexer.query({ limit: 5 });
+    expect(rows.length).toBe(5);
+    const { rows: next } = await indexer.query({ limit: 1, startAfter: cursor });
+    expect(next[0].key).toEqual(["even", 10]);
+    const { cursor: none } = await indexer.query();
+    expect(none).toBeUndefined();
+  });
+  it("should page through all rows", async () => {
+    const { nums, count } = await pages({});
+    expect(count).toBe(8);
+    expect(nums.length).toBe(150);
+    const even = Array.from({ length: 75 }, (_, i) => i * 2);
+    const odd = Array.from({ length: 75 }, (_, i) => i * 2 + 1);
+    expect(nums).toEqual([...even, ...odd]);
+  });
+  it("should page descending", async () => {
+    const { nums } = await pages({ descending: true });
+    expect(nums.length).toBe(150);
+    expect(nums[0]).toBe(149);
+    expect(nums[149]).toBe(0);
+  });
+  it("should page a prefix", async () => {
+    const { nums } = await pages({ prefix: "odd" });
+    expect(nums).toEqual(Array.from({ length: 75 }, (_, i) => i * 2 + 1));
+  });
+  it("should page a prefix descending", async () => {
+    const { nums } = await pages({ prefix: "even", descending: true });
+    expect(nums).toEqual(Array.from({ length: 75 }, (_, i) => 148 - i * 2));
+  });
+  it("should page a range", async () => {
+    const { nums } = await pages({
+      range: [
+        ["even", 10],
+        ["odd", 19],
+      ],
+    });
+    expect(nums.length).toBe(80);
+    expect(nums[0]).toBe(10);
+    expect(nums[79]).toBe(19);
+  });
+  it("should not repeat rows with equal keys", async () => {
+    const field = new Index<string, PageType>(sthis, db.ledger.crdt, "group");
+    const ids = new Set<string>();
+    let page = await field.query({ key: "odd", limit: 7 });
+    while (page.rows.length) {
+      page.rows.forEach((r) => ids.add(r.id));
+      if (!page.cursor) break;
+      page = await field.query({ key: "odd", limit: 7, startAfter: page.cursor });
+    }
+    expect(ids.size).toBe(75);
+  });
+  it("should page across keys as one result", async () => {
+    const field = new Index<string, PageType>(sthis, db.ledger.crdt, "group");
+    for (const descending of [false, true]) {
+      const groups: string[] = [];
+      let page = await field.query({ keys: ["odd", "even", "odd"], descending, limit: 40 });
+      let count = 0;
+      while (page.rows.length) {
+        count++;
+        groups.push(...page.rows.map((r) => r.key));
+        if (!page.cursor) break;
+        page = await field.query({ keys: ["odd", "even"], descending, limit: 40, startAfter: page.cursor });
+      }
+      expect(count).toBe(4);
+      const odd = Array<string>(75).fill("odd");
+      const even = Array<string>(75).fill("even");
+      expect(groups).toEqual(descending ? [...even, ...odd] : [...odd, ...even]);
+    }
+  });
+});
+
+describe("Index watch", function () {
+  let db: Database;
+  let diffs: IndexRowsDiff<string, TestType>[];
+  // the ordered rows after each diff
+  let rows: IndexRow<string, TestType, TestType>[][];
+  // the rows patched by each diff
+  let patched: IndexRow<string, TestType, TestType>[][];
+  const sthis = ensureSuperThis();
+  const keys = (rows: { key: string }[]) => rows.map((r) => r.key);
+  const watch = (
+    diff: IndexRowsDiff<string, TestType>,
+    all: () => IndexRow<string, TestType, TestType>[],
+    patch: (prev: IndexRow<string, TestType, TestType>[]) => IndexRow<string, TestType, TestType>[],
+  ) => {
+    diffs.push(diff);
+    rows.push(all());
+    patched.push(patch(patched[patched.length - 1] ?? []));
+  };
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-indexer-watch");
+    diffs = [];
+    rows = [];
+    patched = [];
+    await db.put({ _id: "a", title: "amazing", score: 1 });
+    await db.put({ _id: "b", title: "bazillas", score: 2 });
+    await db.put({ _id: "c", title: "creative", score: 3 });
+  });
+  it("should start with the query rows", async () => {
+    const unreg = db.liveQuery<string, TestType>("title", {}, watch);
+    await vi.waitFor(() => expect(diffs.length).toBe(1));
+    expect(keys(diffs[0].added)).toEqual(["amazing", "bazillas", "creative"]);
+    expect(diffs[0].removed).toEqual([]);
+    expect(keys(rows[0])).toEqual(["amazing", "bazillas", "creative"]);
+    unreg();
+  });
+  it("should diff adds, changes and removes in range", async () => {
+    const unreg = db.liveQuery<string, TestType>("title", { range: ["b", "d"], includeDocs: true }, watch);
+    await vi.waitFor(() => expect(diffs.length).toBe(1));
+    expect(keys(rows[0])).toEqual(["bazillas", "creative"]);
+
+    await db.put({ _id: "d", title: "brilliant", score: 4 });
+    await vi.waitFor(() => expect(diffs.length).toBe(2));
+    expect(keys(diffs[1].added)).toEqual(["brilliant"]);
+    expect(diffs[1].removed).toEqual([]);
+    expect(keys(rows[1])).toEqual(["bazillas", "brilliant", "creative"]);
+
+    await db.put({ _id: "c", title: "creative", score: 30 });
+    await vi.waitFor(() => expect(diffs.length).toBe(3));
+    expect(diffs[2].added).toEqual([]);
+    expect(diffs[2].changed.map((r) => r.doc?.score)).toEqual([30]);
+
+    await db.put({ _id: "b", title: "zesty", score: 2 });
+    await db.del("d");
+    await vi.waitFor(() => expect(keys(rows[rows.length - 1])).toEqual(["creative"]));
+    expect(keys(diffs.slice(3).flatMap((d) => d.removed))).toEqual(["bazillas", "brilliant"]);
+    expect(diffs.slice(3).flatMap((d) => [...d.added, ...d.changed])).toEqual([]);
+    expect(patched).toEqual(rows);
+    unreg();
+  });
+  it("should patch the rows like the query orders them", async () => {
+    const unreg = db.liveQuery<string, TestType>("title", { descending: true, includeDocs: true }, watch);
+    await vi.waitFor(() => expect(diffs.length).toBe(1));
+    await db.put({ _id: "d", title: "brilliant", score: 4 });
+    await db.put({ _id: "e", title: "amazing", score: 5 });
+    await db.put({ _id: "c", title: "creative", score: 30 });
+    await db.del("b");
+    await vi.waitFor(() => expect(keys(rows[rows.length - 1])).toEqual(["creative", "brilliant", "amazing", "amazing"]));
+    expect(patched).toEqual(rows);
+    unreg();
+  });
+  it("should skip changes out of range", async () => {
+    const unreg = db.liveQuery<string, TestType>("title", { keys: ["amazing", "creative"] }, watch);
+    await vi.waitFor(() => expect(diffs.length).toBe(1));
+    await db.put({ _id: "d", title: "bazillas", score: 4 });
+    await db.put({ _id: "e", title: "amazing", score: 5 });
+    await vi.waitFor(() => expect(diffs.length).toBe(2));
+    expect(diffs[1].added.map((r) => r.id)).toEqual(["e"]);
+    expect(rows[1].map((r) => r.id)).toEqual(["a", "e", "c"]);
+    unreg();
+  });
+  it("should keep the index current", async () => {
+    const unreg = db.liveQuery<string, TestType>("title", {}, watch);
+    await vi.waitFor(() => expect(diffs.length).toBe(1));
+    await db.put({ _id: "d", title: "dazzling", score: 4 });
+    await vi.waitFor(() => expect(diffs.length).toBe(2));
+    const idx = db.ledger.crdt.indexers.get("title");
+    expect(idx?.indexHead?.map(String)).toEqual(db.ledger.crdt.clock.head.map(String));
+    unreg();
+  });
+  it("should stop after unreg", async () => {
+    const unreg = db.liveQuery<string, TestType>("title", {}, watch);
+    await vi.waitFor(() => expect(diffs.length).toBe(1));
+    unreg();
+    await db.put({ _id: "d", title: "dazzling", score: 4 });
+    await sleep(50);
+    expect(diffs.length).toBe(1);
+  });
+  it("should refuse limits", () => {
+    expect(() => db.liveQuery<string, TestType>("title", { limit: 1 }, () => undefined)).toThrowError(/no limit/);
+    expect(() => db.liveQuery<string, TestType>("title", { tag: "v1" }, () => undefined)).toThrowError(/tag/);
+    expect(() => db.liveQuery<string, TestType>("title", { head: [] }, () => undefined)).toThrowError(/head/);
+  });
+});
+
+describe("full-text search index", function () {
+  interface Post {
+    readonly title: string;
+    readonly body: string;
+    readonly tags?: string[];
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-indexer-fulltext");
+    await db.bulk<Post>([
+      { _id: "p1", title: "Running shoes", body: "Shoes for runners who run every day" },
+      { _id: "p2", title: "Cooking pasta", body: "Boil the water and salt it well", tags: ["kitchen"] },
+      { _id: "p3", title: "Trail running", body: "Mountain trails are harder to run than roads", tags: ["outdoor"] },
+      { _id: "p4", title: "Kitchen knives", body: "A sharp knife makes cooking safer" },
+    ]);
+    db.index<Post>("posts", { type: "fulltext", fields: ["title", "body", "tags"] });
+  });
+  it("should rank stemmed matches", async () => {
+    const { rows } = await db.search<Post>("posts", "RUNS");
+    expect(rows.map((r) => r.id)).toEqual(["p1", "p3"]);
+    expect(rows[0].score).toBeGreaterThan(rows[1].score);
+    expect(rows[0].doc?.title).toBe("Running shoes");
+  });
+  it("should match any term and limit", async () => {
+    const { rows } = await db.search<Post>("posts", "kitchen cooks", { limit: 2, includeDocs: false });
+    expect(rows.map((r) => r.id).sort()).toEqual(["p2", "p4"]);
+    expect(rows[0].doc).toBeUndefined();
+    const none = await db.search<Post>("posts", "bicycle");
+    expect(none.rows).toEqual([]);
+  });
+  it("should follow updates and deletes", async () => {
+    await db.put<Post>({ _id: "p2", title: "Running late", body: "no time to cook" });
+    await db.del("p1");
+    const { rows } = await db.search<Post>("posts", "running");
+    expect(rows.map((r) => r.id).sort()).toEqual(["p2", "p3"]);
+    const { rows: kitchen } = await db.search<Post>("posts", "kitchen");
+    expect(kitchen.map((r) => r.id)).toEqual(["p4"]);
+  });
+  it("should keep the corpus across updates and deletes", async () => {
+    const idx = db.index<Post>("posts", { type: "fulltext", fields: ["title", "body", "tags"] });
+    await db.search<Post>("posts", "running");
+    expect(idx.corpus?.docs).toBe(4);
+    // without the zoom that resets it, the index catches up on the writes
+    (db.ledger.crdt.clock as CRDTClockImpl).zoomers.clear();
+    await db.put<Post>({ _id: "p2", title: "Running late", body: "no time to cook" });
+    await db.del("p1");
+    await db.search<Post>("posts", "running");
+    const corpus = idx.corpus;
+    expect(corpus?.docs).toBe(3);
+    await idx.rebuild();
+    expect(idx.corpus).toEqual(corpus);
+  });
+  it("should refuse other indexes", async () => {
+    await db.query("title");
+    await expect(db.search("title", "running")).rejects.toThrowError(/not a fulltext index/);
+    await expect(db.search("missing", "running")).rejects.toThrowError(/Index not found/);
+  });
+  it("should search after reopen without the definition", async () => {
+    await db.search<Post>("posts", "pasta");
+    await db.close();
+    db = fireproof("test-indexer-fulltext");
+    const { rows } = await db.search<Post>("posts", "pasta");
+    expect(rows.map((r) => r.id)).toEqual(["p2"]);
+  });
+});
+
+describe("vector index", function () {
+  interface Item {
+    readonly kind: string;
+    readonly embedding: number[];
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  const items: (Item & { _id: string })[] = Array.from({ length: 40 }, (_, i) => ({
+    _id: `item-${i.toString().padStart(2, "0")}`,
+    kind: i % 2 ? "odd" : "even",
+    embedding: [Math.cos(i / 6), Math.sin(i / 6), (i % 5) / 10],
+  }));
+  const embedding = (doc: Item) => doc.embedding;
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-indexer-vector");
+    await db.bulk(items);
+    db.index<Item>("embedding", { type: "vector" }, embedding);
+  });
+  it("should find the most similar docs", async () => {
+    const { rows } = await db.nearest<Item>("embedding", items[7].embedding, { k: 3 });
+    expect(rows[0].id).toBe("item-07");
+    expect(rows.map((r) => r.id).sort()).toEqual(["item-06", "item-07", "item-08"]);
+    expect(rows[0].score).toBeCloseTo(1);
+    expect(rows[0].doc?.kind).toBe("odd");
+  });
+  it("should filter before counting k", async () => {
+    const { rows } = await db.nearest<Item>("embedding", new Float32Array(items[7].embedding), {
+      k: 2,
+      filter: (doc) => doc.kind === "even",
+      includeDocs: false,
+    });
+    expect(rows.map((r) => r.id).sort()).toEqual(["item-06", "item-08"]);
+    expect(rows[0].doc).toBeUndefined();
+  });
+  it("should split into cells and probe them", async () => {
+    const idx = db.index<Item>("embedding", { type: "vector" }, embedding);
+    await db.nearest("embedding", [1, 0, 0]);
+    expect(idx.cells?.length).toBe(6);
+    const { rows } = await db.nearest<Item>("embedding", items[20].embedding, { k: 1, probes: 1 });
+    expect(rows.map((r) => r.id)).toEqual(["item-20"]);
+  });
+  it("should follow updates and deletes", async () => {
+    await db.put<Item>({ _id: "item-06", kind: "even", embedding: [-1, 0, 0] });
+    await db.del("item-08");
+    const { rows } = await db.nearest<Item>("embedding", items[7].embedding, { k: 2 });
+    expect(rows.map((r) => r.id)).toEqual(["item-07", "item-09"]);
+  });
+  it("should rank by dot product", async () => {
+    db.index<Item>("dot", { type: "vector", metric: "dot" }, embedding);
+    await db.put<Item>({ _id: "long", kind: "odd", embedding: [10, 10, 0] });
+    const { rows } = await db.nearest<Item>("dot", items[7].embedding, { k: 1 });
+    expect(rows.map((r) => r.id)).toEqual(["long"]);
+  });
+  it("should refuse other indexes and bad vectors", async () => {
+    await expect(db.nearest("embedding", [])).rejects.toThrowError(/needs a vector/);
+    await db.query("kind");
+    await expect(db.nearest("kind", [1, 0, 0])).rejects.toThrowError(/not a vector index/);
+  });
+  it("should keep the cells on reopen", async () => {
+    await db.nearest("embedding", [1, 0, 0]);
+    const cells = db.ledger.crdt.indexers.get("embedding")?.cellsCid;
+    expect(cells).toBeTruthy();
+    await db.close();
+    db = fireproof("test-indexer-vector");
+    const idx = db.index<Item>("embedding", { type: "vector" }, embedding);
+    const { rows } = await db.nearest<Item>("embedding", items[7].embedding, { k: 1 });
+    expect(rows.map((r) => r.id)).toEqual(["item-07"]);
+    expect(idx.cellsCid?.toString()).toBe(cells?.toString());
+    expect(idx.cells?.length).toBe(6);
+  });
+  it("should train the cells again once the rows outgrow them", async () => {
+    const idx = db.index<Item>("embedding", { type: "vector" }, embedding);
+    await db.nearest("embedding", [1, 0, 0]);
+    // without the zoom that resets it, the index catches up on the writes
+    (db.ledger.crdt.clock as CRDTClockImpl).zoomers.clear();
+    // 144 rows call for 12 cells
+    const more = Array.from({ length: 104 }, (_, i) => ({
+      _id: `more-${i.toString().padStart(3, "0")}`,
+      kind: "more",
+      embedding: [Math.cos(i / 17), Math.sin(i / 17), -(i % 3) / 10],
+    }));
+    await db.bulk(more.slice(0, 50));
+    await db.nearest("embedding", [1, 0, 0]);
+    expect(idx.cells?.length).toBe(6);
+    expect(idx.vectors).toBe(90);
+    await db.bulk(more.slice(50));
+    const { rows } = await db.nearest<Item>("embedding", more[80].embedding, { k: 1 });
+    expect(rows.map((r) => r.id)).toEqual(["more-080"]);
+    expect(idx.cells?.length).toBe(12);
+    expect(idx.vectors).toBe(144);
+    expect((await idx.info()).rows).toBe(144);
+  });
+});
+
+describe("geo index", function () {
+  interface Site {
+    readonly name: string;
+    readonly location: { readonly lat: number; readonly lng: number };
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  const sites: (Site & { _id: string })[] = [
+    { _id: "berlin", name: "Berlin", location: { lat: 52.52, lng: 13.405 } },
+    { _id: "potsdam", name: "Potsdam", location: { lat: 52.3906, lng: 13.0645 } },
+    { _id: "hamburg", name: "Hamburg", location: { lat: 53.5511, lng: 9.9937 } },
+    { _id: "munich", name: "Munich", location: { lat: 48.1351, lng: 11.582 } },
+    { _id: "fiji", name: "Suva", location: { lat: -18.1416, lng: 178.4419 } },
+    { _id: "samoa", name: "Apia", location: { lat: -13.8506, lng: -171.7513 } },
+  ];
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-indexer-geo");
+    await db.bulk(sites);
+    await db.put({ _id: "nowhere", name: "No location" });
+    db.index<Site>("location", { type: "geo" }, (doc) => doc.location);
+  });
+  it("should query a bounding box", async () => {
+    const { rows } = await db.query<string, Site>("location", { bbox: { minLat: 52, minLng: 9, maxLat: 54, maxLng: 14 } });
+    expect(rows.map((r) => r.id).sort()).toEqual(["berlin", "hamburg", "potsdam"]);
+    expect(rows[0].key).toMatch(/^u/);
+    expect(rows.find((r) => r.id === "berlin")?.value).toEqual({ lat: 52.52, lng: 13.405 });
+  });
+  it("should query a box across the antimeridian", async () => {
+    const { rows } = await db.query<string, Site>("location", { bbox: { minLat: -20, minLng: 170, maxLat: -10, maxLng: -170 } });
+    expect(rows.map((r) => r.id).sort()).toEqual(["fiji", "samoa"]);
+  });
+  it("should query a radius nearest first", async () => {
+    const near = { lat: 52.5, lng: 13.4 };
+    const { rows } = await db.query<string, Site>("location", { near, radius: 50_000, includeDocs: true });
+    expect(rows.map((r) => r.id)).toEqual(["berlin", "potsdam"]);
+    expect(rows[1].doc?.name).toBe("Potsdam");
+    const wide = await db.query<string, Site>("location", { near, radius: 600_000, limit: 3 });
+    expect(wide.rows.map((r) => r.id)).toEqual(["berlin", "potsdam", "hamburg"]);
+  });
+  it("should follow updates and deletes", async () => {
+    await db.put<Site>({ _id: "munich", name: "Munich", location: { lat: 52.4, lng: 13.5 } });
+    await db.del("potsdam");
+    const { rows } = await db.query<string, Site>("location", { near: { lat: 52.5, lng: 13.4 }, radius: 50_000 });
+    expect(rows.map((r) => r.id)).toEqual(["berlin", "munich"]);
+  });
+  it("should query a radius at an older head", async () => {
+    await db.query("location", { bbox: { minLat: 0, minLng: 0, maxLat: 1, maxLng: 1 } });
+    const head = [...db.ledger.crdt.clock.head];
+    await db.put<Site>({ _id: "munich", name: "Munich", location: { lat: 52.4, lng: 13.5 } });
+    await db.del("potsdam");
+    const near = { lat: 52.5, lng: 13.4 };
+    const { rows } = await db.query<string, Site>("location", { near, radius: 50_000, head });
+    expect(rows.map((r) => r.id)).toEqual(["berlin", "potsdam"]);
+    expect(rows[1].value).toEqual({ lat: 52.3906, lng: 13.0645 });
+    const box = await db.query<string, Site>("location", { bbox: { minLat: 52, minLng: 9, maxLat: 54, maxLng: 14 }, head });
+    expect(box.rows.map((r) => r.id).sort()).toEqual(["berlin", "hamburg", "potsdam"]);
+  });
+  it("should refuse bad geo queries", async () => {
+    await expect(db.query("location", { near: { lat: 52.5, lng: 13.4 } })).rejects.toThrowError(/positive radius/);
+    await expect(db.query("name", { bbox: { minLat: 0, minLng: 0, maxLat: 1, maxLng: 1 } })).rejects.toThrowError(
+      /need a geo index/,
+    );
+  });
+});
+
+describe("Index management", function () {
+  let db: Database;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-indexer-manage", { rebuildIndexes: true });
+    await db.put({ _id: "a", title: "amazing", score: 1 });
+    await db.put({ _id: "b", title: "bazillas", score: 2 });
+    await db.query("title");
+    await db.query("score");
+  });
+  it("should list the indexes", async () => {
+    const infos = await db.indexes();
+    expect(infos.map((i) => i.name).sort()).toEqual(["score", "title"]);
+    const title = infos.find((i) => i.name === "title");
+    expect(title?.rows).toBe(2);
+    expect(title?.size).toBeGreaterThan(0);
+    expect(title?.version).toBe(0);
+    expect(title?.head).toEqual(db.ledger.crdt.clock.head);
+    expect(title?.map).toBe(db.ledger.crdt.indexers.get("title")?.mapFnString);
+  });
+  it("should drop an index and release its blocks on compaction", async () => {
+    const byKey = db.ledger.crdt.indexers.get("score")?.byKey.cid;
+    const kept = db.ledger.crdt.indexers.get("title")?.byKey.cid;
+    expect(byKey).toBeTruthy();
+    await db.dropIndex("score");
+    expect((await db.indexes()).map((i) => i.name)).toEqual(["title"]);
+    await expect(db.dropIndex("score")).rejects.toThrowError(/Index not found/);
+    await db.compact();
+    await db.close();
+    db = fireproof("test-indexer-manage", { rebuildIndexes: true });
+    expect((await db.indexes()).map((i) => i.name)).toEqual(["title"]);
+    await expect(db.ledger.crdt.indexBlockstore.get(throwFalsy(byKey))).rejects.toThrowError(/missing block/);
+    expect(await db.ledger.crdt.indexBlockstore.get(throwFalsy(kept))).toBeTruthy();
+    const { rows } = await db.query<string, TestType>("title");
+    expect(rows.map((r) => r.key)).toEqual(["amazing", "bazillas"]);
+  });
+  it("should rebuild an index", async () => {
+    await db.rebuildIndex("title");
+    const [title] = (await db.indexes()).filter((i) => i.name === "title");
+    expect(title.rows).toBe(2);
+    expect(title.version).toBe(0);
+    await expect(db.rebuildIndex("missing")).rejects.toThrowError(/Index not found/);
+  });
+  it("should rebuild under a new version when the map function changes", async () => {
+    const upper = index<string, TestType>(db, "title", (doc) => doc.title.toUpperCase());
+    expect(upper.version).toBe(1);
+    const { rows } = await db.query<string, TestType>("title");
+    expect(rows.map((r) => r.key)).toEqual(["AMAZING", "BAZILLAS"]);
+    await db.close();
+    db = fireproof("test-indexer-manage", { rebuildIndexes: true });
+    const reversed = index<string, TestType>(db, "title", (doc) => doc.title.split("").reverse().join(""));
+    await db.ready();
+    expect(reversed.version).toBe(2);
+    const again = await reversed.query();
+    expect(again.rows.map((r) => r.key)).toEqual(["gnizama", "sallizab"]);
+  });
+});
+
+describe("Index collation", function () {
+  interface Item {
+    readonly name: string;
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  const names = ["Zebra", "apple", "Äpfel", "item10", "item2", "Item3", "éclair", "eclair"];
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-indexer-collation");
+    await db.bulk(names.map((name) => ({ _id: name.normalize("NFKD").replace(/\p{M}/gu, "-"), name })));
+  });
+  it("should sort by code point without a collation", async () => {
+    const { rows } = await db.query<string, Item>("name");
+    expect(rows.map((r) => r.key)).toEqual(["Item3", "Zebra", "apple", "eclair", "item10", "item2", "Äpfel", "éclair"]);
+  });
+  it("should sort case and accent insensitive with natural numbers", async () => {
+    const collation = { locale: "en", caseInsensitive: true, accentInsensitive: true, numeric: true };
+    db.index<Item>("name", { type: "map", collation }, (doc) => doc.name);
+    const { rows } = await db.query<string, Item>("name");
+    expect(rows.map((r) => r.key)).toEqual(["Äpfel", "apple", "éclair", "eclair", "item2", "Item3", "item10", "Zebra"]);
+    const desc = await db.query<string, Item>("name", { descending: true, limit: 2 });
+    expect(desc.rows.map((r) => r.key)).toEqual(["Zebra", "item10"]);
+  });
+  it("should look up keys equal under the collation", async () => {
+    db.index<Item>("name", { type: "map", collation: { caseInsensitive: true, accentInsensitive: true } }, (doc) => doc.name);
+    const { rows } = await db.query<string, Item>("name", { key: "ECLAIR" });
+    expect(rows.map((r) => r.id).sort()).toEqual(["e-clair", "eclair"]);
+    const keys = await db.query<string, Item>("name", { keys: ["APPLE", "zebra"] });
+    expect(keys.rows.map((r) => r.id)).toEqual(["apple", "Zebra"]);
+  });
+  it("should keep accents apart when only case insensitive", async () => {
+    db.index<Item>("name", { type: "map", collation: { caseInsensitive: true } }, (doc) => doc.name);
+    const { rows } = await db.query<string, Item>("name", { key: "ECLAIR" });
+    expect(rows.map((r) => r.key)).toEqual(["eclair"]);
+  });
+  it("should bound ranges by the collation", async () => {
+    db.index<Item>("name", { type: "map", collation: { caseInsensitive: true, numeric: true } }, (doc) => doc.name);
+    const { rows } = await db.query<string, Item>("name", { range: ["ITEM1", "item5"] });
+    expect(rows.map((r) => r.key)).toEqual(["item2", "Item3"]);
+  });
+  it("should persist the collation in the index meta", async () => {
+    const def = { type: "map", collation: { numeric: true } } as const;
+    db.index<Item>("name", def, (doc) => doc.name);
+    await db.query("name");
+    await db.close();
+    db = fireproof("test-indexer-collation");
+    const [info] = await db.indexes();
+    expect(info.def).toEqual(def);
+    const idx = db.index<Item>("name", def, (doc) => doc.name);
+    const { rows } = await idx.query({ range: ["item", "item99"] });
+    expect(rows.map((r) => r.key)).toEqual(["item2", "Item3", "item10"]);
+  });
+});
+
+describe("Index query with include", function () {
+  interface Todo {
+    readonly title: string;
+    readonly listId?: string;
+    readonly tagIds?: string[];
+  }
+  let db: Database;
+  const sthis = ensureSuperThis();
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    await sthis.start();
+    db = fireproof("test-indexer-include");
+    await db.bulk([
+      { _id: "home", title: "Home", type: "list" },
+      { _id: "urgent", title: "Urgent", type: "tag" },
+      { _id: "later", title: "Later", type: "tag", listId: "home" },
+      { _id: "t1", title: "dishes", listId: "home", tagIds: ["urgent", "gone", "later"], type: "todo" },
+      { _id: "t2", title: "laundry", listId: "gone", type: "todo" },
+      { _id: "t3", title: "loop", listId: "t3", tagIds: ["t4"], type: "todo" },
+      { _id: "t4", title: "loop back", tagIds: ["t3"], type: "todo" },
+    ]);
+  });
+  it("should attach the referenced docs", async () => {
+    const include = { list: "listId", tags: "tagIds[]" };
+    const { rows } = await db.query<string, Todo>("title", { range: ["dishes", "laundry"], include, includeDocs: false });
+    expect(rows.map((r) => r.id)).toEqual(["t1", "t2"]);
+    expect(rows[0].doc).toBeUndefined();
+    expect(rows[0].included?.list).toMatchObject({ _id: "home", title: "Home" });
+    expect((rows[0].included?.tags as DocWithId<Todo>[]).map((d) => d._id)).toEqual(["urgent", "later"]);
+    expect(rows[1].included).toEqual({ list: undefined, tags: [] });
+  });
+  it("should stop references in a cycle after one hop", async () => {
+    const { rows } = await db.query<string, Todo>("title", {
+      range: ["loop", "loop\uffff"],
+      include: { list: "listId", tags: "tagIds[]" },
+    });
+    expect(rows.map((r) => r.id)).toEqual(["t3", "t4"]);
+    expect(rows[0].included?.list).toMatchObject({ _id: "t3", title: "loop" });
+    expect(rows[0].included?.tags).toEqual([{ _id: "t4", title: "loop back", tagIds: ["t3"], type: "todo" }]);
+    expect(rows[1].included?.tags).toEqual([{ _id: "t3", title: "loop", listId: "t3", tagIds: ["t4"], type: "todo" }]);
+  });
+  it("should include for allDocs and keys queries", async () => {
+    const { rows } = await db.allDocs<Todo>({ keys: ["later", "t2"], include: { list: "listId" } });
+    expect(rows.map((r) => r.included?.list && (r.included.list as DocWithId<Todo>)._id)).toEqual(["home", undefined]);
+    const keys = await db.query<string, Todo>("title", { keys: ["Later"], include: { list: "listId" }, includeDocs: true });
+    expect(keys.rows[0].doc?._id).toBe("later");
+    expect(keys.rows[0].included?.list).toMatchObject({ _id: "home" });
+  });
+  it("should reject an invalid include", async () => {
+    await expect(db.query("title", { include: { list: 1 } as unknown as Record<string, string> })).rejects.toThrowError(
+      /include needs a path per name/,
+    );
+    expect(() => db.liveQuery("title", { include: { list: "listId" } }, () => undefined)).toThrowError(/include/);
+  });
+});
+
+describe("Index query with reduce", function () {
+  interface SaleType {
+    readonly region: string;
+    readonly year: number;
+    readonly amount: number;
+  }
+  let db: Database;
+  const sales: (SaleType & { _id: string })[] = [
+    { _id: "s1", region: "eu", year: 2023, amount: 10 },
+    { _id: "s2", region: "eu", year: 2023, amount: 5 },
+    { _id: "s3", region: "eu", year: 2024, amount: 7 },
+    { _id: "s4", region: "us", year: 2023, amount: 3 },
+    { _id: "s5", region: "us", year: 2024, amount: 20 },
+  ];
+  const byRegionYear = (doc: SaleType, emit: (k: [string, number], v: number) => void) => emit([doc.region, doc.year], doc.amount);
+  afterEach(async () => {
+    await db.close();
+    await db.destroy();
+  });
+  beforeEach(async () => {
+    db = fireproof("test-indexer-reduce");
+    await db.bulk(sales);
+  });
+  it("should reduce all rows into one", async () => {
+    const { rows } = await db.query<[string, number], SaleType>(byRegionYear, { reduce: "_count" });
+    expect(rows).toEqual([{ key: null, value: 5 }]);
+    const { rows: sum } = await db.query<[string, number], SaleType>(byRegionYear, { reduce: "_sum" });
+    expect(sum).toEqual([{ key: null, value: 45 }]);
+  });
+  it("should reduce stats", async () => {
+    const { rows } = await db.query<[string, number], SaleType>(byRegionYear, { reduce: "_stats" });
+    expect(rows[0].value).toEqual({ sum: 45, count: 5, min: 3, max: 20, sumsqr: 100 + 25 + 49 + 9 + 400 });
+  });
+  it("should group by exact key", async () => {
+    const { rows } = await db.query<[string, number], SaleType>(byRegionYear, { reduce: "_sum", group: true });
+    expect(rows).toEqual([
+      { key: ["eu", 2023], value: 15 },
+      { key: ["eu", 2024], value: 7 },
+      { key: ["us", 2023], value: 3 },
+      { key: ["us", 2024], value: 20 },
+    ]);
+  });
+  it("should group by level", async () => {
+    const { rows } = await db.query<[string, number], SaleType>(byRegionYear, { reduce: "_sum", groupLevel: 1 });
+    expect(rows).toEqual([
+      { key: ["eu"], value: 22 },
+      { key: ["us"], value: 23 },
+    ]);
+    const { rows: desc } = await db.query<[string, number], SaleType>(byRegionYear, {
+      reduce: "_sum",
+      groupLevel: 1,
+      descending: true,
+      limit: 1,
+    });
+    expect(desc).toEqual([{ key: ["us"], value: 23 }]);
+  });
+  it("should reduce with a custom reducer", async () => {
+    const { rows } = await db.query<[string, number], SaleType, number>(byRegionYear, {
+      reduce: (_keys, values) => Math.max(...(values as number[])),
+      groupLevel: 1,
+    });
+    expect(rows.map((r) => r.value)).toEqual([10, 20]);
+  });
+  it("should reduce a filtered query", async () => {
+    const { rows } = await db.query<[string, number], SaleType>(byRegionYear, { reduce: "_sum", prefix: "us" });
+    expect(rows).toEqual([{ key: null, value: 23 }]);
+  });
+  it("should keep the declared reducer up to date", async () => {
+    db.index<SaleType>("sales", { reduce: "_sum", groupLevel: 1 }, byRegionYear);
+    const opts = { reduce: "_sum", groupLevel: 1 } as const;
+    await db.query<[string, number], SaleType>("sales", opts);
+    await db.put({ _id: "s6", region: "asia", year: 2024, amount: 1 });
+    await db.put({ ...sales[4], amount: 2 });
+    await db.del("s1");
+    const { rows } = await db.query<[string, number], SaleType>("sales", opts);
+    expect(rows).toEqual([
+      { key: ["asia"], value: 1 },
+      { key: ["eu"], value: 12 },
+      { key: ["us"], value: 5 },
+    ]);
+    await db.del("s6");
+    const { rows: after } = await db.query<[string, number], SaleType>("sales", opts);
+    expect(after.map((r) => r.key)).toEqual([["eu"], ["us"]]);
+    // other reducers are reduced from the rows
+    const { rows: count } = await db.query<[string, number], SaleType>("sales", { reduce: "_count" });
+    expect(count).toEqual([{ key: null, value: 4 }]);
+  });
+  it("should save the declared reductions with the index", async () => {
+    db.index<SaleType>("sales", { reduce: "_sum", groupLevel: 1 }, byRegionYear);
+    await db.query("sales", { reduce: "_sum", groupLevel: 1 });
+    const reduced = db.ledger.crdt.indexers.get("sales")?.persisted?.reduced;
+    expect(reduced).toBeDefined();
+    await db.close();
+    db = fireproof("test-indexer-reduce");
+    const idx = db.index<SaleType>("sales", { reduce: "_sum", groupLevel: 1 }, byRegionYear);
+    const cached = vi.spyOn(idx, "_reducedRows");
+    const { rows } = await db.query<[string, number], SaleType>("sales", { reduce: "_sum", groupLevel: 1, descending: true });
+    expect(rows).toEqual([
+      { key: ["us"], value: 23 },
+      { key: ["eu"], value: 22 },
+    ]);
+    expect(cached).toHaveBeenCalledOnce();
+    expect(idx.reduced.cid?.toString()).toBe(reduced?.toString());
+    const { rows: first } = await db.query<[string, number], SaleType>("sales", { reduce: "_sum", groupLevel: 1, limit: 1 });
+    expect(first).toEqual([{ key: ["eu"], value: 22 }]);
+    expect((await idx.info()).def).toEqual({ reduce: "_sum", groupLevel: 1 });
+  });
+  it("should not sum non numeric values", async () => {
+    await expect(db.query<string, SaleType>("region", { reduce: "_sum" })).rejects.toThrow(/numeric/);
+  });
+});
+
 describe("basic Index with map fun", function () {
   let db: Database;
   let indexer: Index<string, TestType>;
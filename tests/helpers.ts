@@ -9,6 +9,7 @@ import {
   Attachable,
   Attached,
   CarTransaction,
+  CompactResponse,
   Falsy,
 } from "@fireproof/core";
 import { CID } from "multiformats";
@@ -100,7 +101,7 @@ class MockLoader implements bs.Loadable {
 
   constructor(sthis: SuperThis) {
     this.sthis = sthis;
-    this.ebOpts = {} as bs.BlockstoreRuntime;
+    this.ebOpts = { branch: "main" } as bs.BlockstoreRuntime;
     this.carLog = new bs.CarLog();
     this.taskManager = new TaskManager(sthis, () => Promise.resolve());
     this.attachedStores = new bs.AttachedRemotesImpl(this);
@@ -128,6 +129,10 @@ class MockLoader implements bs.Loadable {
   commit<T = unknown>(t: CarTransaction, done: T, opts: bs.CommitOpts): Promise<bs.CarGroup> {
     throw new Error("Method not implemented.");
   }
+  // eslint-disable-next-line @typescript-eslint/no-unused-vars
+  commitCompact<T = unknown>(t: CarTransaction, done: T, superseded: bs.FroozenCarLog): Promise<CompactResponse> {
+    throw new Error("Method not implemented.");
+  }
   destroy(): Promise<void> {
     throw new Error("Method not implemented.");
   }